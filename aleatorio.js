@@ -0,0 +1,87 @@
+// ============================================================================
+// FERRY BOT - GERADORES DE NÚMEROS ALEATÓRIOS (COM SEMENTE)
+// ============================================================================
+// Todo sorteio da simulação passa por um gerador criado a partir de uma
+// semente. Mesma semente + mesma configuração = mesmo resultado, o que
+// permite repetir uma execução para depurar ou comparar cenários.
+//
+// O algoritmo é plugável: basta registrar uma fábrica em GERADORES
+// (semente inteira → função que devolve números em [0, 1)).
+// ============================================================================
+
+// Mulberry32: rápido, período 2^32, boa qualidade para simulação
+function mulberry32(semente) {
+  let estado = semente >>> 0;
+  return function () {
+    estado = (estado + 0x6D2B79F5) >>> 0;
+    let t = estado;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Xorshift32: alternativa clássica de Marsaglia
+function xorshift32(semente) {
+  let estado = (semente >>> 0) || 0x9E3779B9; // estado zero travaria o gerador
+  return function () {
+    estado ^= estado << 13;
+    estado ^= estado >>> 17;
+    estado ^= estado << 5;
+    return (estado >>> 0) / 4294967296;
+  };
+}
+
+const GERADORES = {
+  mulberry32,
+  xorshift32
+};
+
+// Converte a semente recebida (número ou texto) em inteiro de 32 bits
+function normalizarSemente(semente) {
+  if (typeof semente === 'number' && Number.isFinite(semente)) {
+    return Math.trunc(semente) >>> 0;
+  }
+
+  const texto = String(semente);
+  if (/^-?\d+$/.test(texto)) return Number(texto) >>> 0;
+
+  // Hash FNV-1a para sementes textuais ("dia-de-feriado")
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < texto.length; i++) {
+    hash ^= texto.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Sorteia uma semente nova quando o usuário não informa nenhuma
+function gerarSemente() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Deriva sementes independentes a partir de uma base (ex.: réplicas)
+function derivarSemente(semente, indice) {
+  return normalizarSemente(`${normalizarSemente(semente)}:${indice}`);
+}
+
+/*
+Cria o gerador de números aleatórios.
+- semente: número ou texto
+- algoritmo: nome registrado em GERADORES ou uma fábrica própria
+*/
+function criarGerador(semente, algoritmo = 'mulberry32') {
+  const fabrica = typeof algoritmo === 'function' ? algoritmo : GERADORES[algoritmo];
+  if (!fabrica) {
+    throw new Error(`Gerador aleatório desconhecido: ${algoritmo}. Disponíveis: ${Object.keys(GERADORES).join(', ')}`);
+  }
+  return fabrica(normalizarSemente(semente));
+}
+
+module.exports = {
+  GERADORES,
+  criarGerador,
+  gerarSemente,
+  derivarSemente,
+  normalizarSemente
+};
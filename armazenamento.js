@@ -0,0 +1,253 @@
+// ============================================================================
+// FERRY BOT - ARMAZENAMENTO (REPOSITÓRIOS)
+// ============================================================================
+// Reservas, problemas relatados e o registro de simulações ficam gravados
+// em disco e sobrevivem a um reinício do servidor. As rotas só conhecem a interface do repositório:
+//   listar(filtro), buscar(id), inserir(registro), atualizar(id, alteracoes),
+//   remover(id), contar()
+//
+// Padrão: um diário (journal) JSON Lines por coleção, em DIRETORIO_DADOS.
+// Cada linha é uma operação:
+//   {"op":"inserir","id":"abc","dados":{...}}
+//   {"op":"atualizar","id":"abc","dados":{campos alterados}}
+//   {"op":"remover","id":"abc"}
+// Ao abrir, o diário é reaplicado do início. A versão do esquema fica em
+// esquema.json; migrações pendentes rodam na abertura e o diário é
+// compactado (reescrito só com as inserções do estado atual).
+//
+// ARMAZENAMENTO=memoria desliga a gravação (útil para experimentos).
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const COLECOES = ['reservas', 'problemas', 'simulacoes'];
+
+/*
+MIGRAÇÕES DE ESQUEMA
+Cada migração recebe o estado de todas as coleções
+({ reservas: [...], problemas: [...], simulacoes: [...] }) e altera os
+registros no lugar.
+Nunca edite uma migração já publicada: acrescente uma nova versão.
+*/
+const MIGRACOES = [
+  {
+    versao: 1,
+    descricao: 'Cria as coleções reservas e problemas',
+    aplicar: () => {}
+  },
+  {
+    versao: 2,
+    descricao: 'Adiciona o histórico de status às reservas',
+    aplicar: (estado) => {
+      estado.reservas.forEach(reserva => {
+        if (!Array.isArray(reserva.historico)) {
+          reserva.historico = [{ status: reserva.status, em: reserva.dataCriacao, motivo: 'Reserva criada' }];
+        }
+      });
+    }
+  },
+  {
+    versao: 3,
+    descricao: 'Cria a coleção simulacoes (registro de execuções)',
+    aplicar: () => {}
+  },
+  {
+    versao: 4,
+    descricao: 'Adiciona o status às simulações registradas (jobs assíncronos)',
+    aplicar: (estado) => {
+      estado.simulacoes.forEach(simulacao => {
+        if (!simulacao.status) simulacao.status = 'concluida';
+      });
+    }
+  }
+];
+
+const VERSAO_ATUAL = MIGRACOES[MIGRACOES.length - 1].versao;
+
+// ============================================================================
+// REPOSITÓRIO EM MEMÓRIA
+// ============================================================================
+class RepositorioMemoria {
+  constructor(nome) {
+    this.nome = nome;
+    this.registros = new Map(); // id → registro (ordem de inserção)
+  }
+
+  // --- Consulta ---
+  listar(filtro = () => true) {
+    return [...this.registros.values()].filter(filtro);
+  }
+
+  buscar(id) {
+    return this.registros.get(id) || null;
+  }
+
+  contar(filtro) {
+    return filtro ? this.listar(filtro).length : this.registros.size;
+  }
+
+  // --- Alteração ---
+  inserir(registro) {
+    if (!registro || registro.id === undefined) {
+      throw new Error(`${this.nome}: registro sem id`);
+    }
+    if (this.registros.has(registro.id)) {
+      throw new Error(`${this.nome}: id duplicado "${registro.id}"`);
+    }
+    this._aplicar({ op: 'inserir', id: registro.id, dados: registro });
+    return this.registros.get(registro.id);
+  }
+
+  atualizar(id, alteracoes) {
+    if (!this.registros.has(id)) return null;
+    this._aplicar({ op: 'atualizar', id, dados: alteracoes });
+    return this.registros.get(id);
+  }
+
+  remover(id) {
+    if (!this.registros.has(id)) return false;
+    this._aplicar({ op: 'remover', id });
+    return true;
+  }
+
+  // --- Aplica uma operação ao estado (também usada ao reler o diário) ---
+  _aplicar(operacao) {
+    switch (operacao.op) {
+      case 'inserir':
+        this.registros.set(operacao.id, { ...operacao.dados });
+        break;
+      case 'atualizar':
+        if (this.registros.has(operacao.id)) {
+          this.registros.set(operacao.id, { ...this.registros.get(operacao.id), ...operacao.dados });
+        }
+        break;
+      case 'remover':
+        this.registros.delete(operacao.id);
+        break;
+      default:
+        throw new Error(`${this.nome}: operação desconhecida "${operacao.op}"`);
+    }
+  }
+}
+
+// ============================================================================
+// REPOSITÓRIO EM ARQUIVO (diário JSON Lines)
+// ============================================================================
+class RepositorioArquivo extends RepositorioMemoria {
+  constructor(nome, diretorio) {
+    super(nome);
+    this.arquivo = path.join(diretorio, `${nome}.jsonl`);
+    this._carregar();
+  }
+
+  // --- Reaplica o diário gravado ---
+  _carregar() {
+    if (!fs.existsSync(this.arquivo)) return;
+
+    const linhas = fs.readFileSync(this.arquivo, 'utf8').split('\n');
+    let linhaCortada = false;
+    linhas.forEach((linha, i) => {
+      if (linha.trim() === '') return;
+      try {
+        super._aplicar(JSON.parse(linha));
+      } catch (error) {
+        // Última linha cortada (queda no meio da gravação): descarta
+        const ultima = linhas.slice(i + 1).every(l => l.trim() === '');
+        if (!ultima) throw new Error(`${this.arquivo}, linha ${i + 1}: ${error.message}`);
+        console.warn(`⚠️  ${this.arquivo}: última linha incompleta ignorada`);
+        linhaCortada = true;
+      }
+    });
+
+    // Reescreve sem o trecho cortado para as próximas gravações não colarem nele
+    if (linhaCortada) this.compactar();
+  }
+
+  // Grava a operação no diário antes de alterar a memória
+  _aplicar(operacao) {
+    fs.appendFileSync(this.arquivo, JSON.stringify(operacao) + '\n');
+    super._aplicar(operacao);
+  }
+
+  // --- Reescreve o diário só com o estado atual (troca atômica) ---
+  compactar() {
+    const temporario = this.arquivo + '.tmp';
+    const conteudo = this.listar()
+      .map(registro => JSON.stringify({ op: 'inserir', id: registro.id, dados: registro }) + '\n')
+      .join('');
+    fs.writeFileSync(temporario, conteudo);
+    fs.renameSync(temporario, this.arquivo);
+  }
+}
+
+// ============================================================================
+// ABERTURA E MIGRAÇÕES
+// ============================================================================
+function lerVersao(diretorio) {
+  const arquivo = path.join(diretorio, 'esquema.json');
+  if (!fs.existsSync(arquivo)) return 0;
+  return JSON.parse(fs.readFileSync(arquivo, 'utf8')).versao;
+}
+
+function gravarVersao(diretorio, versao) {
+  const arquivo = path.join(diretorio, 'esquema.json');
+  fs.writeFileSync(arquivo, JSON.stringify({ versao, atualizadoEm: new Date().toISOString() }, null, 2));
+}
+
+// Aplica as migrações com versão acima da gravada e compacta os diários
+function migrar(diretorio, repositorios) {
+  const versaoGravada = lerVersao(diretorio);
+  if (versaoGravada > VERSAO_ATUAL) {
+    throw new Error(`Esquema em ${diretorio} (v${versaoGravada}) é mais novo que o suportado (v${VERSAO_ATUAL})`);
+  }
+
+  const pendentes = MIGRACOES.filter(m => m.versao > versaoGravada);
+  if (pendentes.length === 0) return [];
+
+  const estado = {};
+  COLECOES.forEach(nome => { estado[nome] = repositorios[nome].listar(); });
+  pendentes.forEach(migracao => migracao.aplicar(estado));
+
+  COLECOES.forEach(nome => {
+    const repositorio = repositorios[nome];
+    repositorio.registros = new Map(estado[nome].map(registro => [registro.id, registro]));
+    repositorio.compactar();
+  });
+  gravarVersao(diretorio, VERSAO_ATUAL);
+
+  return pendentes.map(m => ({ versao: m.versao, descricao: m.descricao }));
+}
+
+/*
+Abre os repositórios de reservas, problemas e simulações.
+- tipo 'arquivo' (padrão): diários em 'diretorio', migrados na abertura
+- tipo 'memoria': nada é gravado
+*/
+function criarArmazenamento({ tipo = 'arquivo', diretorio } = {}) {
+  if (tipo === 'memoria') {
+    const repositorios = {};
+    COLECOES.forEach(nome => { repositorios[nome] = new RepositorioMemoria(nome); });
+    return { tipo, versaoEsquema: VERSAO_ATUAL, migracoesAplicadas: [], ...repositorios };
+  }
+
+  if (tipo !== 'arquivo') {
+    throw new Error(`Armazenamento desconhecido "${tipo}". Disponíveis: arquivo, memoria`);
+  }
+  if (!diretorio) throw new Error('Armazenamento em arquivo precisa de um diretório');
+
+  fs.mkdirSync(diretorio, { recursive: true });
+  const repositorios = {};
+  COLECOES.forEach(nome => { repositorios[nome] = new RepositorioArquivo(nome, diretorio); });
+  const migracoesAplicadas = migrar(diretorio, repositorios);
+
+  return { tipo, diretorio, versaoEsquema: VERSAO_ATUAL, migracoesAplicadas, ...repositorios };
+}
+
+module.exports = {
+  criarArmazenamento,
+  RepositorioMemoria,
+  RepositorioArquivo,
+  MIGRACOES,
+  VERSAO_ATUAL
+};
@@ -0,0 +1,491 @@
+// ============================================================================
+// FERRY BOT - CALIBRAÇÃO COM DADOS HISTÓRICOS
+// ============================================================================
+// Lê os registros das catracas/bilheteria (CSV) e estima os parâmetros do
+// simulador, devolvendo uma configuração pronta para POST /simular.
+//
+// CSV de chegadas (uma linha por veículo; cabeçalho obrigatório):
+//   chegada   → data e hora de chegada (obrigatório)
+//   tipo      → carro, moto, caminhao, onibus, pedestre (padrão: carro)
+//   terminal  → id do terminal de origem (opcional)
+//   embarque  → data e hora em que embarcou (opcional; dá o Wq observado)
+//
+// CSV de viagens (uma linha por partida; opcional):
+//   inicio_embarque, partida, chegada_destino → data e hora (obrigatórios)
+//   fim_desembarque, veiculos                 → tempo de desembarque
+//
+// Datas: "AAAA-MM-DD HH:MM[:SS]", ISO ("AAAA-MM-DDTHH:MM") ou
+// "DD/MM/AAAA HH:MM". Separador "," ou ";" (detectado no cabeçalho).
+//
+// Estimativas:
+//   - perfis de chegada por hora para cada tipo de dia do calendário
+//     (dia_util, sabado, domingo, feriado...) e a demanda por terminal
+//   - mix de tipos de veículo
+//   - tempos de embarque, travessia e desembarque, com a distribuição
+//     (exponencial, normal ou lognormal) que melhor adere aos dados
+//
+// Aderência:
+//   - chegadas Poisson: teste de dispersão qui-quadrado. Numa mesma hora
+//     de dias do mesmo tipo, contagens Poisson têm variância = média;
+//     D = Σ (x - x̄)² / x̄ segue χ² com (dias - 1) graus de liberdade
+//   - tempos de serviço: Kolmogorov-Smirnov contra cada distribuição
+//     ajustada. Os parâmetros saem da própria amostra, então o p-valor
+//     é otimista (Lilliefors): use-o para comparar as candidatas
+// ============================================================================
+
+const { media, desvioPadrao, resumir, pValorQuiQuadrado, pValorKolmogorov } = require('./estatistica');
+const { acumulada } = require('./distribuicoes');
+const { perfilDaData } = require('./perfis-chegada');
+
+const MINUTOS_DIA = 1440;
+const NIVEL_SIGNIFICANCIA = 0.05;
+const MAXIMO_LINHAS_IGNORADAS = 20;  // Linhas com erro listadas na resposta
+
+// Nomes aceitos na coluna tipo (já sem acento e em minúsculas)
+const TIPOS_ACEITOS = {
+  carro: 'carro', automovel: 'carro',
+  moto: 'moto', motocicleta: 'moto',
+  caminhao: 'caminhao',
+  onibus: 'onibus',
+  pedestre: 'pedestre'
+};
+
+// ============================================================================
+// LEITURA DO CSV
+// ============================================================================
+
+// Divide uma linha respeitando campos entre aspas ("a;b" conta como um campo)
+function dividirLinha(linha, separador) {
+  const campos = [];
+  let atual = '';
+  let entreAspas = false;
+  for (let i = 0; i < linha.length; i++) {
+    const c = linha[i];
+    if (c === '"') {
+      if (entreAspas && linha[i + 1] === '"') { atual += '"'; i++; } else entreAspas = !entreAspas;
+    } else if (c === separador && !entreAspas) {
+      campos.push(atual.trim());
+      atual = '';
+    } else {
+      atual += c;
+    }
+  }
+  campos.push(atual.trim());
+  return campos;
+}
+
+// Cabeçalho sem acento, minúsculo e com "_" (ex.: "Início Embarque" → inicio_embarque)
+function normalizarColuna(nome) {
+  return nome.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/*
+Lê o texto CSV e devolve { colunas, linhas: [{ numero, valores: { coluna: texto } }] }
+*/
+function lerCsv(texto) {
+  if (typeof texto !== 'string' || texto.trim() === '') {
+    throw new Error('CSV vazio');
+  }
+  const linhas = texto.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const cabecalho = linhas[0];
+  const separador = (cabecalho.match(/;/g) || []).length > (cabecalho.match(/,/g) || []).length ? ';' : ',';
+  const colunas = dividirLinha(cabecalho, separador).map(normalizarColuna);
+
+  const registros = [];
+  linhas.slice(1).forEach((linha, i) => {
+    if (linha.trim() === '') return;
+    const campos = dividirLinha(linha, separador);
+    const valores = {};
+    colunas.forEach((coluna, j) => { valores[coluna] = campos[j] !== undefined ? campos[j] : ''; });
+    registros.push({ numero: i + 2, valores });
+  });
+  return { colunas, linhas: registros };
+}
+
+/*
+Data e hora → { minuto (minutos desde 1970, sem fuso), data: 'AAAA-MM-DD' }
+Os registros são horário local do terminal; tratamos tudo como UTC só
+para fazer contas sem horário de verão. Inválido → null.
+*/
+function lerMomento(texto) {
+  if (!texto) return null;
+  let partes = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(texto);
+  let ano, mes, dia;
+  if (partes) {
+    [, ano, mes, dia] = partes;
+  } else {
+    partes = /^(\d{2})\/(\d{2})\/(\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(texto);
+    if (!partes) return null;
+    [, dia, mes, ano] = partes;
+  }
+  const [hora, minuto, segundo] = [partes[4], partes[5], partes[6] || '0'].map(Number);
+  const ms = Date.UTC(Number(ano), Number(mes) - 1, Number(dia), hora, minuto, segundo);
+  const data = `${ano}-${mes}-${dia}`;
+  // Dia 31/02, 25:00 etc. "viram" outra data no Date.UTC
+  if (new Date(ms).toISOString().slice(0, 10) !== data || hora > 23 || minuto > 59) return null;
+  return { minuto: ms / 60000, data };
+}
+
+// Acumula erros de linha (só os primeiros são devolvidos)
+function registrarIgnorada(ignoradas, arquivo, numero, motivo) {
+  ignoradas.total++;
+  if (ignoradas.linhas.length < MAXIMO_LINHAS_IGNORADAS) ignoradas.linhas.push({ arquivo, linha: numero, motivo });
+}
+
+function exigirColunas(csv, obrigatorias, arquivo) {
+  const faltando = obrigatorias.filter(c => !csv.colunas.includes(c));
+  if (faltando.length > 0) {
+    throw new Error(`${arquivo}: colunas obrigatórias ausentes: ${faltando.join(', ')} (encontradas: ${csv.colunas.join(', ')})`);
+  }
+}
+
+function lerChegadas(texto, ignoradas) {
+  const csv = lerCsv(texto);
+  exigirColunas(csv, ['chegada'], 'chegadas');
+
+  const chegadas = [];
+  csv.linhas.forEach(({ numero, valores }) => {
+    const chegada = lerMomento(valores.chegada);
+    if (!chegada) return registrarIgnorada(ignoradas, 'chegadas', numero, `chegada inválida "${valores.chegada}"`);
+
+    const tipo = TIPOS_ACEITOS[normalizarColuna(valores.tipo || 'carro')];
+    if (!tipo) return registrarIgnorada(ignoradas, 'chegadas', numero, `tipo desconhecido "${valores.tipo}"`);
+
+    let espera = null;
+    if (valores.embarque) {
+      const embarque = lerMomento(valores.embarque);
+      if (!embarque || embarque.minuto < chegada.minuto) {
+        return registrarIgnorada(ignoradas, 'chegadas', numero, `embarque inválido "${valores.embarque}"`);
+      }
+      espera = embarque.minuto - chegada.minuto;
+    }
+
+    chegadas.push({
+      data: chegada.data,
+      minutoDoDia: chegada.minuto % MINUTOS_DIA,
+      tipo,
+      terminal: valores.terminal || null,
+      espera
+    });
+  });
+  return chegadas;
+}
+
+function lerViagens(texto, ignoradas) {
+  const csv = lerCsv(texto);
+  exigirColunas(csv, ['inicio_embarque', 'partida', 'chegada_destino'], 'viagens');
+
+  const viagens = [];
+  csv.linhas.forEach(({ numero, valores }) => {
+    const [inicio, partida, chegada] = [valores.inicio_embarque, valores.partida, valores.chegada_destino].map(lerMomento);
+    if (!inicio || !partida || !chegada || partida.minuto < inicio.minuto || chegada.minuto < partida.minuto) {
+      return registrarIgnorada(ignoradas, 'viagens', numero, 'horários ausentes ou fora de ordem');
+    }
+
+    const viagem = {
+      embarqueMinutos: partida.minuto - inicio.minuto,
+      travessiaMinutos: chegada.minuto - partida.minuto,
+      desembarqueSegundosPorVeiculo: null
+    };
+    const fim = lerMomento(valores.fim_desembarque);
+    const veiculos = Number(valores.veiculos);
+    if (fim && fim.minuto >= chegada.minuto && veiculos > 0) {
+      viagem.desembarqueSegundosPorVeiculo = (fim.minuto - chegada.minuto) * 60 / veiculos;
+    }
+    viagens.push(viagem);
+  });
+  return viagens;
+}
+
+// ============================================================================
+// CHEGADAS: PERFIS, DEMANDA E TESTE DE POISSON
+// ============================================================================
+
+/*
+Contagens por hora de cada dia, agrupadas pelo tipo de dia do calendário:
+{ dia_util: { datas: [...], porData: { data: { total: [24], terminais: { id: [24] } } } } }
+*/
+function contarPorHora(chegadas, calendario) {
+  const grupos = {};
+  chegadas.forEach(chegada => {
+    const perfil = perfilDaData(chegada.data, calendario);
+    const grupo = grupos[perfil] = grupos[perfil] || { porData: {} };
+    const dia = grupo.porData[chegada.data] = grupo.porData[chegada.data] || { total: new Array(24).fill(0), terminais: {} };
+    const hora = Math.floor(chegada.minutoDoDia / 60);
+    dia.total[hora]++;
+    if (chegada.terminal) {
+      dia.terminais[chegada.terminal] = dia.terminais[chegada.terminal] || new Array(24).fill(0);
+      dia.terminais[chegada.terminal][hora]++;
+    }
+  });
+  return grupos;
+}
+
+// Média por hora das contagens de vários dias
+function mediasPorHora(contagensDias) {
+  return new Array(24).fill(0).map((_, hora) => media(contagensDias.map(c => (c ? c[hora] : 0))));
+}
+
+/*
+TESTE DE DISPERSÃO (Poisson)
+Para cada hora de operação e tipo de dia com 2+ dias observados:
+D = Σ (x - x̄)² / x̄, com (dias - 1) graus de liberdade. As horas são
+somadas (independentes) num teste único.
+*/
+function testeDispersaoPoisson(grupos, horaInicio, horaFim) {
+  let estatistica = 0;
+  let grausLiberdade = 0;
+  Object.values(grupos).forEach(grupo => {
+    const dias = Object.values(grupo.porData);
+    if (dias.length < 2) return;
+    for (let hora = horaInicio; hora < horaFim; hora++) {
+      const contagens = dias.map(d => d.total[hora]);
+      const m = media(contagens);
+      if (m <= 0) continue;
+      estatistica += contagens.reduce((s, x) => s + (x - m) ** 2, 0) / m;
+      grausLiberdade += contagens.length - 1;
+    }
+  });
+
+  if (grausLiberdade === 0) {
+    return { aplicado: false, motivo: 'São necessários ao menos 2 dias do mesmo tipo para o teste' };
+  }
+
+  // Bicaudal: variância alta demais (rajadas) ou baixa demais (chegadas regulares)
+  const caudaSuperior = pValorQuiQuadrado(estatistica, grausLiberdade);
+  const pValor = Math.min(1, 2 * Math.min(caudaSuperior, 1 - caudaSuperior));
+  const indiceDispersao = estatistica / grausLiberdade;
+  let conclusao = 'Compatível com chegadas Poisson';
+  if (pValor < NIVEL_SIGNIFICANCIA) {
+    conclusao = indiceDispersao > 1
+      ? 'Rejeita Poisson: sobredispersão (chegadas em rajadas ou dias muito diferentes)'
+      : 'Rejeita Poisson: subdispersão (chegadas mais regulares que Poisson)';
+  }
+
+  return {
+    aplicado: true,
+    teste: 'qui-quadrado (índice de dispersão)',
+    estatistica,
+    grausLiberdade,
+    indiceDispersao,
+    pValor,
+    nivelSignificancia: NIVEL_SIGNIFICANCIA,
+    conclusao
+  };
+}
+
+/*
+Perfis por tipo de dia e demanda por terminal.
+A taxa base do simulador é veiculosDiarios / horasOperacao; os fatores
+de cada perfil são a média observada na hora dividida por essa base.
+veiculosDiarios = média diária (na janela de operação) do dia útil, ou
+do tipo de dia mais observado se não houver dia útil.
+*/
+function estimarChegadas(chegadas, configBase) {
+  const calendario = configBase.calendarioChegadas;
+  const grupos = contarPorHora(chegadas, calendario);
+  const horaInicio = configBase.horarioInicio;
+  const horaFim = configBase.horarioFim;
+  const naJanela = (contagens) => contagens.slice(horaInicio, horaFim).reduce((s, x) => s + x, 0);
+
+  const resumoGrupos = {};
+  Object.entries(grupos).forEach(([perfil, grupo]) => {
+    const dias = Object.values(grupo.porData);
+    resumoGrupos[perfil] = {
+      dias: dias.length,
+      mediasHora: mediasPorHora(dias.map(d => d.total)),
+      mediaDiaria: media(dias.map(d => naJanela(d.total)))
+    };
+  });
+
+  const referencia = resumoGrupos.dia_util
+    ? 'dia_util'
+    : Object.keys(resumoGrupos).sort((a, b) => resumoGrupos[b].dias - resumoGrupos[a].dias)[0];
+  const veiculosDiarios = resumoGrupos[referencia].mediaDiaria;
+  const taxaBase = veiculosDiarios / configBase.horasOperacao;
+
+  // Fatia de cada terminal na demanda total (só se a coluna existir)
+  const totalPorTerminal = {};
+  chegadas.forEach(c => { if (c.terminal) totalPorTerminal[c.terminal] = (totalPorTerminal[c.terminal] || 0) + 1; });
+  const comTerminal = Object.values(totalPorTerminal).reduce((s, x) => s + x, 0);
+  const percentualDemanda = {};
+  Object.entries(totalPorTerminal).forEach(([id, total]) => { percentualDemanda[id] = total / comTerminal; });
+
+  const perfis = {};
+  Object.entries(grupos).forEach(([perfil, grupo]) => {
+    const fatores = resumoGrupos[perfil].mediasHora.map(m => (taxaBase > 0 ? m / taxaBase : 0));
+    const terminais = {};
+    Object.keys(percentualDemanda).forEach(id => {
+      const baseTerminal = taxaBase * percentualDemanda[id];
+      const dias = Object.values(grupo.porData).map(d => d.terminais[id]);
+      terminais[id] = {
+        fatores: mediasPorHora(dias).map(m => (baseTerminal > 0 ? m / baseTerminal : 0))
+      };
+    });
+    perfis[perfil] = { intervaloMinutos: 60, fatores };
+    if (Object.keys(terminais).length > 1) perfis[perfil].terminais = terminais;
+  });
+
+  return {
+    veiculosDiarios,
+    perfilReferencia: referencia,
+    percentualDemanda,
+    perfis,
+    porPerfil: Object.fromEntries(Object.entries(resumoGrupos).map(([perfil, r]) => [perfil, {
+      dias: r.dias,
+      mediaDiaria: r.mediaDiaria,
+      mediaPorHora: r.mediasHora
+    }])),
+    testePoisson: testeDispersaoPoisson(grupos, horaInicio, horaFim)
+  };
+}
+
+// --- Mix de tipos (fração de cada tipo nas chegadas) ---
+function estimarMix(chegadas) {
+  const contagem = {};
+  chegadas.forEach(c => { contagem[c.tipo] = (contagem[c.tipo] || 0) + 1; });
+  const mix = {};
+  Object.entries(contagem).forEach(([tipo, n]) => { mix[tipo] = n / chegadas.length; });
+  return mix;
+}
+
+// ============================================================================
+// TEMPOS DE SERVIÇO: AJUSTE E KOLMOGOROV-SMIRNOV
+// ============================================================================
+
+// Estatística D = sup |F_empírica - F_teórica|
+function estatisticaKS(amostras, spec) {
+  const ordenadas = [...amostras].sort((a, b) => a - b);
+  const n = ordenadas.length;
+  let D = 0;
+  ordenadas.forEach((x, i) => {
+    const F = acumulada(spec, x);
+    D = Math.max(D, (i + 1) / n - F, F - i / n);
+  });
+  return D;
+}
+
+/*
+Ajusta exponencial, normal e lognormal pelos momentos e escolhe a de
+maior p-valor no KS. Amostra constante (desvio 0) vira 'fixo'.
+*/
+function ajustarDistribuicao(amostras) {
+  const m = media(amostras);
+  const desvio = desvioPadrao(amostras);
+  const resumo = resumir(amostras);
+  if (amostras.length < 2 || desvio === 0) {
+    return { n: amostras.length, resumo, escolhida: { tipo: 'fixo', valor: m }, candidatas: [] };
+  }
+
+  const especificacoes = [
+    { tipo: 'exponencial', media: m },
+    { tipo: 'normal', media: m, desvio },
+    ...(amostras.every(x => x > 0) ? [{ tipo: 'lognormal', media: m, desvio }] : [])
+  ];
+  const candidatas = especificacoes.map(spec => {
+    const D = estatisticaKS(amostras, spec);
+    const pValor = pValorKolmogorov(D, amostras.length);
+    return { distribuicao: spec, ks: { D, pValor, rejeitada: pValor < NIVEL_SIGNIFICANCIA } };
+  }).sort((a, b) => b.ks.pValor - a.ks.pValor);
+
+  return { n: amostras.length, resumo, escolhida: candidatas[0].distribuicao, candidatas };
+}
+
+function estimarServico(viagens) {
+  const amostrasDesembarque = viagens.map(v => v.desembarqueSegundosPorVeiculo).filter(x => x !== null);
+  return {
+    embarqueMinutos: viagens.length > 0 ? ajustarDistribuicao(viagens.map(v => v.embarqueMinutos)) : null,
+    travessiaMinutos: viagens.length > 0 ? ajustarDistribuicao(viagens.map(v => v.travessiaMinutos)) : null,
+    desembarqueSegundosPorVeiculo: amostrasDesembarque.length > 0 ? ajustarDistribuicao(amostrasDesembarque) : null
+  };
+}
+
+// ============================================================================
+// CALIBRAÇÃO COMPLETA
+// ============================================================================
+
+/*
+Recebe os textos CSV e a configuração base (CONFIG + ajustes) e devolve:
+{ configuracao, ajuste: { chegadas, mix, servico, esperaObservada },
+  avisos, linhasIgnoradas }
+'configuracao' contém só os campos estimados: mescle com o que quiser
+manter e envie para POST /simular.
+*/
+function calibrar({ chegadas: csvChegadas, viagens: csvViagens }, configBase) {
+  const ignoradas = { total: 0, linhas: [] };
+  const avisos = [];
+
+  const chegadas = lerChegadas(csvChegadas, ignoradas);
+  if (chegadas.length === 0) throw new Error('chegadas: nenhuma linha válida');
+  const viagens = csvViagens ? lerViagens(csvViagens, ignoradas) : [];
+  if (!csvViagens) avisos.push('Sem CSV de viagens: tempos de embarque, travessia e desembarque mantidos');
+  if (ignoradas.total > 0) avisos.push(`${ignoradas.total} linha(s) ignorada(s) por erro de formato`);
+
+  const estimativa = estimarChegadas(chegadas, configBase);
+  const mix = estimarMix(chegadas);
+  const servico = estimarServico(viagens);
+
+  const configuracao = {
+    veiculosDiarios: estimativa.veiculosDiarios,
+    perfisChegada: estimativa.perfis,
+    percentualCarros: mix.carro || 0,
+    percentualCaminhoes: mix.caminhao || 0,
+    tiposVeiculo: Object.fromEntries(Object.keys(configBase.tiposVeiculo).map(tipo => [tipo, { percentual: mix[tipo] || 0 }]))
+  };
+
+  // Terminais do CSV que existem na configuração ganham a fatia observada
+  const ids = Object.keys(estimativa.percentualDemanda);
+  if (ids.length > 0) {
+    const desconhecidos = ids.filter(id => !configBase.terminais.some(t => t.id === id));
+    if (desconhecidos.length > 0) {
+      avisos.push(`Terminais fora da configuração ignorados na demanda: ${desconhecidos.join(', ')}`);
+    } else {
+      // veiculosDiarios próprio do terminal venceria a fatia: é descartado
+      configuracao.terminais = configBase.terminais.map(({ veiculosDiarios: _descartado, ...t }) => ({
+        ...t,
+        percentualDemanda: estimativa.percentualDemanda[t.id] || 0
+      }));
+    }
+  }
+
+  // Os tempos de serviço vão com a distribuição escolhida no ajuste
+  if (servico.embarqueMinutos) configuracao.tempoEmbarqueMinutos = servico.embarqueMinutos.escolhida;
+  if (servico.travessiaMinutos) configuracao.tempoTravessiaMinutos = servico.travessiaMinutos.escolhida;
+  if (servico.desembarqueSegundosPorVeiculo) {
+    configuracao.tempoDesembarqueSegundos = servico.desembarqueSegundosPorVeiculo.escolhida;
+  }
+
+  if (!estimativa.testePoisson.aplicado) avisos.push(estimativa.testePoisson.motivo);
+  if (!estimativa.porPerfil.dia_util) {
+    avisos.push(`Sem dias úteis nos dados: a taxa base usa o perfil "${estimativa.perfilReferencia}"`);
+  }
+
+  const esperas = chegadas.map(c => c.espera).filter(e => e !== null);
+
+  return {
+    configuracao,
+    ajuste: {
+      chegadas: {
+        registros: chegadas.length,
+        perfilReferencia: estimativa.perfilReferencia,
+        porPerfil: estimativa.porPerfil,
+        percentualDemanda: estimativa.percentualDemanda,
+        testePoisson: estimativa.testePoisson
+      },
+      mix,
+      servico: { viagens: viagens.length, ...servico },
+      esperaObservada: esperas.length > 0 ? resumir(esperas) : null
+    },
+    avisos,
+    linhasIgnoradas: ignoradas
+  };
+}
+
+module.exports = {
+  lerCsv,
+  lerMomento,
+  estimarChegadas,
+  ajustarDistribuicao,
+  testeDispersaoPoisson,
+  calibrar
+};
@@ -0,0 +1,176 @@
+// ============================================================================
+// FERRY BOT - CONDIÇÕES DE NAVEGAÇÃO (MARÉ E CLIMA)
+// ============================================================================
+// Maré: a baía de São Marcos tem grande amplitude e, na baixa-mar, o canal
+// e a rampa de Cujupe ficam rasos demais. A altura da maré vem de:
+//   - tabua: preamares e baixa-mares da tábua de marés
+//       [{ dia: 1, horario: '04:12', altura: 6.1 }, ...]
+//     (ou data: 'AAAA-MM-DD' no lugar de dia, contada a partir de
+//     dataInicial). Entre dois extremos a curva é um cosseno; antes do
+//     primeiro e depois do último vale a altura do extremo mais próximo.
+//   - sem tabua: maré semidiurna sintética
+//       h(t) = nivelMedioMetros + amplitudeMetros × cos(2π (t - preamar) / periodo)
+// Uma travessia que toca um terminal afetado só parte com altura maior ou
+// igual a alturaMinimaMetros. A saída espera a maré subir até
+// toleranciaMinutos; se demorar mais, a viagem é cancelada e a rampa do
+// terminal fica fechada até a maré voltar.
+//
+// Clima: cada cenário multiplica o tempo de travessia (fatorTravessia).
+// O cenário padrão vale o tempo todo; periodos trocam o cenário em
+// faixas de horário (de um dia ou de todos os dias).
+//
+// Tudo é determinístico: não consome números aleatórios, então as mesmas
+// chegadas e tempos sorteados valem com e sem condições (comparação
+// pareada do efeito da maré na fila).
+// ============================================================================
+
+const { minutosDoHorario } = require('./horarios');
+
+const MINUTOS_DIA = 1440;
+const BUSCA_MAXIMA_MINUTOS = MINUTOS_DIA; // Procura a próxima maré utilizável por até 24h
+
+function minutoDoHorario(horario, campo) {
+  const minuto = minutosDoHorario(horario);
+  if (minuto === null) throw new Error(`${campo}: horário inválido "${horario}" (use HH:MM)`);
+  return minuto;
+}
+
+// 'AAAA-MM-DD' → dias desde dataInicial
+function diasDesde(data, dataInicial, campo) {
+  if (!dataInicial) throw new Error(`${campo}: "data" exige dataInicial na configuração`);
+  const diferenca = Date.parse(`${data}T00:00:00Z`) - Date.parse(`${dataInicial}T00:00:00Z`);
+  if (Number.isNaN(diferenca)) throw new Error(`${campo}: data inválida "${data}" (use AAAA-MM-DD)`);
+  return Math.round(diferenca / (MINUTOS_DIA * 60000));
+}
+
+// --- Tábua de marés → extremos ordenados { tempo, altura } ---
+function extremosDaTabua(tabua, dataInicial) {
+  if (!Array.isArray(tabua) || tabua.length < 2) {
+    throw new Error('condicoes.mare.tabua deve ter pelo menos dois extremos (preamar e baixa-mar)');
+  }
+  return tabua.map((extremo, i) => {
+    const campo = `condicoes.mare.tabua[${i}]`;
+    if (typeof extremo.altura !== 'number' || !Number.isFinite(extremo.altura)) {
+      throw new Error(`${campo}.altura deve ser um número (metros)`);
+    }
+    const dia = extremo.data !== undefined
+      ? diasDesde(extremo.data, dataInicial, campo)
+      : (extremo.dia !== undefined ? extremo.dia - 1 : 0);
+    if (!Number.isInteger(dia)) throw new Error(`${campo}.dia deve ser um inteiro (1 = primeiro dia)`);
+    return { tempo: dia * MINUTOS_DIA + minutoDoHorario(extremo.horario, `${campo}.horario`), altura: extremo.altura };
+  }).sort((a, b) => a.tempo - b.tempo);
+}
+
+// --- Altura por interpolação em cosseno entre dois extremos ---
+function alturaPelaTabua(extremos, t) {
+  if (t <= extremos[0].tempo) return extremos[0].altura;
+  const ultimo = extremos[extremos.length - 1];
+  if (t >= ultimo.tempo) return ultimo.altura;
+
+  let i = 1;
+  while (extremos[i].tempo < t) i++;
+  const anterior = extremos[i - 1];
+  const proximo = extremos[i];
+  const fracao = (t - anterior.tempo) / (proximo.tempo - anterior.tempo);
+  return anterior.altura + (proximo.altura - anterior.altura) * (1 - Math.cos(Math.PI * fracao)) / 2;
+}
+
+// --- Cenário de clima em vigor no instante t (o último período listado vence) ---
+function cenarioNoInstante(clima, t) {
+  const dia = Math.floor(t / MINUTOS_DIA);
+  const minuto = t - dia * MINUTOS_DIA;
+  const periodo = clima.periodos
+    .filter(p => (p.dia === null || p.dia === dia) && minuto >= p.inicio && minuto < p.fim)
+    .pop();
+  return periodo ? periodo.cenario : clima.cenario;
+}
+
+/*
+Valida as condições e devolve as consultas usadas pelo simulador:
+  alturaMare(t), mareRestringe(origem, destino),
+  liberacaoMare(t) → primeiro instante >= t com altura suficiente (null se
+  não houver em 24h), cenarioClima(t), fatorTravessia(t)
+*/
+function criarCondicoes(opcoes, { dataInicial } = {}) {
+  const mare = opcoes.mare || {};
+  const clima = opcoes.clima || {};
+
+  if (typeof mare.alturaMinimaMetros !== 'number' || !Number.isFinite(mare.alturaMinimaMetros)) {
+    throw new Error('condicoes.mare.alturaMinimaMetros deve ser um número (metros)');
+  }
+  if (!(mare.toleranciaMinutos >= 0)) {
+    throw new Error('condicoes.mare.toleranciaMinutos deve ser maior ou igual a zero');
+  }
+
+  let alturaMare;
+  if (mare.tabua) {
+    const extremos = extremosDaTabua(mare.tabua, dataInicial);
+    alturaMare = t => alturaPelaTabua(extremos, t);
+  } else {
+    if (!(mare.periodoMinutos > 0)) throw new Error('condicoes.mare.periodoMinutos deve ser positivo');
+    if (!(mare.amplitudeMetros >= 0)) throw new Error('condicoes.mare.amplitudeMetros deve ser maior ou igual a zero');
+    const preamar = minutoDoHorario(mare.primeiraPreamar, 'condicoes.mare.primeiraPreamar');
+    alturaMare = t => mare.nivelMedioMetros +
+      mare.amplitudeMetros * Math.cos(2 * Math.PI * (t - preamar) / mare.periodoMinutos);
+  }
+
+  const cenarios = clima.cenarios || {};
+  Object.entries(cenarios).forEach(([nome, cenario]) => {
+    if (!(cenario.fatorTravessia > 0)) {
+      throw new Error(`condicoes.clima.cenarios.${nome}.fatorTravessia deve ser positivo`);
+    }
+  });
+  const exigirCenario = (nome, campo) => {
+    if (!cenarios[nome]) {
+      throw new Error(`${campo}: cenário "${nome}" não existe. Disponíveis: ${Object.keys(cenarios).join(', ')}`);
+    }
+    return nome;
+  };
+  const climaNormalizado = {
+    cenario: exigirCenario(clima.cenario, 'condicoes.clima.cenario'),
+    periodos: (clima.periodos || []).map((periodo, i) => {
+      const campo = `condicoes.clima.periodos[${i}]`;
+      const inicio = minutoDoHorario(periodo.inicio, `${campo}.inicio`);
+      const fim = periodo.fim === '24:00' ? MINUTOS_DIA : minutoDoHorario(periodo.fim, `${campo}.fim`);
+      if (fim <= inicio) throw new Error(`${campo}: fim deve ser depois do início`);
+      if (periodo.dia !== undefined && !(Number.isInteger(periodo.dia) && periodo.dia >= 1)) {
+        throw new Error(`${campo}.dia deve ser um inteiro a partir de 1 (omita para todos os dias)`);
+      }
+      return {
+        dia: periodo.dia !== undefined ? periodo.dia - 1 : null,
+        inicio,
+        fim,
+        cenario: exigirCenario(periodo.cenario, `${campo}.cenario`)
+      };
+    })
+  };
+
+  const afetados = mare.terminaisAfetados || [];
+
+  return {
+    toleranciaMinutos: mare.toleranciaMinutos,
+    alturaMinimaMetros: mare.alturaMinimaMetros,
+    alturaMare,
+
+    mareRestringe(origem, destino) {
+      return afetados.includes(origem) || afetados.includes(destino);
+    },
+
+    liberacaoMare(t) {
+      for (let minuto = 0; minuto <= BUSCA_MAXIMA_MINUTOS; minuto++) {
+        if (alturaMare(t + minuto) >= mare.alturaMinimaMetros) return t + minuto;
+      }
+      return null;
+    },
+
+    cenarioClima(t) {
+      return cenarioNoInstante(climaNormalizado, t);
+    },
+
+    fatorTravessia(t) {
+      return cenarios[cenarioNoInstante(climaNormalizado, t)].fatorTravessia;
+    }
+  };
+}
+
+module.exports = { criarCondicoes };
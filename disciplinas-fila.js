@@ -0,0 +1,133 @@
+// ============================================================================
+// FERRY BOT - DISCIPLINAS DE FILA
+// ============================================================================
+// Decide a ordem em que os veículos da fila de um terminal são chamados
+// para embarcar. A embarcação depois percorre essa ordem e leva quem couber
+// (ver Embarcacao.selecionarQueCabem).
+//
+// Disciplinas:
+//   fifo               → ordem de chegada
+//   prioridade_reserva → quem tem reserva primeiro; FIFO dentro do grupo
+//   ponderada          → maior (espera × peso da classe) primeiro
+//   classes            → classe de maior prioridade primeiro; FIFO dentro
+//
+// Garantia de espera máxima (esperaMaximaMinutos): quem chegou SEM reserva
+// e já esperou o limite passa à frente de todos, em ordem de chegada.
+//
+// Classes de prioridade (sorteadas na chegada, fluxo aleatório próprio):
+//   emergencia, transporte_publico (ônibus), pereciveis (parte dos
+//   caminhões), reserva e normal.
+// ============================================================================
+
+const porChegada = (a, b) => a.horarioChegada - b.horarioChegada;
+
+// Disciplinas cuja ordem não depende do instante: comparador a partir das opções
+const ORDENS_FIXAS = {
+  fifo: () => porChegada,
+
+  prioridade_reserva: () => (a, b) =>
+    (b.reserva === true) - (a.reserva === true) || porChegada(a, b),
+
+  classes: (opcoes) => (a, b) =>
+    prioridadeDaClasse(a, opcoes) - prioridadeDaClasse(b, opcoes) || porChegada(a, b)
+};
+
+const DISCIPLINAS = {
+  fifo: (fila, t, opcoes) => [...fila].sort(ORDENS_FIXAS.fifo(opcoes)),
+
+  prioridade_reserva: (fila, t, opcoes) => [...fila].sort(ORDENS_FIXAS.prioridade_reserva(opcoes)),
+
+  ponderada: (fila, t, opcoes) => {
+    const pontuacao = v => (t - v.horarioChegada) * pesoDaClasse(v, opcoes);
+    return [...fila].sort((a, b) => pontuacao(b) - pontuacao(a) || porChegada(a, b));
+  },
+
+  classes: (fila, t, opcoes) => [...fila].sort(ORDENS_FIXAS.classes(opcoes))
+};
+
+// Ordem das classes no sorteio e na exibição dos resultados
+const CLASSES = ['emergencia', 'transporte_publico', 'pereciveis', 'reserva', 'normal'];
+
+function pesoDaClasse(veiculo, opcoes) {
+  const classe = opcoes.classes[veiculo.classe];
+  return classe && classe.peso !== undefined ? classe.peso : 1;
+}
+
+function prioridadeDaClasse(veiculo, opcoes) {
+  const classe = opcoes.classes[veiculo.classe];
+  return classe && classe.prioridade !== undefined ? classe.prioridade : CLASSES.length;
+}
+
+/*
+Mescla a disciplina pedida com a padrão.
+Aceita o nome ("fifo") ou o objeto completo ({ tipo, esperaMaximaMinutos, classes }).
+*/
+function mesclarDisciplina(padrao, pedida) {
+  const custom = typeof pedida === 'string' ? { tipo: pedida } : (pedida || {});
+  const classes = {};
+  CLASSES.forEach(nome => {
+    classes[nome] = { ...(padrao.classes || {})[nome], ...((custom.classes || {})[nome] || {}) };
+  });
+  return { ...padrao, ...custom, classes };
+}
+
+function validarDisciplina(opcoes) {
+  if (!DISCIPLINAS[opcoes.tipo]) {
+    throw new Error(`disciplinaFila: tipo desconhecido "${opcoes.tipo}". Disponíveis: ${Object.keys(DISCIPLINAS).join(', ')}`);
+  }
+  const limite = opcoes.esperaMaximaMinutos;
+  if (limite !== null && limite !== undefined && !(limite > 0)) {
+    throw new Error('disciplinaFila.esperaMaximaMinutos deve ser positivo (ou null para desligar)');
+  }
+}
+
+/*
+Comparador da disciplina quando a ordem não muda com o tempo (fifo,
+prioridade_reserva e classes, sem espera máxima): o terminal mantém a fila
+nessa ordem e não reordena o backlog a cada embarque. null nos demais casos
+(ponderada e a garantia de espera máxima dependem do instante).
+*/
+function ordemFixa(opcoes) {
+  if (opcoes.esperaMaximaMinutos || !ORDENS_FIXAS[opcoes.tipo]) return null;
+  return ORDENS_FIXAS[opcoes.tipo](opcoes);
+}
+
+// --- Ordem de chamada da fila no instante t ---
+function ordenarFila(fila, t, opcoes) {
+  const ordenada = DISCIPLINAS[opcoes.tipo](fila, t, opcoes);
+
+  const limite = opcoes.esperaMaximaMinutos;
+  if (!limite) return ordenada;
+
+  // Garantia: sem reserva e esperando há "limite" minutos → passa à frente
+  const estourados = ordenada.filter(v => !v.reserva && t - v.horarioChegada >= limite).sort(porChegada);
+  if (estourados.length === 0) return ordenada;
+  const passaram = new Set(estourados);
+  return [...estourados, ...ordenada.filter(v => !passaram.has(v))];
+}
+
+/*
+Sorteia a classe de prioridade de um veículo.
+Sempre consome dois números do gerador, seja qual for o resultado, para
+que mudar percentuais ou disciplina não desloque os sorteios seguintes.
+*/
+function classificarVeiculo(veiculo, classes, aleatorio) {
+  const sorteioEmergencia = aleatorio();
+  const sorteioPereciveis = aleatorio();
+
+  if (sorteioEmergencia < (classes.emergencia.percentual || 0)) return 'emergencia';
+  if ((classes.transporte_publico.tipos || []).includes(veiculo.tipo)) return 'transporte_publico';
+  if (veiculo.tipo === 'caminhao' && sorteioPereciveis < (classes.pereciveis.percentualCaminhoes || 0)) return 'pereciveis';
+  if (veiculo.reserva) return 'reserva';
+  return 'normal';
+}
+
+module.exports = {
+  DISCIPLINAS,
+  CLASSES,
+  mesclarDisciplina,
+  validarDisciplina,
+  ordemFixa,
+  ordenarFila,
+  classificarVeiculo
+};
@@ -0,0 +1,203 @@
+// ============================================================================
+// FERRY BOT - VAGAS DE RESERVA POR PARTIDA
+// ============================================================================
+// Cada partida (terminal + horário de um dia) reserva uma fatia do convés
+// para quem agenda: capacidadeVeiculos × vagasReserva.percentualCapacidade,
+// em unidades de carro (caminhão ocupa 3, moto 0,25...).
+//
+// Partidas: as da tabelaHorarios do CONFIG, se houver; senão uma saída de
+// cada terminal a cada frequenciaSaidaMinutos entre horarioInicio e
+// horarioFim.
+//
+// Reservas "confirmada" e "check_in" ocupam vaga; "lista_espera" aguarda
+// desistências (ver reservas.js).
+// ============================================================================
+
+const { minutosDoHorario, formatarHorario } = require('./horarios');
+
+const STATUS_OCUPA_VAGA = ['confirmada', 'check_in'];
+
+// --- Datas no formato AAAA-MM-DD (horário local do servidor) ---
+function dataValida(data) {
+  if (typeof data !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data)) return false;
+  const dia = new Date(`${data}T00:00:00`);
+  return !Number.isNaN(dia.getTime()) && formatarData(dia) === data;
+}
+
+function formatarData(dia) {
+  const mes = String(dia.getMonth() + 1).padStart(2, '0');
+  return `${dia.getFullYear()}-${mes}-${String(dia.getDate()).padStart(2, '0')}`;
+}
+
+function somarDias(data, dias) {
+  const dia = new Date(`${data}T00:00:00`);
+  dia.setDate(dia.getDate() + dias);
+  return formatarData(dia);
+}
+
+function hoje() {
+  return formatarData(new Date());
+}
+
+// Instante da partida (Date local)
+function momentoPartida(data, horario) {
+  return new Date(`${data}T${horario}:00`);
+}
+
+// --- Horários de saída de um dia, por terminal ---
+function partidasDoDia(config) {
+  if (config.tabelaHorarios) {
+    const partidas = Array.isArray(config.tabelaHorarios) ? config.tabelaHorarios : config.tabelaHorarios.partidas;
+    return partidas
+      .map(p => ({ terminal: p.terminal, horario: formatarHorario(minutosDoHorario(p.horario)) }))
+      .sort((a, b) => a.horario.localeCompare(b.horario));
+  }
+
+  const partidas = [];
+  for (let minuto = config.horarioInicio * 60; minuto < config.horarioFim * 60; minuto += config.frequenciaSaidaMinutos) {
+    config.terminais.forEach(terminal => partidas.push({ terminal: terminal.id, horario: formatarHorario(minuto) }));
+  }
+  return partidas;
+}
+
+// Unidades de convés abertas a reservas em cada partida
+function capacidadeReservavel(config) {
+  return config.capacidadeVeiculos * config.vagasReserva.percentualCapacidade;
+}
+
+// Limite por tipo para reservas (ex.: faixa de caminhões), na mesma proporção
+function limiteReservavelPorTipo(config, tipo) {
+  const maximo = config.tiposVeiculo[tipo] && config.tiposVeiculo[tipo].maximoPorEmbarcacao;
+  if (maximo === undefined) return Infinity;
+  return Math.floor(maximo * config.vagasReserva.percentualCapacidade);
+}
+
+function unidadesDoTipo(config, tipo) {
+  return config.tiposVeiculo[tipo].unidades;
+}
+
+// Reserva pertence à partida? (reservas antigas, sem terminal, ficam de fora)
+function daPartida(reserva, data, terminal, horario) {
+  return reserva.data === data && reserva.terminal === terminal && reserva.horarioPartida === horario;
+}
+
+/*
+Ocupação de uma partida pelas reservas existentes
+Devolve unidades reservadas/livres, contagem por tipo e a lista de espera.
+*/
+function ocupacaoDaPartida(config, reservas, data, terminal, horario) {
+  const daquela = reservas.filter(r => daPartida(r, data, terminal, horario));
+  const confirmadas = daquela.filter(r => STATUS_OCUPA_VAGA.includes(r.status));
+  const capacidade = capacidadeReservavel(config);
+  const unidadesReservadas = confirmadas.reduce((soma, r) => soma + r.unidades, 0);
+
+  const porTipo = {};
+  confirmadas.forEach(r => { porTipo[r.tipoVeiculo] = (porTipo[r.tipoVeiculo] || 0) + 1; });
+
+  return {
+    data,
+    terminal,
+    horario,
+    capacidadeReservavel: capacidade,
+    unidadesReservadas,
+    unidadesLivres: Math.max(0, capacidade - unidadesReservadas),
+    reservasConfirmadas: confirmadas.length,
+    listaEspera: daquela.filter(r => r.status === 'lista_espera').length,
+    porTipo
+  };
+}
+
+// Cabe mais um veículo deste tipo na partida?
+function cabeNaPartida(config, ocupacao, tipo) {
+  const unidades = unidadesDoTipo(config, tipo);
+  const doTipo = ocupacao.porTipo[tipo] || 0;
+  return unidades <= ocupacao.unidadesLivres + 1e-9 && doTipo < limiteReservavelPorTipo(config, tipo);
+}
+
+// --- Quadro de vagas de um dia (opcionalmente de um só terminal) ---
+function disponibilidadeDoDia(config, reservas, data, terminal = null) {
+  return partidasDoDia(config)
+    .filter(p => !terminal || p.terminal === terminal)
+    .map(p => {
+      const ocupacao = ocupacaoDaPartida(config, reservas, data, p.terminal, p.horario);
+      return {
+        ...ocupacao,
+        vagasPorTipo: Object.keys(config.tiposVeiculo).reduce((vagas, tipo) => {
+          const unidades = unidadesDoTipo(config, tipo);
+          const porEspaco = unidades > 0 ? Math.floor(ocupacao.unidadesLivres / unidades + 1e-9) : Infinity;
+          const porLimite = limiteReservavelPorTipo(config, tipo) - (ocupacao.porTipo[tipo] || 0);
+          const livres = Math.max(0, Math.min(porEspaco, porLimite));
+          vagas[tipo] = Number.isFinite(livres) ? livres : null; // null = sem limite
+          return vagas;
+        }, {}),
+        lotada: ocupacao.unidadesLivres <= 1e-9
+      };
+    });
+}
+
+/*
+PARTIDA DA RESERVA
+Primeira saída do terminal no horário preferido ou depois dele.
+Sem data, usa hoje (se a partida ainda não saiu) ou amanhã.
+Devolve null quando não há partida que sirva.
+*/
+function escolherPartida(config, { data, terminal, horarioPreferencia }, agora = new Date()) {
+  const preferido = minutosDoHorario(horarioPreferencia);
+  const horarios = partidasDoDia(config)
+    .filter(p => p.terminal === terminal && minutosDoHorario(p.horario) >= preferido)
+    .map(p => p.horario);
+  if (horarios.length === 0) return null;
+
+  const dias = data ? [data] : [formatarData(agora), somarDias(formatarData(agora), 1)];
+  const dia = dias.find(d => momentoPartida(d, horarios[0]) > agora);
+  return dia ? { data: dia, horario: horarios[0] } : null;
+}
+
+/*
+ALTERNATIVAS MAIS PRÓXIMAS
+Partidas do mesmo terminal, no dia pedido e no seguinte, que ainda não
+saíram e têm lugar para o tipo de veículo; ordenadas pela distância ao
+horário desejado.
+*/
+function alternativasProximas(config, reservas, { data, terminal, horario, tipoVeiculo }, agora = new Date()) {
+  const desejado = momentoPartida(data, horario).getTime();
+  const candidatas = [];
+
+  [data, somarDias(data, 1)].forEach(dia => {
+    partidasDoDia(config)
+      .filter(p => p.terminal === terminal)
+      .forEach(p => {
+        if (dia === data && p.horario === horario) return;
+        const momento = momentoPartida(dia, p.horario);
+        if (momento <= agora) return;
+        const ocupacao = ocupacaoDaPartida(config, reservas, dia, terminal, p.horario);
+        if (!cabeNaPartida(config, ocupacao, tipoVeiculo)) return;
+        candidatas.push({
+          data: dia,
+          terminal,
+          horario: p.horario,
+          unidadesLivres: ocupacao.unidadesLivres,
+          distanciaMinutos: Math.round(Math.abs(momento.getTime() - desejado) / 60000)
+        });
+      });
+  });
+
+  return candidatas
+    .sort((a, b) => a.distanciaMinutos - b.distanciaMinutos)
+    .slice(0, config.vagasReserva.alternativas);
+}
+
+module.exports = {
+  STATUS_OCUPA_VAGA,
+  dataValida,
+  hoje,
+  somarDias,
+  momentoPartida,
+  partidasDoDia,
+  escolherPartida,
+  capacidadeReservavel,
+  ocupacaoDaPartida,
+  cabeNaPartida,
+  disponibilidadeDoDia,
+  alternativasProximas
+};
@@ -0,0 +1,246 @@
+// ============================================================================
+// FERRY BOT - DISTRIBUIÇÕES DE PROBABILIDADE
+// ============================================================================
+// Sorteio de durações aleatórias (tempo entre falhas, tempo de reparo...).
+// Cada distribuição é descrita por um objeto simples, por exemplo:
+//   { tipo: 'exponencial', media: 36 }
+//   { tipo: 'lognormal', media: 1.5, desvio: 1 }
+//   { tipo: 'weibull', forma: 1.5, media: 40 }
+//   { tipo: 'triangular', min: 70, moda: 80, max: 100 }
+//   { tipo: 'empirica', valores: [74, 78, 80, 81, 85, 96] }
+// A empírica interpola linearmente entre os valores observados
+// (ordenados), cada trecho com a mesma probabilidade.
+// A unidade é a do campo que recebe a especificação (ex.: ...Horas).
+// Todos os sorteios usam o gerador com semente da simulação.
+// ============================================================================
+
+// Função gama (aproximação de Lanczos), usada pela Weibull
+function gama(x) {
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gama(1 - x));
+  const g = 7;
+  const coef = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  x -= 1;
+  let a = coef[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += coef[i] / (x + i);
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+}
+
+// Normal padrão pelo método de Box-Muller
+function normalPadrao(aleatorio) {
+  const u1 = 1 - aleatorio(); // evita log(0)
+  const u2 = aleatorio();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+const AMOSTRADORES = {
+  fixo: (spec) => spec.valor !== undefined ? spec.valor : spec.media,
+
+  exponencial: (spec, aleatorio) => -spec.media * Math.log(1 - aleatorio()),
+
+  uniforme: (spec, aleatorio) => spec.min + aleatorio() * (spec.max - spec.min),
+
+  // Normal truncada em 'min' (padrão 0): durações não podem ser negativas
+  normal: (spec, aleatorio) => {
+    const minimo = spec.min !== undefined ? spec.min : 0;
+    return Math.max(minimo, spec.media + spec.desvio * normalPadrao(aleatorio));
+  },
+
+  // Parametrizada pela média e desvio da própria variável (não do log)
+  lognormal: (spec, aleatorio) => {
+    const sigma2 = Math.log(1 + (spec.desvio * spec.desvio) / (spec.media * spec.media));
+    const mu = Math.log(spec.media) - sigma2 / 2;
+    return Math.exp(mu + Math.sqrt(sigma2) * normalPadrao(aleatorio));
+  },
+
+  // Forma k; escala informada ou derivada da média
+  weibull: (spec, aleatorio) => {
+    const escala = spec.escala !== undefined ? spec.escala : spec.media / gama(1 + 1 / spec.forma);
+    return escala * Math.pow(-Math.log(1 - aleatorio()), 1 / spec.forma);
+  },
+
+  // Inversa da acumulada, com o lado esquerdo até a moda
+  triangular: (spec, aleatorio) => {
+    const u = aleatorio();
+    const { min, moda, max } = spec;
+    const corte = (moda - min) / (max - min);
+    return u < corte
+      ? min + Math.sqrt(u * (max - min) * (moda - min))
+      : max - Math.sqrt((1 - u) * (max - min) * (max - moda));
+  },
+
+  empirica: (spec, aleatorio) => {
+    const valores = valoresOrdenados(spec);
+    if (valores.length === 1) return valores[0];
+    const posicao = aleatorio() * (valores.length - 1);
+    const i = Math.floor(posicao);
+    const proximo = valores[Math.min(i + 1, valores.length - 1)];
+    return valores[i] + (posicao - i) * (proximo - valores[i]);
+  }
+};
+
+// Valores da empírica em ordem (guardados na própria especificação)
+function valoresOrdenados(spec) {
+  if (!spec._ordenados) {
+    Object.defineProperty(spec, '_ordenados', { value: [...spec.valores].sort((a, b) => a - b) });
+  }
+  return spec._ordenados;
+}
+
+// Função de erro (Abramowitz & Stegun 7.1.26, erro < 1,5e-7)
+function erf(x) {
+  const sinal = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-x * x);
+  return sinal * y;
+}
+
+function normalAcumulada(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Função de distribuição acumulada F(x) = P(X <= x) de cada tipo
+// (usada nos testes de aderência, ver calibracao.js)
+const ACUMULADAS = {
+  fixo: (spec, x) => (x >= (spec.valor !== undefined ? spec.valor : spec.media) ? 1 : 0),
+
+  exponencial: (spec, x) => (x <= 0 ? 0 : 1 - Math.exp(-x / spec.media)),
+
+  uniforme: (spec, x) => Math.min(1, Math.max(0, (x - spec.min) / (spec.max - spec.min))),
+
+  normal: (spec, x) => normalAcumulada((x - spec.media) / spec.desvio),
+
+  lognormal: (spec, x) => {
+    if (x <= 0) return 0;
+    const sigma2 = Math.log(1 + (spec.desvio * spec.desvio) / (spec.media * spec.media));
+    const mu = Math.log(spec.media) - sigma2 / 2;
+    return normalAcumulada((Math.log(x) - mu) / Math.sqrt(sigma2));
+  },
+
+  weibull: (spec, x) => {
+    if (x <= 0) return 0;
+    const escala = spec.escala !== undefined ? spec.escala : spec.media / gama(1 + 1 / spec.forma);
+    return 1 - Math.exp(-Math.pow(x / escala, spec.forma));
+  },
+
+  triangular: (spec, x) => {
+    const { min, moda, max } = spec;
+    if (x <= min) return 0;
+    if (x >= max) return 1;
+    return x <= moda
+      ? (x - min) ** 2 / ((max - min) * (moda - min))
+      : 1 - (max - x) ** 2 / ((max - min) * (max - moda));
+  },
+
+  empirica: (spec, x) => {
+    const valores = valoresOrdenados(spec);
+    if (x < valores[0]) return 0;
+    if (x >= valores[valores.length - 1]) return 1;
+    const i = valores.findIndex((v, j) => x >= v && x < valores[j + 1]);
+    const trecho = valores[i + 1] - valores[i];
+    return (i + (trecho > 0 ? (x - valores[i]) / trecho : 0)) / (valores.length - 1);
+  }
+};
+
+// Média de cada tipo (usada nos parâmetros teóricos e no MTBF padrão)
+const MEDIAS = {
+  fixo: (spec) => (spec.valor !== undefined ? spec.valor : spec.media),
+  exponencial: (spec) => spec.media,
+  uniforme: (spec) => (spec.min + spec.max) / 2,
+  normal: (spec) => spec.media,
+  lognormal: (spec) => spec.media,
+  weibull: (spec) => (spec.media !== undefined ? spec.media : spec.escala * gama(1 + 1 / spec.forma)),
+  triangular: (spec) => (spec.min + spec.moda + spec.max) / 3,
+  empirica: (spec) => {
+    const valores = valoresOrdenados(spec);
+    if (valores.length === 1) return valores[0];
+    let soma = 0;
+    for (let i = 0; i < valores.length - 1; i++) soma += (valores[i] + valores[i + 1]) / 2;
+    return soma / (valores.length - 1);
+  }
+};
+
+// Campos obrigatórios de cada tipo
+const CAMPOS = {
+  fixo: [],
+  exponencial: ['media'],
+  uniforme: ['min', 'max'],
+  normal: ['media', 'desvio'],
+  lognormal: ['media', 'desvio'],
+  weibull: ['forma'],
+  triangular: ['min', 'moda', 'max'],
+  empirica: []
+};
+
+function validarDistribuicao(spec, nome = 'distribuição') {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${nome}: especificação ausente`);
+  }
+  if (!AMOSTRADORES[spec.tipo]) {
+    throw new Error(`${nome}: tipo desconhecido "${spec.tipo}". Disponíveis: ${Object.keys(AMOSTRADORES).join(', ')}`);
+  }
+  const faltando = CAMPOS[spec.tipo].filter(campo => !Number.isFinite(spec[campo]));
+  if (spec.tipo === 'fixo' && !Number.isFinite(spec.valor) && !Number.isFinite(spec.media)) {
+    faltando.push('valor');
+  }
+  if (spec.tipo === 'weibull' && !Number.isFinite(spec.escala) && !Number.isFinite(spec.media)) {
+    faltando.push('media ou escala');
+  }
+  if (spec.tipo === 'empirica' &&
+      (!Array.isArray(spec.valores) || spec.valores.length === 0 || !spec.valores.every(Number.isFinite))) {
+    faltando.push('valores (lista de números)');
+  }
+  if (faltando.length > 0) {
+    throw new Error(`${nome}: campos obrigatórios para "${spec.tipo}": ${faltando.join(', ')}`);
+  }
+  if (spec.tipo === 'triangular' && !(spec.min <= spec.moda && spec.moda <= spec.max && spec.min < spec.max)) {
+    throw new Error(`${nome}: triangular exige min <= moda <= max e min < max`);
+  }
+  // Parâmetros fora do domínio viram NaN nos sorteios (e horários NaN na agenda)
+  if (spec.tipo === 'fixo' && (Number.isFinite(spec.valor) ? spec.valor : spec.media) < 0) {
+    throw new Error(`${nome}: fixo exige valor >= 0`);
+  }
+  if ((spec.tipo === 'exponencial' || spec.tipo === 'lognormal') && !(spec.media > 0)) {
+    throw new Error(`${nome}: ${spec.tipo} exige media > 0`);
+  }
+  if ((spec.tipo === 'normal' || spec.tipo === 'lognormal') && !(spec.desvio >= 0)) {
+    throw new Error(`${nome}: ${spec.tipo} exige desvio >= 0`);
+  }
+  if (spec.tipo === 'uniforme' && !(spec.min <= spec.max)) {
+    throw new Error(`${nome}: uniforme exige min <= max`);
+  }
+  if (spec.tipo === 'weibull' && !(spec.forma > 0)) {
+    throw new Error(`${nome}: weibull exige forma > 0`);
+  }
+  if (spec.tipo === 'weibull' && !((spec.escala !== undefined ? spec.escala : spec.media) > 0)) {
+    throw new Error(`${nome}: weibull exige ${spec.escala !== undefined ? 'escala' : 'media'} > 0`);
+  }
+}
+
+// Sorteia um valor (nunca negativo)
+function amostrar(spec, aleatorio) {
+  return Math.max(0, AMOSTRADORES[spec.tipo](spec, aleatorio));
+}
+
+function acumulada(spec, x) {
+  return ACUMULADAS[spec.tipo](spec, x);
+}
+
+function mediaDistribuicao(spec) {
+  return MEDIAS[spec.tipo](spec);
+}
+
+module.exports = {
+  AMOSTRADORES,
+  ACUMULADAS,
+  amostrar,
+  acumulada,
+  mediaDistribuicao,
+  validarDistribuicao,
+  gama
+};
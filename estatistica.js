@@ -0,0 +1,226 @@
+// ============================================================================
+// FERRY BOT - FUNÇÕES ESTATÍSTICAS
+// ============================================================================
+// Resumos usados para interpretar várias execuções da simulação:
+// média, desvio padrão, intervalo de confiança de 95% e percentis.
+// ============================================================================
+
+// Valores críticos da t de Student (95%, bicaudal) para 1 a 30 graus de liberdade
+const T_CRITICO_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function tCritico95(grausLiberdade) {
+  if (grausLiberdade < 1) return Infinity;
+  if (grausLiberdade <= 30) return T_CRITICO_95[grausLiberdade - 1];
+  if (grausLiberdade <= 40) return 2.021;
+  if (grausLiberdade <= 60) return 2.000;
+  if (grausLiberdade <= 120) return 1.980;
+  return 1.960;
+}
+
+function media(valores) {
+  if (valores.length === 0) return 0;
+  return valores.reduce((s, v) => s + v, 0) / valores.length;
+}
+
+// Desvio padrão amostral (n - 1)
+function desvioPadrao(valores) {
+  if (valores.length < 2) return 0;
+  const m = media(valores);
+  const soma = valores.reduce((s, v) => s + (v - m) ** 2, 0);
+  return Math.sqrt(soma / (valores.length - 1));
+}
+
+// Percentil com interpolação linear (p entre 0 e 100)
+function percentil(valores, p) {
+  if (valores.length === 0) return 0;
+  const ordenados = [...valores].sort((a, b) => a - b);
+  const posicao = (p / 100) * (ordenados.length - 1);
+  const base = Math.floor(posicao);
+  const fracao = posicao - base;
+  const proximo = ordenados[Math.min(base + 1, ordenados.length - 1)];
+  return ordenados[base] + fracao * (proximo - ordenados[base]);
+}
+
+// Intervalo de confiança de 95% para a média (t de Student)
+function intervaloConfianca95(valores) {
+  const m = media(valores);
+  if (valores.length < 2) return { inferior: m, superior: m };
+  const margem = tCritico95(valores.length - 1) * desvioPadrao(valores) / Math.sqrt(valores.length);
+  return { inferior: m - margem, superior: m + margem };
+}
+
+// Resumo completo de uma amostra
+function resumir(valores) {
+  return {
+    n: valores.length,
+    media: media(valores),
+    desvioPadrao: desvioPadrao(valores),
+    intervaloConfianca95: intervaloConfianca95(valores),
+    // reduce, não Math.min(...valores): o spread estoura a pilha com
+    // amostras grandes (CSV de calibração com centenas de milhares de linhas)
+    minimo: valores.length > 0 ? valores.reduce((m, v) => Math.min(m, v), Infinity) : 0,
+    maximo: valores.length > 0 ? valores.reduce((m, v) => Math.max(m, v), -Infinity) : 0,
+    percentis: {
+      p5: percentil(valores, 5),
+      p25: percentil(valores, 25),
+      p50: percentil(valores, 50),
+      p75: percentil(valores, 75),
+      p95: percentil(valores, 95)
+    }
+  };
+}
+
+// Histograma em classes de largura fixa a partir de zero: [de, ate)
+function histograma(valores, largura) {
+  const maior = valores.reduce((m, v) => Math.max(m, v), 0);
+  const classes = Array.from({ length: Math.floor(maior / largura) + 1 }, (_, i) => ({
+    de: i * largura,
+    ate: (i + 1) * largura,
+    frequencia: 0,
+    percentual: 0
+  }));
+  valores.forEach(v => classes[Math.floor(Math.max(0, v) / largura)].frequencia++);
+  classes.forEach(c => { c.percentual = valores.length > 0 ? (c.frequencia / valores.length) * 100 : 0; });
+  return classes;
+}
+
+// ============================================================================
+// TESTES DE ADERÊNCIA E DE DIFERENÇA (p-valores)
+// ============================================================================
+
+// ln Γ(x) pela aproximação de Lanczos (não estoura para x grande)
+function lnGama(x) {
+  const coef = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let serie = 1.000000000190015;
+  coef.forEach(c => { serie += c / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * serie / x);
+}
+
+/*
+Gama incompleta regularizada superior Q(a, x) = 1 - P(a, x)
+Série para x < a + 1 e fração contínua (Lentz) acima disso.
+*/
+function gamaIncompletaSuperior(a, x) {
+  if (x <= 0) return 1;
+  const lnPrefixo = -x + a * Math.log(x) - lnGama(a);
+
+  if (x < a + 1) {
+    let termo = 1 / a;
+    let soma = termo;
+    for (let n = 1; n < 1000; n++) {
+      termo *= x / (a + n);
+      soma += termo;
+      if (Math.abs(termo) < Math.abs(soma) * 1e-14) break;
+    }
+    return 1 - soma * Math.exp(lnPrefixo);
+  }
+
+  const minimo = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / minimo;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < minimo) d = minimo;
+    c = b + an / c;
+    if (Math.abs(c) < minimo) c = minimo;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(lnPrefixo) * h;
+}
+
+// P(χ² com 'grausLiberdade' >= estatistica)
+function pValorQuiQuadrado(estatistica, grausLiberdade) {
+  if (grausLiberdade <= 0) return 1;
+  return Math.min(1, Math.max(0, gamaIncompletaSuperior(grausLiberdade / 2, estatistica / 2)));
+}
+
+// P(Dn >= D) do teste de Kolmogorov-Smirnov (distribuição assintótica,
+// com a correção de Stephens para n pequeno)
+function pValorKolmogorov(D, n) {
+  if (n <= 0) return 1;
+  const raiz = Math.sqrt(n);
+  const lambda = (raiz + 0.12 + 0.11 / raiz) * D;
+  if (lambda < 1e-3) return 1;
+  let soma = 0;
+  for (let k = 1; k <= 100; k++) {
+    const termo = 2 * (k % 2 === 1 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+    soma += termo;
+    if (Math.abs(termo) < 1e-12) break;
+  }
+  return Math.min(1, Math.max(0, soma));
+}
+
+/*
+Beta incompleta regularizada I_x(a, b), por fração contínua (Lentz);
+usa a simetria I_x(a, b) = 1 - I_(1-x)(b, a) onde a fração converge mal.
+*/
+function betaIncompleta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - betaIncompleta(1 - x, b, a);
+
+  const lnPrefixo = lnGama(a + b) - lnGama(a) - lnGama(b) + a * Math.log(x) + b * Math.log(1 - x);
+  const minimo = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < minimo) d = minimo;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 1000; m++) {
+    // Termo par
+    let an = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + an * d;
+    if (Math.abs(d) < minimo) d = minimo;
+    c = 1 + an / c;
+    if (Math.abs(c) < minimo) c = minimo;
+    d = 1 / d;
+    h *= d * c;
+    // Termo ímpar
+    an = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + an * d;
+    if (Math.abs(d) < minimo) d = minimo;
+    c = 1 + an / c;
+    if (Math.abs(c) < minimo) c = minimo;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(lnPrefixo) * h / a;
+}
+
+// P(|T| >= |t|) da t de Student (bicaudal)
+function pValorT(t, grausLiberdade) {
+  if (grausLiberdade < 1 || Number.isNaN(t)) return 1;
+  if (!Number.isFinite(t)) return 0;
+  return Math.min(1, Math.max(0, betaIncompleta(grausLiberdade / (grausLiberdade + t * t), grausLiberdade / 2, 0.5)));
+}
+
+module.exports = {
+  media,
+  desvioPadrao,
+  percentil,
+  intervaloConfianca95,
+  tCritico95,
+  resumir,
+  histograma,
+  pValorQuiQuadrado,
+  pValorKolmogorov,
+  pValorT
+};
@@ -0,0 +1,120 @@
+// ============================================================================
+// FERRY BOT - LOG DE EVENTOS DE UMA EXECUÇÃO
+// ============================================================================
+// Consulta e exportação do log gravado por SimuladorFerries (this.eventos).
+// Cada evento: { tipo, horario (minutos desde 0h do 1º dia), dia, ...dados }
+//
+// Tipos:
+//   por veículo (registroEventos 'completo'): chegada, embarque
+//   embarcações: inicio_embarque, partida, chegada_destino, fim_desembarque
+//   manutenção e falhas: manutencao_inicio, manutencao_fim, falha, reparo_fim
+//   condições: mare_atraso, mare_cancelamento, mare_rampa_fechada,
+//     mare_liberada, clima_atraso
+//
+// Série das filas: pontos [minuto, tamanho] a cada mudança da fila de um
+// terminal; reamostrada em passos fixos para gráficos.
+// ============================================================================
+
+const { formatarHorario } = require('./horarios');
+
+const EVENTOS_VEICULO = ['chegada', 'embarque'];
+const LIMITE_PAGINA = 5000;
+const COLUNAS_CSV = ['tipo', 'dia', 'hora', 'horario', 'embarcacao', 'terminal', 'veiculo', 'detalhes'];
+
+// --- Filtros aceitos na consulta (tipo aceita lista separada por vírgula) ---
+function filtrarEventos(eventos, { tipo, embarcacao, terminal, veiculo, dia } = {}) {
+  const tipos = tipo ? String(tipo).split(',') : null;
+  return eventos.filter(e =>
+    (!tipos || tipos.includes(e.tipo)) &&
+    (embarcacao === undefined || String(e.embarcacao) === String(embarcacao)) &&
+    (terminal === undefined || e.terminal === terminal) &&
+    (veiculo === undefined || e.veiculo === veiculo) &&
+    (dia === undefined || String(e.dia) === String(dia))
+  );
+}
+
+/*
+Página do log: pagina começa em 1; limite até LIMITE_PAGINA.
+Devolve { total, pagina, limite, paginas, eventos } ou { erro }.
+*/
+function paginarEventos(eventos, pagina = 1, limite = 500) {
+  const p = Number(pagina);
+  const l = Number(limite);
+  if (!Number.isInteger(p) || p < 1) return { erro: 'pagina deve ser um inteiro a partir de 1' };
+  if (!Number.isInteger(l) || l < 1 || l > LIMITE_PAGINA) {
+    return { erro: `limite deve ser um inteiro entre 1 e ${LIMITE_PAGINA}` };
+  }
+  return {
+    total: eventos.length,
+    pagina: p,
+    limite: l,
+    paginas: Math.ceil(eventos.length / l),
+    eventos: eventos.slice((p - 1) * l, p * l)
+  };
+}
+
+function campoCSV(valor) {
+  if (valor === undefined || valor === null) return '';
+  const texto = String(valor);
+  return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// --- CSV: colunas fixas e o restante dos dados em JSON na coluna "detalhes" ---
+function eventosParaCSV(eventos) {
+  const linhas = eventos.map(evento => {
+    const { tipo, dia, horario, embarcacao, terminal, veiculo, ...resto } = evento;
+    const detalhes = Object.keys(resto).length > 0 ? JSON.stringify(resto) : '';
+    return [tipo, dia, formatarHorario(horario), horario, embarcacao, terminal, veiculo, detalhes].map(campoCSV).join(',');
+  });
+  return [COLUNAS_CSV.join(','), ...linhas].join('\n') + '\n';
+}
+
+function eventosParaJSONL(eventos) {
+  return eventos.map(evento => JSON.stringify(evento) + '\n').join('');
+}
+
+/*
+SÉRIE DAS FILAS
+Sem passo: os pontos de mudança de cada terminal ([minuto, tamanho]).
+Com passo (minutos): grade de inicio a fim com o tamanho em cada instante
+e o máximo dentro de cada passo (picos curtos não somem do gráfico).
+*/
+function serieDasFilas(series, { passo, inicio, fim } = {}) {
+  if (passo === undefined) return { passoMinutos: null, terminais: series };
+
+  const p = Number(passo);
+  if (!(p > 0)) return { erro: 'passo deve ser um número de minutos positivo' };
+  if ((fim - inicio) / p > 100000) return { erro: 'passo pequeno demais para o período simulado' };
+
+  const terminais = {};
+  Object.entries(series).forEach(([id, pontos]) => {
+    const instantes = [];
+    const fila = [];
+    const maxima = [];
+    let i = 0;
+    let atual = 0;
+    for (let t = inicio; t <= fim; t += p) {
+      let maior = atual;
+      while (i < pontos.length && pontos[i][0] <= t) {
+        atual = pontos[i][1];
+        maior = Math.max(maior, atual);
+        i++;
+      }
+      instantes.push(t);
+      fila.push(atual);
+      maxima.push(maior);
+    }
+    terminais[id] = { instantes, fila, maxima };
+  });
+  return { passoMinutos: p, inicio, fim, terminais };
+}
+
+module.exports = {
+  EVENTOS_VEICULO,
+  LIMITE_PAGINA,
+  filtrarEventos,
+  paginarEventos,
+  eventosParaCSV,
+  eventosParaJSONL,
+  serieDasFilas
+};
@@ -26,6 +26,28 @@ COMPONENTES PRINCIPAIS:
 
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
+const os = require('os');
+const { criarGerador, gerarSemente, derivarSemente } = require('./aleatorio');
+const { amostrar, validarDistribuicao, mediaDistribuicao } = require('./distribuicoes');
+const { minutosDoHorario, formatarHorario } = require('./horarios');
+const { validarEntrada, calcularMMc, calcularMMcK, aproximarServicoEmLote, compararComSimulacao } = require('./teoria-filas');
+const replicacoes = require('./replicacoes');
+const { executarReplicacoes, compararCenarios, validarDiasSimulados, LIMITE_REPLICACOES, LIMITE_DIAS_SIMULADOS } = replicacoes;
+const { criarArmazenamento } = require('./armazenamento');
+const vagas = require('./disponibilidade');
+const cicloReservas = require('./reservas');
+const disciplinas = require('./disciplinas-fila');
+const perfisChegada = require('./perfis-chegada');
+const { calibrar } = require('./calibracao');
+const { resumir } = require('./estatistica');
+const { criarCondicoes } = require('./condicoes-mar');
+const otimizador = require('./otimizador');
+const logEventos = require('./eventos-simulacao');
+const indicadoresTempo = require('./indicadores-tempo');
+const registroSimulacoes = require('./registro-simulacoes');
+const { criarFilaSimulacoes } = require('./fila-simulacoes');
+const transmissaoSimulacao = require('./transmissao-simulacao');
 
 // ============================================================================
 // INICIALIZAÇÃO DO SERVIDOR EXPRESS
@@ -34,7 +56,17 @@ const cors = require('cors');
 // CORS permite que o frontend (em outro domínio/porta) acesse esta API
 const app = express();
 app.use(cors()); // Habilita CORS para todas as requisições
-app.use(express.json()); // Permite receber dados em formato JSON
+app.use(express.json({ limit: '20mb' })); // JSON (inclui os CSV de POST /calibrar)
+
+// ============================================================================
+// ARMAZENAMENTO (reservas, problemas e simulações persistem entre reinícios)
+// ============================================================================
+// Diários JSON Lines em DIRETORIO_DADOS (padrão: ./dados).
+// ARMAZENAMENTO=memoria mantém tudo só em memória.
+const armazenamento = criarArmazenamento({
+  tipo: process.env.ARMAZENAMENTO || 'arquivo',
+  diretorio: process.env.DIRETORIO_DADOS || path.join(__dirname, 'dados')
+});
 
 // ============================================================================
 // CONFIGURAÇÕES DO SISTEMA (Baseado nos dados do slide)
@@ -52,42 +84,245 @@ TEORIA DE FILAS - NOTAÇÃO:
 const CONFIG = {
   // === CAPACIDADE DO SISTEMA (Servidores) ===
   numEmbarcacoes: 4,              // c = 4 servidores (embarcações)
-  capacidadeVeiculos: 50,         // Capacidade de cada servidor
+  capacidadeVeiculos: 50,         // Capacidade de cada servidor (em unidades de carro)
   frequenciaSaidaMinutos: 60,     // Tempo entre saídas (parte do μ)
   
   // === HORÁRIO DE OPERAÇÃO ===
   horarioInicio: 6,               // 6h da manhã
   horarioFim: 22,                 // 22h (10 da noite)
   horasOperacao: 16,              // Total: 16 horas/dia
+  dias: 1,                        // Dias consecutivos simulados
   
   // === TAXA DE CHEGADA (λ - Lambda) ===
   veiculosDiarios: 1200,          // Total de chegadas por dia
   percentualPico: 0.40,           // 40% chegam nos horários de pico
   percentualCarros: 0.80,         // 80% são carros
   percentualCaminhoes: 0.20,      // 20% são caminhões
+  percentualReservas: 0.30,       // 30% chegam com reserva
+  
+  // === TIPOS DE VEÍCULO (ocupação do convés) ===
+  // unidades: espaço no convés em "carros equivalentes"
+  // maximoPorEmbarcacao: limite por viagem (faixas de carga pesada,
+  //   lotação do salão de passageiros...)
+  // percentual: fatia da demanda; carro e caminhão usam percentualCarros e
+  //   percentualCaminhoes quando não informado, os demais começam em zero
+  // embarqueSegundos: tempo para o veículo subir a rampa e estacionar
+  //   (um por vez; tipo sem o campo não gasta tempo)
+  tiposVeiculo: {
+    carro: { unidades: 1, embarqueSegundos: 15 },
+    moto: { unidades: 0.25, percentual: 0, embarqueSegundos: 6 },
+    caminhao: { unidades: 3, maximoPorEmbarcacao: 12, embarqueSegundos: 45 },
+    onibus: { unidades: 3, maximoPorEmbarcacao: 4, percentual: 0, embarqueSegundos: 50 },
+    pedestre: { unidades: 0, maximoPorEmbarcacao: 200, percentual: 0, embarqueSegundos: 2 }
+  },
   
   // === TEMPOS DE SERVIÇO (μ - Mi) ===
-  tempoEmbarqueMinutos: 15,       // Tempo para embarcar
-  tempoTravessiaMinutos: 80,      // 1h20min de travessia
-  tempoDesembarqueSegundos: 15,   // Tempo para desembarcar
+  // Cada fase aceita um número (tempo fixo) ou uma distribuição
+  // (ver distribuicoes.js): fixo, exponencial, uniforme, normal,
+  // lognormal, weibull, triangular, empirica. Ex.:
+  //   tempoTravessiaMinutos: { tipo: 'triangular', min: 70, moda: 80, max: 110 }
+  // O embarque dura a janela sorteada ou, se maior, o tempo para todos os
+  // veículos embarcados subirem a rampa (embarqueSegundos de cada tipo).
+  tempoEmbarqueMinutos: 15,       // Janela de embarque (rampa aberta)
+  tempoTravessiaMinutos: 80,      // 1h20min de travessia (sorteada por viagem)
+  tempoDesembarqueSegundos: 15,   // Por veículo (sorteado por viagem)
   
   // === MÉTRICAS DE ESPERA (Wq - Tempo em fila) ===
   tempoEsperaNormalMinutos: 20,   // Wq fora do pico
   tempoEsperaPicoMinutos: 90,     // Wq durante pico (1h30)
   
   // === MANUTENÇÃO E DISPONIBILIDADE ===
-  manutencaoDias: 30,             // Manutenção a cada 30 dias
+  manutencaoDias: 30,             // Manutenção a cada 30 dias (escalonada
+                                  // entre as embarcações ao longo do ciclo)
   manutencaoHoras: 4,             // Duração de 4 horas
-  taxaFalhas: 0.05,               // 5% de taxa de falhas não programadas
-  
-  // === PERÍODOS DE PICO (Alta demanda) ===
-  // Nesses horários, λ aumenta significativamente
-  picos: [
-    { inicio: 7, fim: 9 },        // Pico manhã: 7h-9h
-    { inicio: 17, fim: 19 }       // Pico tarde: 17h-19h
-  ]
+  taxaFalhas: 0.05,               // 5% das viagens sofrem falha não programada
+  
+  // === FALHAS NÃO PROGRAMADAS ===
+  // O relógio de falha só corre com a embarcação em serviço (horas de
+  // operação). Sem média informada, o MTBF sai de taxaFalhas:
+  // MTBF = duração de uma viagem / taxaFalhas.
+  falhas: {
+    habilitado: true,
+    tempoEntreFalhasHoras: { tipo: 'exponencial', media: null },   // MTBF
+    tempoReparoHoras: { tipo: 'lognormal', media: 1.5, desvio: 1 }, // MTTR
+    toleranciaAtrasoMinutos: 30   // Reparo maior que isso na rampa cancela a viagem
+  },
+  
+  // === PERFIS DE CHEGADA (λ por horário) ===
+  // Fator sobre a taxa base (veiculosDiarios do terminal / horasOperacao)
+  // em cada intervalo do dia; chegadas geradas como processo de Poisson
+  // não homogêneo (ver perfis-chegada.js). Aceita "faixas" ou a lista
+  // completa de "fatores" (24 por hora ou 96 com intervaloMinutos: 15),
+  // e "terminais" para um sentido com perfil próprio.
+  perfisChegada: {
+    dia_util: {
+      intervaloMinutos: 60,
+      base: 1,
+      faixas: [
+        { inicio: '07:00', fim: '09:00', fator: 2.5 },   // Pico manhã
+        { inicio: '17:00', fim: '19:00', fator: 2.5 }    // Pico tarde
+      ]
+    },
+    sabado: {
+      base: 1,
+      faixas: [{ inicio: '08:00', fim: '12:00', fator: 2 }]
+    },
+    domingo: {
+      base: 0.8,
+      faixas: [{ inicio: '15:00', fim: '19:00', fator: 2.2 }] // Volta do fim de semana
+    },
+    feriado: {
+      base: 0.9,
+      faixas: [
+        { inicio: '08:00', fim: '11:00', fator: 2 },
+        { inicio: '16:00', fim: '20:00', fator: 2.2 }
+      ]
+    },
+    vespera_feriado: {
+      base: 1.2,
+      faixas: [
+        { inicio: '07:00', fim: '09:00', fator: 2.5 },
+        { inicio: '14:00', fim: '19:00', fator: 3 }
+      ]
+    }
+  },
+  
+  // Perfil de cada dia: feriado (por 'MM-DD' ou 'AAAA-MM-DD') vence o dia
+  // da semana; as datas contam a partir de dataInicial. Sem dataInicial,
+  // todos os dias usam perfilSemData. perfilChegada (nome ou perfil
+  // completo) força um perfil em todos os dias da execução.
+  calendarioChegadas: {
+    perfilSemData: 'dia_util',
+    diasSemana: {
+      domingo: 'domingo', segunda: 'dia_util', terca: 'dia_util', quarta: 'dia_util',
+      quinta: 'dia_util', sexta: 'dia_util', sabado: 'sabado'
+    },
+    feriados: {
+      '01-01': 'feriado', '04-21': 'feriado', '05-01': 'feriado', '09-07': 'feriado',
+      '09-08': 'feriado',   // Aniversário de São Luís
+      '10-12': 'feriado', '11-02': 'feriado', '11-15': 'feriado', '11-20': 'feriado',
+      '12-24': 'vespera_feriado', '12-25': 'feriado', '12-31': 'vespera_feriado'
+    }
+  },
+  perfilChegada: null,
+  
+  // === TERMINAIS (travessia bidirecional) ===
+  // Cada terminal tem fila própria. A demanda de cada um é uma fração de
+  // veiculosDiarios (ou um valor próprio em veiculosDiarios); horários de
+  // pico diferentes por sentido vão em perfisChegada.<perfil>.terminais.
+  terminais: [
+    {
+      id: 'ponta-da-espera',
+      nome: 'Ponta da Espera',
+      percentualDemanda: 0.5
+    },
+    {
+      id: 'cujupe',
+      nome: 'Cujupe',
+      percentualDemanda: 0.5
+    }
+  ],
+  
+  // === TABELA DE HORÁRIOS (opcional) ===
+  // null: cada embarcação livre sai assim que pode (frequenciaSaidaMinutos).
+  // Com tabela, as saídas seguem as partidas programadas, todos os dias:
+  //   {
+  //     partidas: [{ terminal: 'ponta-da-espera', horario: '06:00', embarcacao: 1 }, ...],
+  //     toleranciaMinutos: 5,      // atraso ainda considerado "no horário"
+  //     atrasoMaximoMinutos: 60    // sem embarque até aqui, a partida é perdida
+  //   }
+  // "embarcacao" é opcional: sem ela, qualquer embarcação atracada atende.
+  tabelaHorarios: null,
+  
+  // === RESERVAS REAIS NA SIMULAÇÃO (previsão) ===
+  // reservasAgendadas: reservas gravadas (POST /reserva) que chegam como
+  // veículos com reserva; a demanda espontânea completa o restante.
+  // dataInicial: data (AAAA-MM-DD) do dia 1 da simulação.
+  // Reservado chega ~antecedenciaMinutos antes da partida (± variacaoMinutos/2).
+  reservasAgendadas: null,
+  dataInicial: null,
+  chegadaReservas: {
+    antecedenciaMinutos: 15,
+    variacaoMinutos: 20
+  },
+  
+  // === VAGAS DE RESERVA (POST /reserva) ===
+  // Fatia do convés de cada partida aberta a reservas (em unidades);
+  // o restante fica para quem chega sem reserva
+  vagasReserva: {
+    percentualCapacidade: 0.30,
+    alternativas: 3,              // Partidas sugeridas quando a pedida lota
+    antecedenciaCheckInMinutos: 120 // Check-in abre 2h antes da partida
+  },
+
+  // === DISCIPLINA DA FILA (ordem de embarque) ===
+  // tipo: fifo | prioridade_reserva | ponderada | classes (ver disciplinas-fila.js)
+  // esperaMaximaMinutos: quem chegou sem reserva e esperou isso passa à
+  //   frente (null = sem garantia)
+  // classes: prioridade (1 = primeiro) e peso (disciplina ponderada).
+  //   emergencia é sorteada entre todos; ônibus são transporte_publico;
+  //   pereciveis é uma fatia dos caminhões
+  disciplinaFila: {
+    tipo: 'prioridade_reserva',
+    esperaMaximaMinutos: null,
+    classes: {
+      emergencia: { prioridade: 1, peso: 10, percentual: 0.005 },
+      transporte_publico: { prioridade: 2, peso: 5, tipos: ['onibus'] },
+      pereciveis: { prioridade: 3, peso: 3, percentualCaminhoes: 0.10 },
+      reserva: { prioridade: 4, peso: 2 },
+      normal: { prioridade: 5, peso: 1 }
+    }
+  },
+
+  // === CONDIÇÕES DE NAVEGAÇÃO (maré e clima, ver condicoes-mar.js) ===
+  // mare: travessia que toca um terminal afetado só parte com a maré em
+  //   alturaMinimaMetros ou mais; espera até toleranciaMinutos, depois
+  //   cancela. Sem "tabua" (extremos da tábua de marés), usa uma maré
+  //   semidiurna sintética (nível médio, amplitude, período, 1ª preamar).
+  // clima: fatorTravessia de cada cenário multiplica o tempo de travessia;
+  //   periodos: [{ dia?, inicio: 'HH:MM', fim: 'HH:MM', cenario }]
+  condicoes: {
+    habilitado: false,
+    mare: {
+      terminaisAfetados: ['cujupe'],
+      alturaMinimaMetros: 1.5,
+      toleranciaMinutos: 60,
+      tabua: null,
+      nivelMedioMetros: 3.3,
+      amplitudeMetros: 2.5,
+      periodoMinutos: 745,        // 12h25min
+      primeiraPreamar: '03:00'
+    },
+    clima: {
+      cenario: 'bom',
+      periodos: [],
+      cenarios: {
+        bom: { fatorTravessia: 1 },
+        chuva: { fatorTravessia: 1.1 },
+        vento_forte: { fatorTravessia: 1.25 },
+        tempestade: { fatorTravessia: 1.5 }
+      }
+    }
+  },
+
+  // === REGISTRO DE EVENTOS (ver eventos-simulacao.js) ===
+  // completo: cada chegada e embarque de veículo, as etapas de cada viagem,
+  //   manutenções, falhas e condições, mais a série do tamanho das filas
+  // operacao: só embarcações (viagens, manutenções, falhas e condições)
+  // nenhum: sem log (réplicas e buscas longas)
+  registroEventos: 'completo',
+
+  // === REPRODUTIBILIDADE ===
+  // Mesma semente = mesma simulação. Sem semente, uma nova é sorteada
+  // e devolvida em configuracaoUsada para permitir repetir a execução.
+  seed: null,
+  geradorAleatorio: 'mulberry32'  // Algoritmo do gerador (ver aleatorio.js)
 };
 
+const MINUTOS_DIA = 24 * 60;
+const LIMITE_DIAS = 366;            // Teto de dias por execução
+const NIVEIS_REGISTRO = ['completo', 'operacao', 'nenhum'];
+
 // ============================================================================
 // CLASSE VEÍCULO
 // ============================================================================
@@ -100,13 +335,18 @@ Na teoria de filas, cada veículo é um "cliente" que:
 - Deixa o sistema (horarioDesembarque)
 */
 class Veiculo {
-  constructor(tipo, horarioChegada) {
-    this.id = Math.random().toString(36).substr(2, 9); // ID único
-    this.tipo = tipo;                    // 'carro' ou 'caminhao'
+  constructor(tipo, horarioChegada, aleatorio = Math.random) {
+    this.id = aleatorio().toString(36).substr(2, 9); // ID único
+    this.tipo = tipo;                    // 'carro', 'moto', 'caminhao', 'onibus' ou 'pedestre'
+    this.unidades = 1;                   // Espaço ocupado no convés (carros equivalentes)
     this.horarioChegada = horarioChegada; // Momento que chegou (tempo t)
     this.horarioEmbarque = null;          // Momento que foi atendido
     this.horarioDesembarque = null;       // Momento que saiu do sistema
     this.tempoEspera = 0;                 // Wq = tempo em fila
+    this.origem = null;                   // Terminal onde entrou na fila
+    this.destino = null;                  // Terminal do outro lado
+    this.classe = 'normal';               // Classe de prioridade (sorteada na chegada)
+    this.chegouNoPico = false;            // Chegou no intervalo de maior λ do dia
   }
 }
 
@@ -115,28 +355,108 @@ class Veiculo {
 // ============================================================================
 /*
 Na teoria de filas, cada embarcação é um "servidor" que:
-- Tem capacidade limitada (50 veículos)
+- Tem capacidade limitada (50 unidades de convés; caminhão ocupa 3)
 - Pode estar disponível ou ocupado
 - Processa clientes (veículos) em lotes
 - Requer manutenção periódica (downtime)
 
 ESTADOS DO SERVIDOR:
-- Disponível: Pronto para embarcar veículos
-- Ocupado: Em travessia (atendendo clientes)
+- Disponível: Atracada, pronta para embarcar veículos
+- Embarcando: Recebendo veículos na rampa
+- Em Travessia: Navegando com os veículos a bordo (atendendo clientes)
+- Desembarcando: Liberando os veículos no destino
 - Em Manutenção: Temporariamente fora de operação
 - Falha: Indisponível por problema não programado
 */
+const ESTADOS_EMBARCACAO = {
+  DISPONIVEL: 'Disponível',
+  EMBARCANDO: 'Embarcando',
+  EM_TRAVESSIA: 'Em Travessia',
+  DESEMBARCANDO: 'Desembarcando',
+  EM_MANUTENCAO: 'Em Manutenção',
+  FALHA: 'Falha'
+};
+
 class Embarcacao {
-  constructor(id) {
+  constructor(id, config = CONFIG, localizacao = null) {
     this.id = id;
-    this.capacidade = CONFIG.capacidadeVeiculos;  // Capacidade do servidor
+    this.config = config;
+    this.localizacao = localizacao;                // Terminal onde está atracada
+    this.destino = null;                           // Terminal para onde navega
+    this.capacidade = config.capacidadeVeiculos;   // Capacidade do servidor (unidades)
     this.veiculosAbordo = [];                      // Clientes sendo atendidos
+    this.ocupacao = 0;                             // Unidades de convés em uso
+    this.estado = ESTADOS_EMBARCACAO.DISPONIVEL;   // Fase atual do ciclo
     this.disponivel = true;                        // Estado do servidor
     this.emManutencao = false;                     // Downtime programado
     this.ultimaManutencao = 0;
-    this.proximaManutencao = CONFIG.manutencaoDias * 24 * 60;
+    this.proximaManutencao = config.manutencaoDias * 24 * 60;
     this.viagensRealizadas = 0;                    // Número de serviços completados
     this.tempoTotalOcupado = 0;                    // Utilização do servidor (ρ)
+    this.inicioOcupacao = null;                    // Início do ciclo atual
+    this.proximaEtapa = null;                      // Próximo evento do ciclo (pode ser adiado)
+    this.fimCarregamento = null;                   // Último veículo termina de subir a rampa
+    this.minutosCarregamento = 0;                  // Tempo de rampa dos veículos da viagem
+    this.embarqueEncerrado = false;                // Janela fechou; só termina o carregamento
+    this.filaConferidaCheia = false;               // Fila já percorrida com o convés cheio
+    this.viagemAtual = null;                       // Registro da viagem em curso
+    
+    // Falhas não programadas
+    this.falhas = 0;                               // Quantidade de falhas
+    this.estadoAntesFalha = null;                  // Estado a retomar após o reparo
+    this.inicioFalha = null;
+    this.restanteAteFalha = null;                  // Minutos de operação até a próxima falha
+    this.eventoFalha = null;
+    this.inicioRelogioFalha = null;
+    this.tempoIndisponivel = 0;                    // Falha + manutenção no horário de operação
+  }
+  
+  // Espaço livre no convés (em unidades)
+  espacoDisponivel() {
+    return this.capacidade - this.ocupacao;
+  }
+  
+  /*
+  MÉTODO: SELECIONAR QUE CABEM
+  Percorre os candidatos na ordem da fila e escolhe os que cabem
+  (primeiro que couber): se um caminhão não cabe, um carro atrás dele
+  ainda pode ocupar a vaga. Respeita o limite por tipo de cada viagem.
+  
+  naFila (opcional, Terminal.porTipoNaFila quando os candidatos são a fila
+  inteira): para de percorrer quando nenhum tipo que ainda resta cabe, em
+  vez de varrer um backlog enorme atrás de um veículo que não existe.
+  */
+  selecionarQueCabem(candidatos, naFila = null) {
+    const tipos = this.config.tiposVeiculo || {};
+    const porTipo = {};
+    this.veiculosAbordo.forEach(v => { porTipo[v.tipo] = (porTipo[v.tipo] || 0) + 1; });
+    const restantes = naFila
+      ? Object.fromEntries(Object.entries(naFila).map(([tipo, n]) => [tipo, n.quantidade]))
+      : null;
+    
+    let espaco = this.espacoDisponivel();
+    const cabeAlgumRestante = () => Object.keys(restantes).some(tipo => {
+      const limite = tipos[tipo] && tipos[tipo].maximoPorEmbarcacao;
+      return restantes[tipo] > 0 && naFila[tipo].menorUnidade <= espaco + 1e-9 &&
+        (limite === undefined || (porTipo[tipo] || 0) < limite);
+    });
+    
+    const selecionados = [];
+    for (const veiculo of candidatos) {
+      if (restantes) restantes[veiculo.tipo]--;
+      const limite = tipos[veiculo.tipo] && tipos[veiculo.tipo].maximoPorEmbarcacao;
+      if (veiculo.unidades > espaco + 1e-9 ||
+          (limite !== undefined && (porTipo[veiculo.tipo] || 0) >= limite)) {
+        if (restantes && !cabeAlgumRestante()) break;
+        continue;
+      }
+      
+      selecionados.push(veiculo);
+      espaco -= veiculo.unidades;
+      porTipo[veiculo.tipo] = (porTipo[veiculo.tipo] || 0) + 1;
+      if (espaco <= 0 && veiculo.unidades > 0) break;
+    }
+    return selecionados;
   }
   
   /*
@@ -150,14 +470,14 @@ class Embarcacao {
   - Wq (tempo de espera) é calculado
   */
   embarcar(veiculos, horarioAtual) {
-    const espacoDisponivel = this.capacidade - this.veiculosAbordo.length;
-    const veiculosEmbarcar = veiculos.slice(0, espacoDisponivel);
+    const veiculosEmbarcar = this.selecionarQueCabem(veiculos);
     
     veiculosEmbarcar.forEach(veiculo => {
       veiculo.horarioEmbarque = horarioAtual;
       // Wq = Tempo de espera na fila
       veiculo.tempoEspera = Math.max(0, horarioAtual - veiculo.horarioChegada);
       this.veiculosAbordo.push(veiculo);
+      this.ocupacao += veiculo.unidades;
     });
     
     return veiculosEmbarcar.length;
@@ -166,7 +486,7 @@ class Embarcacao {
   /*
   MÉTODO: DESEMBARCAR
   Representa a conclusão do atendimento.
-  Libera o servidor para novos clientes.
+  Libera o convés para a próxima viagem.
   */
   desembarcar(horarioAtual) {
     this.veiculosAbordo.forEach(veiculo => {
@@ -175,11 +495,61 @@ class Embarcacao {
     
     const veiculosDesembarcados = [...this.veiculosAbordo];
     this.veiculosAbordo = [];
+    this.ocupacao = 0;
     this.viagensRealizadas++; // Incrementa serviços completados
     
     return veiculosDesembarcados;
   }
   
+  /*
+  MÉTODO: DEVOLVER VEÍCULOS
+  Viagem cancelada na rampa: os veículos voltam para a fila,
+  mantendo o horário de chegada original.
+  */
+  devolverVeiculos() {
+    const devolvidos = [...this.veiculosAbordo];
+    devolvidos.forEach(veiculo => {
+      veiculo.horarioEmbarque = null;
+      veiculo.tempoEspera = 0;
+    });
+    this.veiculosAbordo = [];
+    this.ocupacao = 0;
+    return devolvidos;
+  }
+  
+  // Marca o início de um ciclo de serviço (embarque → travessia → desembarque)
+  iniciarOcupacao(horarioAtual) {
+    this.disponivel = false;
+    this.inicioOcupacao = horarioAtual;
+  }
+  
+  // Encerra o ciclo e acumula o tempo ocupado dentro da janela observada
+  encerrarOcupacao(horarioAtual, inicioJanela, fimJanela) {
+    const inicio = Math.max(this.inicioOcupacao, inicioJanela);
+    const fim = Math.min(horarioAtual, fimJanela);
+    this.tempoTotalOcupado += Math.max(0, fim - inicio);
+    this.inicioOcupacao = null;
+    this.estado = ESTADOS_EMBARCACAO.DISPONIVEL;
+    this.disponivel = true;
+  }
+  
+  // Entra em falha guardando a fase em que estava
+  registrarFalha(horarioAtual) {
+    this.estadoAntesFalha = this.estado;
+    this.estado = ESTADOS_EMBARCACAO.FALHA;
+    this.disponivel = false;
+    this.inicioFalha = horarioAtual;
+    this.falhas++;
+  }
+  
+  // Reparo concluído: retoma a fase interrompida
+  finalizarReparo() {
+    this.estado = this.estadoAntesFalha;
+    this.disponivel = this.estado === ESTADOS_EMBARCACAO.DISPONIVEL;
+    this.estadoAntesFalha = null;
+    this.inicioFalha = null;
+  }
+  
   // Verifica se é hora de manutenção programada
   necessitaManutencao(horarioAtual) {
     return horarioAtual >= this.proximaManutencao && !this.emManutencao;
@@ -189,6 +559,7 @@ class Embarcacao {
   iniciarManutencao(horarioAtual) {
     this.emManutencao = true;
     this.disponivel = false;
+    this.estado = ESTADOS_EMBARCACAO.EM_MANUTENCAO;
     this.ultimaManutencao = horarioAtual;
   }
   
@@ -196,7 +567,228 @@ class Embarcacao {
   finalizarManutencao(horarioAtual) {
     this.emManutencao = false;
     this.disponivel = true;
-    this.proximaManutencao = horarioAtual + (CONFIG.manutencaoDias * 24 * 60);
+    this.estado = ESTADOS_EMBARCACAO.DISPONIVEL;
+    this.proximaManutencao = horarioAtual + (this.config.manutencaoDias * 24 * 60);
+  }
+}
+
+// ============================================================================
+// CLASSE TERMINAL
+// ============================================================================
+/*
+Cada margem da travessia (Ponta da Espera e Cujupe) é um terminal com:
+- Fila própria de veículos (clientes esperando naquele sentido)
+- Demanda própria (o perfil de chegada pode variar por sentido)
+- Uma rampa: só uma embarcação embarca por vez
+- Estatística de fila ponderada no tempo (Lq por sentido)
+- Série do tamanho da fila ([minuto, tamanho] a cada mudança), só com
+  registroEventos 'completo'
+*/
+class Terminal {
+  constructor(dados, config = CONFIG) {
+    this.id = dados.id;
+    this.nome = dados.nome || dados.id;
+    this.veiculosDiarios = dados.veiculosDiarios !== undefined
+      ? dados.veiculosDiarios
+      : config.veiculosDiarios * (dados.percentualDemanda !== undefined ? dados.percentualDemanda : 0.5);
+    
+    this.fila = [];                   // Veículos aguardando neste terminal
+    this.ordem = null;                // Comparador da disciplina, se a fila é mantida ordenada
+    this.porTipoNaFila = {};          // tipo → { quantidade, menorUnidade } (ver selecionarQueCabem)
+    this.embarcacaoNaRampa = null;    // Embarcação embarcando agora
+    this.ultimaPartida = -Infinity;   // Horário da última saída
+    this.partidas = 0;                // Saídas realizadas neste sentido
+    
+    // Integral do tamanho da fila no tempo (para Lq médio)
+    this.areaFila = 0;
+    this.ultimaMudancaFila = config.horarioInicio * 60;
+    this.filaMaxima = 0;
+    this.bloqueadoAte = -Infinity;    // Rampa fechada pela maré até este horário
+    this.serieFila = config.registroEventos === 'completo'
+      ? [[this.ultimaMudancaFila, 0]]
+      : null;
+  }
+  
+  // Acumula a área da fila até 't' (chamar antes de alterar a fila)
+  acumularFila(t) {
+    if (t > this.ultimaMudancaFila) {
+      this.areaFila += this.fila.length * (t - this.ultimaMudancaFila);
+      this.ultimaMudancaFila = t;
+    }
+  }
+  
+  // Ponto da série após alterar a fila (mudanças no mesmo instante viram uma só)
+  registrarTamanho(t) {
+    if (!this.serieFila) return;
+    const instante = Math.round(t * 100) / 100;
+    if (this.serieFila[this.serieFila.length - 1][0] === instante) this.serieFila.pop();
+    const anterior = this.serieFila[this.serieFila.length - 1];
+    if (!anterior || anterior[1] !== this.fila.length) {
+      this.serieFila.push([instante, this.fila.length]);
+    }
+  }
+  
+  // Contagem por tipo dos veículos na fila (+1 entrou, -1 saiu)
+  _contarNaFila(veiculo, delta) {
+    const tipo = this.porTipoNaFila[veiculo.tipo] ||
+      (this.porTipoNaFila[veiculo.tipo] = { quantidade: 0, menorUnidade: veiculo.unidades });
+    tipo.quantidade += delta;
+    tipo.menorUnidade = Math.min(tipo.menorUnidade, veiculo.unidades);
+  }
+  
+  adicionarNaFila(veiculo, t) {
+    this.acumularFila(t);
+    this._contarNaFila(veiculo, 1);
+    if (this.ordem) {
+      this.fila.splice(this._posicaoNaOrdem(veiculo, true), 0, veiculo);
+    } else {
+      this.fila.push(veiculo);
+    }
+    this.filaMaxima = Math.max(this.filaMaxima, this.fila.length);
+    this.registrarTamanho(t);
+  }
+  
+  // Veículos de uma viagem cancelada voltam para a frente da fila
+  devolverNaFila(veiculos, t) {
+    this.acumularFila(t);
+    veiculos.forEach(veiculo => this._contarNaFila(veiculo, 1));
+    if (this.ordem) {
+      // De trás para a frente: cada um fica antes dos que empatam com ele
+      for (let i = veiculos.length - 1; i >= 0; i--) {
+        this.fila.splice(this._posicaoNaOrdem(veiculos[i], false), 0, veiculos[i]);
+      }
+    } else {
+      this.fila.unshift(...veiculos);
+    }
+    this.filaMaxima = Math.max(this.filaMaxima, this.fila.length);
+    this.registrarTamanho(t);
+  }
+  
+  removerDaFila(veiculos, t) {
+    this.acumularFila(t);
+    veiculos.forEach(veiculo => this._contarNaFila(veiculo, -1));
+    if (veiculos.length === 1) {
+      // Um só (em geral quem acabou de chegar, no fim da fila): sem refazer o vetor
+      this.fila.splice(this.fila.lastIndexOf(veiculos[0]), 1);
+    } else {
+      // Quem embarca costuma estar no começo da fila: compacta só até o
+      // último que saiu em vez de refazer o vetor inteiro
+      const saiu = new Set(veiculos);
+      const ficam = [];
+      let i = 0;
+      for (let restantes = saiu.size; restantes > 0 && i < this.fila.length; i++) {
+        if (saiu.has(this.fila[i])) restantes--;
+        else ficam.push(this.fila[i]);
+      }
+      const inicio = i - ficam.length;
+      ficam.forEach((veiculo, k) => { this.fila[inicio + k] = veiculo; });
+      this.fila.splice(0, inicio);
+    }
+    this.registrarTamanho(t);
+  }
+
+  // Busca binária na fila ordenada: depois (ou antes) dos que empatam com o veículo
+  _posicaoNaOrdem(veiculo, depoisDosIguais) {
+    let inicio = 0;
+    let fim = this.fila.length;
+    while (inicio < fim) {
+      const meio = (inicio + fim) >> 1;
+      const comparacao = this.ordem(this.fila[meio], veiculo);
+      if (comparacao < 0 || (depoisDosIguais && comparacao === 0)) inicio = meio + 1;
+      else fim = meio;
+    }
+    return inicio;
+  }
+}
+
+// ============================================================================
+// CLASSE AGENDA DE EVENTOS (FILA DE PRIORIDADE POR TEMPO)
+// ============================================================================
+/*
+Núcleo da simulação de eventos discretos.
+Cada evento tem um instante (em minutos desde 0h) e um tipo. A agenda é um
+heap binário: sempre devolve o evento mais cedo; empates saem na ordem em
+que foram agendados, o que mantém a simulação determinística.
+
+Eventos podem ser cancelados (ex.: saída remarcada) sem sair do heap:
+ficam marcados e são descartados quando chegam ao topo.
+*/
+class AgendaEventos {
+  constructor() {
+    this.heap = [];
+    this.sequencia = 0;
+  }
+  
+  get tamanho() {
+    return this.heap.length;
+  }
+  
+  vazia() {
+    return this.heap.length === 0;
+  }
+  
+  // Agenda um evento e devolve a referência (permite cancelar depois)
+  agendar(tempo, tipo, dados = {}) {
+    const evento = { ...dados, tempo, tipo, seq: this.sequencia++, cancelado: false };
+    this.heap.push(evento);
+    this._subir(this.heap.length - 1);
+    return evento;
+  }
+  
+  cancelar(evento) {
+    if (evento) evento.cancelado = true;
+  }
+  
+  // Remove e devolve o próximo evento válido (ou null se acabou)
+  proximo() {
+    while (this.heap.length > 0) {
+      const topo = this._removerTopo();
+      if (!topo.cancelado) return topo;
+    }
+    return null;
+  }
+  
+  // Horário do próximo evento válido, sem removê-lo (Infinity se acabou)
+  proximoTempo() {
+    while (this.heap.length > 0 && this.heap[0].cancelado) this._removerTopo();
+    return this.heap.length > 0 ? this.heap[0].tempo : Infinity;
+  }
+  
+  _removerTopo() {
+    const topo = this.heap[0];
+    const ultimo = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = ultimo;
+      this._descer(0);
+    }
+    return topo;
+  }
+  
+  _antes(a, b) {
+    return a.tempo < b.tempo || (a.tempo === b.tempo && a.seq < b.seq);
+  }
+  
+  _subir(i) {
+    while (i > 0) {
+      const pai = (i - 1) >> 1;
+      if (!this._antes(this.heap[i], this.heap[pai])) break;
+      [this.heap[i], this.heap[pai]] = [this.heap[pai], this.heap[i]];
+      i = pai;
+    }
+  }
+  
+  _descer(i) {
+    const n = this.heap.length;
+    for (;;) {
+      const esq = 2 * i + 1;
+      const dir = esq + 1;
+      let menor = i;
+      if (esq < n && this._antes(this.heap[esq], this.heap[menor])) menor = esq;
+      if (dir < n && this._antes(this.heap[dir], this.heap[menor])) menor = dir;
+      if (menor === i) break;
+      [this.heap[i], this.heap[menor]] = [this.heap[menor], this.heap[i]];
+      i = menor;
+    }
   }
 }
 
@@ -206,6 +798,43 @@ class Embarcacao {
 /*
 Implementa a simulação de eventos discretos aplicando teoria de filas.
 
+TRAVESSIA BIDIRECIONAL:
+As embarcações fazem o vaivém entre os dois terminais (Ponta da Espera ↔
+Cujupe). Cada terminal tem sua fila e sua demanda; a embarcação só embarca
+no terminal onde está atracada e, ao desembarcar do outro lado, passa a
+atender a fila de lá.
+
+MOTOR DE EVENTOS DISCRETOS:
+O relógio não avança em passos fixos: ele salta de um evento para o
+próximo, na ordem em que acontecem. Cada embarcação percorre o ciclo
+  chegada (veículo) → inicio_embarque → fim_embarque → partida
+  → chegada_destino → fim_desembarque
+e só volta a embarcar quando termina o ciclo. Manutenções programadas
+(manutencao_inicio / manutencao_fim) tiram a embarcação de operação.
+
+REGRAS OPERACIONAIS:
+- Há uma rampa por terminal: só uma embarcação embarca por vez
+- A rampa fica aberta pela janela sorteada de tempoEmbarqueMinutos;
+  quem chega nesse intervalo ainda embarca se houver espaço. Os veículos
+  sobem um por vez (embarqueSegundos do tipo) e a saída espera o último
+- Travessia e desembarque (por veículo) são sorteados a cada viagem
+- Saídas consecutivas do mesmo terminal respeitam frequenciaSaidaMinutos
+- Embarcação parada sem fila local vai vazia para o outro lado se lá
+  houver fila e nenhuma embarcação disponível ou a caminho
+- Nenhum embarque começa após horarioFim; viagens em curso terminam
+- Com condicoes.habilitado: maré abaixo da altura mínima segura a saída
+  (até toleranciaMinutos) ou fecha a rampa até a maré voltar; o cenário
+  de clima alonga a travessia. Cada efeito vira um evento (mare_atraso,
+  mare_cancelamento, mare_rampa_fechada, clima_atraso)
+
+MODO TABELA DE HORÁRIOS (config.tabelaHorarios):
+- A rampa abre a janela média de embarque antes de cada partida programada,
+  se a embarcação designada estiver atracada no terminal
+- A saída acontece no horário programado (ou ao fim do embarque, se a
+  embarcação chegou atrasada); não há reposicionamento vazio
+- Sem embarque até atrasoMaximoMinutos após o horário: partida perdida
+- Cada partida registra situação, atraso e fator de carga
+
 MODELO M/M/c EXPLICADO:
 1. Chegadas (M - Markoviano/Poisson):
    - Veículos chegam aleatoriamente
@@ -224,252 +853,2328 @@ MÉTRICAS CALCULADAS:
 - Lq: Número médio de veículos na fila
 - W: Tempo médio no sistema
 - Wq: Tempo médio de espera na fila
-- ρ: Taxa de utilização dos servidores
+- ρ: Taxa de utilização dos servidores (tempo realmente ocupado)
 */
 class SimuladorFerries {
   constructor(config = {}) {
     // Mescla configurações customizadas com as padrões
     this.config = { ...CONFIG, ...config };
     
+    // Gerador aleatório com semente (registrada para replay)
+    if (this.config.seed === null || this.config.seed === undefined || this.config.seed === '') {
+      this.config.seed = gerarSemente();
+    }
+    this.aleatorio = criarGerador(this.config.seed, this.config.geradorAleatorio);
+    
+    // Tipos de veículo: cada tipo informado é mesclado ao padrão
+    this.config.tiposVeiculo = this._mesclarTiposVeiculo(config.tiposVeiculo);
+    this.mixVeiculos = this._mixVeiculos();
+    
+    // Tempos de serviço: distribuições com fluxo aleatório próprio, para
+    // que mudar uma fase não altere as chegadas sorteadas
+    this.servico = {
+      embarque: this._distribuicaoServico(this.config.tempoEmbarqueMinutos, 'tempoEmbarqueMinutos'),
+      travessia: this._distribuicaoServico(this.config.tempoTravessiaMinutos, 'tempoTravessiaMinutos'),
+      desembarque: this._distribuicaoServico(this.config.tempoDesembarqueSegundos, 'tempoDesembarqueSegundos')
+    };
+    this.aleatorioServico = criarGerador(derivarSemente(this.config.seed, 'servico'), this.config.geradorAleatorio);
+    
+    // Falhas usam um fluxo aleatório próprio: ligar/desligar falhas não
+    // altera as chegadas sorteadas (comparações pareadas continuam válidas)
+    this.config.falhas = { ...CONFIG.falhas, ...(config.falhas || {}) };
+    this.aleatorioFalhas = criarGerador(derivarSemente(this.config.seed, 'falhas'), this.config.geradorAleatorio);
+    this.distribuicaoEntreFalhas = this._distribuicaoEntreFalhas();
+    if (this.config.falhas.habilitado) {
+      validarDistribuicao(this.distribuicaoEntreFalhas, 'falhas.tempoEntreFalhasHoras');
+      validarDistribuicao(this.config.falhas.tempoReparoHoras, 'falhas.tempoReparoHoras');
+      // MTBF zero agendaria falhas no mesmo instante para sempre
+      if (!(mediaDistribuicao(this.distribuicaoEntreFalhas) > 0)) {
+        throw new Error('falhas.tempoEntreFalhasHoras: a média (MTBF) deve ser positiva');
+      }
+    }
+    
     // Inicializa estruturas do sistema de filas
     this.embarcacoes = [];           // Servidores (c)
     this.veiculosProcessados = [];   // Histórico de atendimentos
     this.eventos = [];               // Log de eventos da simulação
+    if (!NIVEIS_REGISTRO.includes(this.config.registroEventos)) {
+      throw new Error(`registroEventos deve ser ${NIVEIS_REGISTRO.join(', ')}`);
+    }
+    this.agenda = new AgendaEventos(); // Eventos futuros (ordem temporal)
     this.horarioAtual = this.config.horarioInicio * 60; // Tempo em minutos
     
-    // Fila única
-    this.filaGeral = [];     
+    // Terminais (uma fila por sentido)
+    if (!Array.isArray(this.config.terminais) || this.config.terminais.length !== 2) {
+      throw new Error('A travessia precisa de exatamente dois terminais');
+    }
+    this.terminais = this.config.terminais.map(dados => new Terminal(dados, this.config));
+    
+    if (!Number.isInteger(this.config.dias) || this.config.dias < 1 || this.config.dias > LIMITE_DIAS) {
+      throw new Error(`dias deve ser um inteiro entre 1 e ${LIMITE_DIAS}`);
+    }
+    
+    // Indicadores ponderados no tempo: fila dos dois terminais (Lq) e
+    // veículos no sistema, da chegada ao desembarque (L)
+    this.veiculosNoSistema = 0;
+    this.filaNoTempo = indicadoresTempo.criarAcumuladorTempo(this.horarioAtual, this._fimDoHorizonte());
+    this.sistemaNoTempo = indicadoresTempo.criarAcumuladorTempo(this.horarioAtual, this._fimDoHorizonte());
     
-    // Cria os c servidores (embarcações)
+    // Cria os c servidores, distribuídos alternadamente entre os terminais.
+    // As manutenções são escalonadas: a embarcação i vence em (i/c) do ciclo,
+    // para que a frota não pare inteira no mesmo dia.
+    const cicloManutencao = this.config.manutencaoDias * MINUTOS_DIA;
     for (let i = 0; i < this.config.numEmbarcacoes; i++) {
-      this.embarcacoes.push(new Embarcacao(i + 1));
+      const terminal = this.terminais[i % this.terminais.length];
+      const embarcacao = new Embarcacao(i + 1, this.config, terminal.id);
+      embarcacao.proximaManutencao = cicloManutencao * (i + 1) / this.config.numEmbarcacoes;
+      this.embarcacoes.push(embarcacao);
+    }
+    
+    // Tabela de horários: cada embarcação começa onde faz sua primeira partida
+    this.tabelaHorarios = this._prepararTabelaHorarios(config.tabelaHorarios);
+    if (this.tabelaHorarios) {
+      this.embarcacoes.forEach(embarcacao => {
+        const primeira = this.tabelaHorarios.partidas.find(p => p.embarcacao === embarcacao.id);
+        if (primeira) embarcacao.localizacao = primeira.terminal;
+      });
     }
+    this.partidasProgramadas = [];   // Partidas da tabela (uma por dia)
+    
+    // Reservas reais: chegadas agendadas com fluxo aleatório próprio
+    this.config.chegadaReservas = { ...CONFIG.chegadaReservas, ...(config.chegadaReservas || {}) };
+    this.aleatorioReservas = criarGerador(derivarSemente(this.config.seed, 'reservas'), this.config.geradorAleatorio);
+    this.reservasAgendadas = this._prepararReservasAgendadas(config.reservasAgendadas);
+
+    // Perfil de chegada de cada dia (dataInicial pode vir das reservas acima)
+    this.perfisPorDia = this._prepararPerfisChegada(config);
+
+    // Disciplina da fila; a classe de prioridade é sorteada na chegada com
+    // fluxo próprio, então trocar a disciplina não muda quem chega
+    this.config.disciplinaFila = disciplinas.mesclarDisciplina(CONFIG.disciplinaFila, config.disciplinaFila);
+    disciplinas.validarDisciplina(this.config.disciplinaFila);
+    const ordem = disciplinas.ordemFixa(this.config.disciplinaFila);
+    this.terminais.forEach(terminal => { terminal.ordem = ordem; });
+    this.aleatorioClasses = criarGerador(derivarSemente(this.config.seed, 'classes'), this.config.geradorAleatorio);
+
+    // Maré e clima: determinísticos, não mexem nos sorteios
+    this.config.condicoes = this._mesclarCondicoes(config.condicoes);
+    this.condicoes = this.config.condicoes.habilitado
+      ? criarCondicoes(this.config.condicoes, { dataInicial: this.config.dataInicial })
+      : null;
+
+    this.estatisticasDias = [];      // Métricas de cada dia simulado
+    this.viagens = [];               // Uma entrada por partida (carga levada)
+    this.estatisticasFalhas = {      // Efeito das falhas nas viagens
+      total: 0,
+      viagensCanceladas: 0,
+      viagensAtrasadas: 0,
+      atrasoTotalMinutos: 0,
+      tempoReparoTotalMinutos: 0
+    };
+    this.estatisticasCondicoes = {   // Efeito da maré e do clima
+      mare: {
+        viagensAtrasadas: 0, atrasoTotalMinutos: 0, veiculosAtrasados: 0,
+        viagensCanceladas: 0, veiculosDevolvidos: 0,
+        fechamentosRampa: 0, rampaFechadaMinutos: 0
+      },
+      clima: { travessiasAlongadas: 0, atrasoTotalMinutos: 0, travessiasPorCenario: {} }
+    };
   }
 
-  // --- Verifica se é horário de pico ---
-  ehHorarioPico(horario) {
-    const hora = Math.floor(horario / 60);
-    return this.config.picos.some(pico => hora >= pico.inicio && hora < pico.fim);
+  // --- Condições: padrão + ajustes (mare, clima e cenários por nome) ---
+  _mesclarCondicoes(custom = {}) {
+    const padrao = CONFIG.condicoes;
+    const pedidas = custom || {};
+    return {
+      ...padrao,
+      ...pedidas,
+      mare: { ...padrao.mare, ...(pedidas.mare || {}) },
+      clima: {
+        ...padrao.clima,
+        ...(pedidas.clima || {}),
+        cenarios: { ...padrao.clima.cenarios, ...((pedidas.clima || {}).cenarios || {}) }
+      }
+    };
   }
 
-  // --- Gera chegadas de veículos ---
-  gerarChegadaVeiculos() {
-    const veiculosHoraBase = this.config.veiculosDiarios / this.config.horasOperacao;
-    const multiplicadorPico = this.ehHorarioPico(this.horarioAtual) ? 2.5 : 1;
+  // --- Valida e normaliza a tabela de horários (null = modo livre) ---
+  _prepararTabelaHorarios(tabela) {
+    if (tabela === null || tabela === undefined) return null;
+
+    const partidas = Array.isArray(tabela) ? tabela : tabela.partidas;
+    if (!Array.isArray(partidas) || partidas.length === 0) {
+      throw new Error('tabelaHorarios.partidas deve ser uma lista com pelo menos uma partida');
+    }
 
-    // Gera chegadas com flutuação aleatória (±20%)
-    const fatorAleatorio = 0.8 + Math.random() * 0.4;
-    const veiculosEstaHora = Math.round(veiculosHoraBase * multiplicadorPico * fatorAleatorio);
+    const normalizadas = partidas.map((partida, i) => {
+      const terminal = this._terminal(partida.terminal);
+      if (!terminal) {
+        throw new Error(`tabelaHorarios.partidas[${i}]: terminal desconhecido "${partida.terminal}". ` +
+          `Disponíveis: ${this.terminais.map(t => t.id).join(', ')}`);
+      }
+      const minuto = minutosDoHorario(partida.horario);
+      if (minuto === null) {
+        throw new Error(`tabelaHorarios.partidas[${i}]: horario inválido "${partida.horario}" (use "HH:MM")`);
+      }
+      const embarcacao = partida.embarcacao !== undefined ? partida.embarcacao : null;
+      if (embarcacao !== null && !this.embarcacoes.some(e => e.id === embarcacao)) {
+        throw new Error(`tabelaHorarios.partidas[${i}]: embarcação ${embarcacao} não existe ` +
+          `(frota de ${this.config.numEmbarcacoes})`);
+      }
+      return { terminal: terminal.id, minuto, embarcacao };
+    }).sort((a, b) => a.minuto - b.minuto);
 
-    const veiculos = [];
-    for (let i = 0; i < veiculosEstaHora; i++) {
-      const minutoChegada = this.horarioAtual + Math.random() * 60;
-      const tipo = Math.random() < this.config.percentualCarros ? 'carro' : 'caminhao';
-      veiculos.push(new Veiculo(tipo, minutoChegada));
+    const opcoes = Array.isArray(tabela) ? {} : tabela;
+    const toleranciaMinutos = opcoes.toleranciaMinutos !== undefined ? opcoes.toleranciaMinutos : 5;
+    const atrasoMaximoMinutos = opcoes.atrasoMaximoMinutos !== undefined ? opcoes.atrasoMaximoMinutos : 60;
+    if (!(toleranciaMinutos >= 0) || !(atrasoMaximoMinutos >= 0)) {
+      throw new Error('tabelaHorarios: toleranciaMinutos e atrasoMaximoMinutos devem ser maiores ou iguais a zero');
     }
 
-    return veiculos.sort((a, b) => a.horarioChegada - b.horarioChegada);
+    return { partidas: normalizadas, toleranciaMinutos, atrasoMaximoMinutos };
   }
 
+  /*
+  RESERVAS REAIS
+  Converte as reservas gravadas em partidas dentro do horizonte simulado.
+  Só "confirmada" e "check_in" contam; reservas sem partida (anteriores
+  às vagas) ou fora dos dias simulados são ignoradas e contadas.
+  Sem reservas reais, nada muda (percentualReservas sorteia quem reservou).
+  */
+  _prepararReservasAgendadas(reservas) {
+    if (reservas === null || reservas === undefined) return null;
+    if (!Array.isArray(reservas)) throw new Error('reservasAgendadas deve ser uma lista de reservas');
 
-  // --- Processa simulação com filas de prioridade ---
-  processar() {
-  const resultados = {
-    tempoSimulacao: 0,
-    veiculosProcessados: 0,
-    veiculosNaoAtendidos: 0,
-    tempoMedioEspera: 0,
-    tempoMedioEsperaReservas: 0,
-    tempoMedioEsperaNormais: 0,
-    utilizacaoEmbarcacoes: [],
-    viagensRealizadas: 0
-  };
+    const validas = reservas.filter(r => ['confirmada', 'check_in'].includes(r.status || 'confirmada'));
+    const datas = validas.map(r => r.data).filter(Boolean).sort();
+    const dataInicial = this.config.dataInicial || datas[0] || null;
+    if (dataInicial && !/^\d{4}-\d{2}-\d{2}$/.test(dataInicial)) {
+      throw new Error('dataInicial deve estar no formato AAAA-MM-DD');
+    }
+    this.config.dataInicial = dataInicial;
 
-  const horarioFinal = this.config.horarioFim * 60;
+    const agendadas = [];
+    validas.forEach(reserva => {
+      const terminal = this._terminal(reserva.terminal);
+      const minuto = minutosDoHorario(reserva.horarioPartida);
+      if (!terminal || minuto === null || !reserva.data || !this.config.tiposVeiculo[reserva.tipoVeiculo]) return;
+      const dia = Math.round((Date.parse(`${reserva.data}T00:00:00Z`) - Date.parse(`${dataInicial}T00:00:00Z`)) / 86400000);
+      if (dia < 0 || dia >= this.config.dias) return;
+      agendadas.push({
+        codigo: reserva.id,
+        terminal,
+        tipo: reserva.tipoVeiculo,
+        partida: dia * MINUTOS_DIA + minuto
+      });
+    });
 
-  // === Loop principal da simulação ===
-  while (this.horarioAtual < horarioFinal) {
-    // === 1️⃣ Geração de chegadas (aleatória e realista) ===
-    const veiculosHoraBase = this.config.veiculosDiarios / this.config.horasOperacao;
-    const multiplicadorPico = this.ehHorarioPico(this.horarioAtual) ? 2.5 : 1;
+    // Reservas por terminal e dia: descontadas da demanda espontânea
+    this.reservasPorTerminalDia = {};
+    agendadas.forEach(a => {
+      const dia = this._dia(a.partida);
+      const porDia = this.reservasPorTerminalDia[a.terminal.id] = this.reservasPorTerminalDia[a.terminal.id] || {};
+      porDia[dia] = (porDia[dia] || 0) + 1;
+    });
 
-    // Variação natural (±20%) para simular dias mais/menos movimentados
-    const fatorAleatorio = 0.8 + Math.random() * 0.4;
-    const veiculosEstaHora = Math.round(veiculosHoraBase * multiplicadorPico * fatorAleatorio);
+    this.estatisticasReservas = { recebidas: reservas.length, consideradas: agendadas.length, ignoradas: reservas.length - agendadas.length };
+    return agendadas.sort((a, b) => a.partida - b.partida);
+  }
 
-    // Cria os veículos dessa hora
-    const novosVeiculos = [];
-    for (let i = 0; i < veiculosEstaHora; i++) {
-      const minutoChegada = this.horarioAtual + Math.random() * 60;
-      const tipo = Math.random() < this.config.percentualCarros ? 'carro' : 'caminhao';
-      const veiculo = new Veiculo(tipo, minutoChegada);
+  // Fração da demanda do dia que chega sem reserva (1 sem reservas reais)
+  _fatorEspontaneo(horario, terminal) {
+    if (!this.reservasAgendadas || terminal.veiculosDiarios <= 0) return 1;
+    const porDia = this.reservasPorTerminalDia[terminal.id] || {};
+    return Math.max(0, 1 - (porDia[this._dia(horario)] || 0) / terminal.veiculosDiarios);
+  }
 
-      // Define se o veículo tem reserva (30% por padrão)
-      veiculo.reserva = Math.random() < (this.config.percentualReservas || 0.3);
+  // --- Veículos das reservas reais (chegam antes da partida reservada) ---
+  _gerarChegadasReservadas() {
+    const { antecedenciaMinutos, variacaoMinutos } = this.config.chegadaReservas;
+    return this.reservasAgendadas.map(agendada => {
+      const desvio = (this.aleatorioReservas() - 0.5) * variacaoMinutos;
+      const chegada = Math.max(0, agendada.partida - antecedenciaMinutos + desvio);
+      const veiculo = new Veiculo(agendada.tipo, chegada, this.aleatorioReservas);
+      veiculo.unidades = this.config.tiposVeiculo[agendada.tipo].unidades;
+      veiculo.origem = agendada.terminal.id;
+      veiculo.destino = this._outroTerminal(agendada.terminal).id;
+      veiculo.reserva = true;
+      veiculo.codigoReserva = agendada.codigo;
+      veiculo.partidaReservada = agendada.partida;
+      return veiculo;
+    });
+  }
 
-      // 🔹 Penaliza veículos sem reserva em horários de pico
-      if (!veiculo.reserva && this.ehHorarioPico(this.horarioAtual)) {
-        veiculo.tempoEspera += 15 + Math.random() * 20; // espera adicional de 15–35 min
-      }
+  /*
+  PERFIS DE CHEGADA
+  Perfis e calendário recebidos são mesclados aos padrões por nome
+  (um perfil novo não apaga os demais). 'picos' foi substituído pelos
+  perfis e é recusado para não ser ignorado em silêncio.
+  */
+  _prepararPerfisChegada(config) {
+    const usaPicos = config.picos !== undefined || (config.terminais || []).some(t => t.picos !== undefined);
+    if (usaPicos) {
+      throw new Error('"picos" foi substituído por perfisChegada (faixas com fator; "terminais" para um sentido específico)');
+    }
 
-      novosVeiculos.push(veiculo);
+    const calendario = config.calendarioChegadas || {};
+    this.config.perfisChegada = { ...CONFIG.perfisChegada, ...(config.perfisChegada || {}) };
+    this.config.calendarioChegadas = {
+      ...CONFIG.calendarioChegadas,
+      ...calendario,
+      diasSemana: { ...CONFIG.calendarioChegadas.diasSemana, ...(calendario.diasSemana || {}) },
+      feriados: { ...CONFIG.calendarioChegadas.feriados, ...(calendario.feriados || {}) }
+    };
 
-    }
-    // Adiciona todos na mesma fila
-    this.filaGeral.push(...novosVeiculos);
+    return perfisChegada.perfisDosDias({
+      perfis: this.config.perfisChegada,
+      calendario: this.config.calendarioChegadas,
+      perfilFixo: this.config.perfilChegada,
+      dataInicial: this.config.dataInicial,
+      dias: this.config.dias
+    });
+  }
 
-    // === 2️⃣ Embarque por embarcação ===
-    for (const embarcacao of this.embarcacoes) {
-      if (embarcacao.disponivel && embarcacao.veiculosAbordo.length === 0) {
-        // --- Embarque considerando prioridade de reserva ---
-        const prontos = this.filaGeral
-          .filter(v => v.horarioChegada <= this.horarioAtual)
-          .sort((a, b) => (b.reserva === true) - (a.reserva === true)); // com reserva primeiro
+  // --- Intervalos de taxa constante de um dia (minutos absolutos) ---
+  // (pico: intervalo com o maior fator do dia no terminal)
+  _intervalosChegada(dia, terminal) {
+    const inicioDia = dia * MINUTOS_DIA;
+    const intervalos = perfisChegada
+      .intervalosDoDia(this.perfisPorDia[dia].perfil, terminal.id, this.config.horarioInicio * 60, this.config.horarioFim * 60);
+    const fatorPico = intervalos.reduce((maior, intervalo) => Math.max(maior, intervalo.fator), 0);
+    return intervalos.map(intervalo => ({
+      ...intervalo,
+      inicio: inicioDia + intervalo.inicio,
+      fim: inicioDia + intervalo.fim,
+      pico: fatorPico > 0 && intervalo.fator === fatorPico
+    }));
+  }
 
-        const embarcados = embarcacao.embarcar(prontos, this.horarioAtual);
-        this.filaGeral.splice(0, embarcados);
+  // λ do intervalo em veículos/hora
+  _taxaChegada(intervalo, terminal) {
+    return terminal.veiculosDiarios / this.config.horasOperacao * intervalo.fator;
+  }
 
-        
-        // --- Travessia e desembarque ---
-        const horarioDesembarque = this.horarioAtual + this.config.tempoTravessiaMinutos;
-        const desembarcados = embarcacao.desembarcar(horarioDesembarque);
-        this.veiculosProcessados.push(...desembarcados);
-        embarcacao.viagensRealizadas++;
-        embarcacao.tempoTotalOcupado += this.config.tempoTravessiaMinutos;
+  // --- Tipos de veículo: padrão + ajustes recebidos na configuração ---
+  _mesclarTiposVeiculo(tiposCustom = {}) {
+    const tipos = {};
+    const nomes = new Set([...Object.keys(CONFIG.tiposVeiculo), ...Object.keys(tiposCustom || {})]);
+    nomes.forEach(nome => {
+      tipos[nome] = { ...(CONFIG.tiposVeiculo[nome] || {}), ...((tiposCustom || {})[nome] || {}) };
+      if (!Number.isFinite(tipos[nome].unidades) || tipos[nome].unidades < 0) {
+        throw new Error(`tiposVeiculo.${nome}.unidades deve ser um número maior ou igual a zero`);
+      }
+      const embarque = tipos[nome].embarqueSegundos;
+      if (embarque !== undefined && (!Number.isFinite(embarque) || embarque < 0)) {
+        throw new Error(`tiposVeiculo.${nome}.embarqueSegundos deve ser um número maior ou igual a zero`);
       }
+    });
+    return tipos;
+  }
+
+  // --- Fatias da demanda por tipo (normalizadas para somar 1) ---
+  _mixVeiculos() {
+    const legado = { carro: this.config.percentualCarros, caminhao: this.config.percentualCaminhoes };
+    const mix = Object.keys(this.config.tiposVeiculo).map(tipo => {
+      const informado = this.config.tiposVeiculo[tipo].percentual;
+      return { tipo, percentual: informado !== undefined ? informado : (legado[tipo] || 0) };
+    }).filter(item => item.percentual > 0);
+
+    const total = mix.reduce((s, item) => s + item.percentual, 0);
+    if (total <= 0) throw new Error('A soma dos percentuais de tipos de veículo deve ser positiva');
+
+    let acumulado = 0;
+    return mix.map(item => {
+      acumulado += item.percentual / total;
+      return { tipo: item.tipo, acumulado };
+    });
+  }
+
+  // --- Sorteia o tipo do veículo conforme o mix ---
+  _sortearTipo() {
+    const u = this.aleatorio();
+    const item = this.mixVeiculos.find(m => u < m.acumulado);
+    return item ? item.tipo : this.mixVeiculos[this.mixVeiculos.length - 1].tipo;
+  }
+
+  // --- Veículos que cabem numa viagem cheia, com o mix de tipos ---
+  _veiculosPorViagem() {
+    let anterior = 0;
+    const unidadesMedias = this.mixVeiculos.reduce((soma, item) => {
+      const fatia = item.acumulado - anterior;
+      anterior = item.acumulado;
+      return soma + fatia * this.config.tiposVeiculo[item.tipo].unidades;
+    }, 0);
+    return unidadesMedias > 0 ? this.config.capacidadeVeiculos / unidadesMedias : this.config.capacidadeVeiculos;
+  }
+
+  // --- Tempo de serviço: número = fixo; objeto = distribuição ---
+  _distribuicaoServico(valor, nome) {
+    if (typeof valor === 'number') {
+      if (!Number.isFinite(valor) || valor < 0) throw new Error(`${nome} deve ser um número maior ou igual a zero`);
+      return { tipo: 'fixo', valor };
     }
+    validarDistribuicao(valor, nome);
+    return valor;
+  }
 
-    // Avança o tempo (1 saída por hora)
-    this.horarioAtual += this.config.frequenciaSaidaMinutos;
+  // Segundos para um veículo subir a rampa
+  _embarqueSegundos(tipo) {
+    return this.config.tiposVeiculo[tipo].embarqueSegundos || 0;
   }
 
-  // === 3️⃣ Cálculo de resultados ===
-  const todos = this.veiculosProcessados;
-  const reservas = todos.filter(v => v.reserva);
-  const normais = todos.filter(v => !v.reserva);
-  const media = arr => (arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
-
-  // Fila restante ao final do dia (veículos não atendidos)
-  resultados.veiculosNaoAtendidos = this.filaGeral.length;
-
-  resultados.tempoSimulacao = (horarioFinal - (this.config.horarioInicio * 60)) / 60;
-  resultados.veiculosProcessados = todos.length;
-  resultados.tempoMedioEspera = media(todos.map(v => v.tempoEspera));
-  resultados.tempoMedioEsperaReservas = media(reservas.map(v => v.tempoEspera));
-  resultados.tempoMedioEsperaNormais = media(normais.map(v => v.tempoEspera));
-
-  resultados.utilizacaoEmbarcacoes = this.embarcacoes.map(e => ({
-    id: e.id,
-    percentualUtilizacao: Math.min(100, (e.tempoTotalOcupado / (horarioFinal - this.config.horarioInicio * 60)) * 100),
-    viagensRealizadas: e.viagensRealizadas
-  }));
+  /*
+  CICLO MÉDIO (minutos) de uma viagem cheia com o mix de tipos:
+  embarque = maior entre a janela média e o tempo de carregar o convés
+  */
+  _cicloMedio() {
+    const veiculosPorViagem = this._veiculosPorViagem();
+    let anterior = 0;
+    const embarqueMedioSegundos = this.mixVeiculos.reduce((soma, item) => {
+      const fatia = item.acumulado - anterior;
+      anterior = item.acumulado;
+      return soma + fatia * this._embarqueSegundos(item.tipo);
+    }, 0);
 
-  resultados.viagensRealizadas = this.embarcacoes.reduce((s, e) => s + e.viagensRealizadas, 0);
+    const embarque = Math.max(mediaDistribuicao(this.servico.embarque), veiculosPorViagem * embarqueMedioSegundos / 60);
+    const travessia = mediaDistribuicao(this.servico.travessia);
+    const desembarque = veiculosPorViagem * mediaDistribuicao(this.servico.desembarque) / 60;
+    return { embarque, travessia, desembarque, total: embarque + travessia + desembarque };
+  }
 
-  return resultados;
-}
+  // --- MTBF: média informada ou derivada de taxaFalhas ---
+  _distribuicaoEntreFalhas() {
+    const spec = { ...this.config.falhas.tempoEntreFalhasHoras };
+    if ((spec.media === null || spec.media === undefined) && spec.escala === undefined) {
+      spec.media = (this._cicloMedio().total / 60) / this.config.taxaFalhas;
+    }
+    return spec;
+  }
 
+  // --- Parâmetros equivalentes para os modelos analíticos ---
+  // λ: chegadas esperadas por hora, na média dos perfis dos dias simulados
+  // μ: veículos/hora que uma embarcação atende num ciclo completo
+  //    (lote = veículos que cabem no convés com o mix de tipos)
+  parametrosTeoricos() {
+    const inicio = this.config.horarioInicio * 60;
+    const fim = this.config.horarioFim * 60;
+    let chegadasEsperadas = 0;
+    this.perfisPorDia.forEach(({ dia }) => {
+      this.terminais.forEach(terminal => {
+        this._intervalosChegada(dia, terminal).forEach(intervalo => {
+          chegadasEsperadas += this._taxaChegada(intervalo, terminal) * (intervalo.fim - intervalo.inicio) / 60;
+        });
+      });
+    });
+    chegadasEsperadas /= this.perfisPorDia.length;
 
-  // --- Simular com sistema de reservas (comparativo de desempenho) ---
-  simularComReservas(percentualReservas = 0.3) {
-    this.config.percentualReservas = percentualReservas;
-    const resultado = this.processar();
+    const veiculosPorViagem = this._veiculosPorViagem();
+    const cicloMinutos = this._cicloMedio().total;
 
     return {
-      sucesso: true,
-      resumo: {
-        tempoMedioEsperaGeral: resultado.tempoMedioEspera.toFixed(2) + " min",
-        tempoMedioReservas: resultado.tempoMedioEsperaReservas.toFixed(2) + " min",
-        tempoMedioNormais: resultado.tempoMedioEsperaNormais.toFixed(2) + " min",
-        diferenca: (resultado.tempoMedioEsperaNormais - resultado.tempoMedioEsperaReservas).toFixed(2) + " min",
-        veiculosProcessados: resultado.veiculosProcessados
-      },
-      detalhes: resultado
+      lambda: chegadasEsperadas / ((fim - inicio) / 60),
+      mu: veiculosPorViagem / (cicloMinutos / 60),
+      c: this.config.numEmbarcacoes,
+      tamanhoLote: Math.max(1, Math.floor(veiculosPorViagem))
     };
   }
-}
 
+  // --- Localiza terminais ---
+  _terminal(id) {
+    return this.terminais.find(t => t.id === id);
+  }
 
-// ============================================================================
-// ENDPOINTS DA API REST
-// ============================================================================
-/*
-API REST permite que o frontend se comunique com o backend.
-Segue padrões HTTP:
-- GET: Buscar dados
-- POST: Enviar/criar dados
-- PUT: Atualizar dados
-- DELETE: Remover dados
-*/
+  _outroTerminal(terminal) {
+    return this.terminais.find(t => t !== terminal);
+  }
 
-// ========== ENDPOINT 1: INFORMAÇÕES DA API ==========
-/*
-Retorna informações básicas e lista de endpoints disponíveis.
-Útil para documentação e descoberta da API.
-*/
-app.get('/', (req, res) => {
-  res.json({
-    mensagem: 'API de Simulação dos Ferries de São Luís',
-    descricao: 'Sistema baseado em Teoria de Filas (M/M/c) para análise e otimização do transporte aquaviário',
-    versao: '1.0.0',
-    endpoints: {
-      'GET /': 'Informações da API',
-      'GET /config': 'Configurações do sistema',
-      'POST /simular': 'Executar simulação',
-      'POST /simular/com-reservas': 'Simular com sistema de reservas',
-      'GET /embarcacoes/status': 'Status atual das embarcações',
-      'POST /reserva': 'Criar reserva de veículo',
-      'GET /reservas': 'Listar todas as reservas',
+  // --- Gera as chegadas de um intervalo do perfil ---
+  // Taxa constante no intervalo: tempos entre chegadas exponenciais
+  // (Poisson). Com reservas reais, a taxa cai na fração que já reservou.
+  gerarChegadaVeiculos(intervalo, terminal = this.terminais[0]) {
+    const taxaPorMinuto = this._taxaChegada(intervalo, terminal) *
+      this._fatorEspontaneo(intervalo.inicio, terminal) / 60;
+    const instantes = perfisChegada.instantesPoisson(intervalo.inicio, intervalo.fim, taxaPorMinuto, this.aleatorio);
+
+    const destino = this._outroTerminal(terminal);
+    const veiculos = [];
+    instantes.forEach(minutoChegada => {
+      const tipo = this._sortearTipo();
+      const veiculo = new Veiculo(tipo, minutoChegada, this.aleatorio);
+      veiculo.unidades = this.config.tiposVeiculo[tipo].unidades;
+      veiculo.origem = terminal.id;
+      veiculo.destino = destino.id;
+      veiculo.chegouNoPico = intervalo.pico === true;
+
+      // Define se o veículo tem reserva (30% por padrão). Com reservas
+      // reais, quem chega espontaneamente nunca tem reserva
+      const sorteioReserva = this.aleatorio() < this.config.percentualReservas;
+      veiculo.reserva = this.reservasAgendadas ? false : sorteioReserva;
+
+      veiculos.push(veiculo);
+    });
+
+    return veiculos;
+  }
+
+
+  // --- Processa a simulação evento a evento ---
+  // aoProgresso(fração de 0 a 1 do horizonte simulado), opcional
+  processar({ aoProgresso } = {}) {
+    this.iniciar();
+    const horarioInicial = this.config.horarioInicio * 60;
+    const horarioFinal = this._fimDoHorizonte();
+
+    // === 2️⃣ Loop principal: processa os eventos em ordem temporal ===
+    let evento;
+    while ((evento = this.agenda.proximo()) !== null) {
+      this.horarioAtual = evento.tempo;
+      this._tratarEvento(evento);
+      if (aoProgresso) aoProgresso(Math.min(1, (evento.tempo - horarioInicial) / (horarioFinal - horarioInicial)));
+    }
+
+    return this.calcularResultados();
+  }
+
+  /*
+  Execução passo a passo (transmissão ao vivo): iniciar() agenda tudo,
+  avancarAte(t) trata os eventos até o horário t e calcularResultados()
+  fecha as métricas quando a agenda acabar. processar() faz os três de uma vez.
+  */
+
+  // === 1️⃣ Agenda, dia a dia, abertura/fechamento e as chegadas ===
+  iniciar() {
+    const dias = this.config.dias;
+    const horarioFinal = this._fimDoHorizonte();
+    const janelaEmbarque = mediaDistribuicao(this.servico.embarque);
+
+    for (let dia = 0; dia < dias; dia++) {
+      const abertura = dia * MINUTOS_DIA + this.config.horarioInicio * 60;
+      const fechamento = dia * MINUTOS_DIA + this.config.horarioFim * 60;
+
+      this.agenda.agendar(abertura, 'inicio_operacao', { dia });
+      this.terminais.forEach(terminal => {
+        this._intervalosChegada(dia, terminal).forEach(intervalo => {
+          this.gerarChegadaVeiculos(intervalo, terminal).forEach(veiculo => {
+            this.agenda.agendar(veiculo.horarioChegada, 'chegada', { veiculo, terminal });
+          });
+        });
+      });
+      this.agenda.agendar(fechamento, 'fim_operacao', { dia });
+      
+      // Modo tabela: a rampa abre a janela média de embarque antes de cada partida
+      if (this.tabelaHorarios) {
+        this.tabelaHorarios.partidas.forEach(partida => {
+          const horarioProgramado = dia * MINUTOS_DIA + partida.minuto;
+          const programada = {
+            dia,
+            terminal: this._terminal(partida.terminal),
+            embarcacao: partida.embarcacao,
+            horarioProgramado,
+            situacao: 'pendente',
+            embarcacaoUtilizada: null,
+            horarioReal: null,
+            veiculos: 0,
+            unidades: 0,
+            fatorCarga: 0
+          };
+          this.partidasProgramadas.push(programada);
+          this.agenda.agendar(Math.max(0, horarioProgramado - janelaEmbarque), 'abertura_programada', { programada });
+          this.agenda.agendar(horarioProgramado + this.tabelaHorarios.atrasoMaximoMinutos, 'limite_partida', { programada });
+        });
+      }
+    }
+
+    // Reservas reais chegam como veículos agendados
+    if (this.reservasAgendadas) {
+      this._gerarChegadasReservadas().forEach(veiculo => {
+        const terminal = this._terminal(veiculo.origem);
+        this.agenda.agendar(veiculo.horarioChegada, 'chegada', { veiculo, terminal });
+      });
+    }
+
+    // Primeira manutenção programada de cada embarcação
+    this.embarcacoes.forEach(embarcacao => this._agendarManutencao(embarcacao, horarioFinal));
+  }
+
+  // Trata os eventos com horário até 'limite'; false quando a agenda acabou
+  avancarAte(limite) {
+    while (this.agenda.proximoTempo() <= limite) {
+      const evento = this.agenda.proximo();
+      this.horarioAtual = evento.tempo;
+      this._tratarEvento(evento);
+    }
+    return !this.agenda.vazia();
+  }
+
+  // === 3️⃣ Cálculo de resultados ===
+  calcularResultados() {
+    const resultados = {
+      tempoSimulacao: 0,
+      veiculosProcessados: 0,
+      veiculosNaoAtendidos: 0,
+      veiculosEmFila: 0,
+      veiculosNoSistema: 0,
+      tempoMedioEspera: 0,
+      tempoMedioEsperaReservas: 0,
+      tempoMedioEsperaNormais: 0,
+      tempoMedioEsperaPico: 0,
+      fatorCargaMedio: 0,
+      porTipo: {},
+      porClasse: {},
+      utilizacaoEmbarcacoes: [],
+      viagensRealizadas: 0,
+      porSentido: []
+    };
+
+    const dias = this.config.dias;
+    const horarioInicial = this.config.horarioInicio * 60;
+    const horarioFinal = this._fimDoHorizonte();
+    const todos = this.veiculosProcessados;
+    const reservas = todos.filter(v => v.reserva);
+    const normais = todos.filter(v => !v.reserva);
+    const media = arr => (arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+    const janela = dias * (this.config.horarioFim - this.config.horarioInicio) * 60; // tempo operando
+    const horizonte = horarioFinal - horarioInicial;                                  // inclui as noites
+
+    // Filas restantes ao final do último dia (veículos não atendidos)
+    resultados.veiculosNaoAtendidos = this.terminais.reduce((s, t) => s + t.fila.length, 0);
+
+    resultados.dias = dias;
+    resultados.tempoSimulacao = janela / 60;
+    resultados.veiculosProcessados = todos.length;
+    resultados.tempoMedioEspera = media(todos.map(v => v.tempoEspera));
+    resultados.tempoMedioEsperaReservas = media(reservas.map(v => v.tempoEspera));
+    resultados.tempoMedioEsperaNormais = media(normais.map(v => v.tempoEspera));
+    // Wq de quem chegou no horário de pico (intervalos de maior fator do perfil)
+    resultados.tempoMedioEsperaPico = media(todos.filter(v => v.chegouNoPico).map(v => v.tempoEspera));
+
+    resultados.utilizacaoEmbarcacoes = this.embarcacoes.map(e => ({
+      id: e.id,
+      percentualUtilizacao: Math.min(100, (e.tempoTotalOcupado / janela) * 100),
+      viagensRealizadas: e.viagensRealizadas,
+      disponibilidade: Math.max(0, 100 - (e.tempoIndisponivel / janela) * 100),
+      falhas: e.falhas
+    }));
+
+    resultados.falhas = { ...this.estatisticasFalhas };
+
+    // Maré e clima (null se desligado); o efeito na fila sai da comparação
+    // com a mesma seed e condicoes.habilitado = false
+    resultados.condicoes = this.condicoes ? {
+      mare: { ...this.estatisticasCondicoes.mare },
+      clima: { ...this.estatisticasCondicoes.clima }
+    } : null;
+
+    // Aproveitamento do convés (unidades ocupadas / capacidade) por partida
+    resultados.fatorCargaMedio = media(this.viagens.map(v => v.fatorCarga)) * 100;
+
+    // Espera e atendimento por tipo de veículo
+    const naoAtendidos = this.terminais.reduce((lista, t) => lista.concat(t.fila), []);
+    resultados.porTipo = {};
+    Object.keys(this.config.tiposVeiculo).forEach(tipo => {
+      const atendidos = todos.filter(v => v.tipo === tipo);
+      const pendentes = naoAtendidos.filter(v => v.tipo === tipo).length;
+      if (atendidos.length === 0 && pendentes === 0) return;
+      resultados.porTipo[tipo] = {
+        unidades: this.config.tiposVeiculo[tipo].unidades,
+        veiculosProcessados: atendidos.length,
+        veiculosNaoAtendidos: pendentes,
+        tempoMedioEspera: media(atendidos.map(v => v.tempoEspera))
+      };
+    });
+
+    // Espera por classe de prioridade (efeito da disciplina da fila)
+    resultados.disciplinaFila = this.config.disciplinaFila.tipo;
+    resultados.porClasse = {};
+    disciplinas.CLASSES.forEach(classe => {
+      const atendidos = todos.filter(v => v.classe === classe);
+      const pendentes = naoAtendidos.filter(v => v.classe === classe).length;
+      if (atendidos.length === 0 && pendentes === 0) return;
+      resultados.porClasse[classe] = {
+        veiculosProcessados: atendidos.length,
+        veiculosNaoAtendidos: pendentes,
+        tempoMedioEspera: media(atendidos.map(v => v.tempoEspera)),
+        tempoMaximoEspera: atendidos.reduce((maior, v) => Math.max(maior, v.tempoEspera), 0)
+      };
+    });
+
+    resultados.viagensRealizadas = this.embarcacoes.reduce((s, e) => s + e.viagensRealizadas, 0);
+
+    // Tempos de serviço observados por fase (minutos, por viagem)
+    const concluidas = this.viagens.filter(v => v.desembarqueMinutos !== null);
+    resultados.tempoServico = {
+      distribuicoes: { ...this.servico },
+      embarque: resumir(this.viagens.map(v => v.embarqueMinutos)),
+      carregamento: resumir(this.viagens.map(v => v.carregamentoMinutos)),
+      travessia: resumir(concluidas.map(v => v.travessiaMinutos)),
+      desembarque: resumir(concluidas.map(v => v.desembarqueMinutos))
+    };
+
+    // Métricas por sentido (Wq, Lq e throughput de cada terminal de origem)
+    resultados.porSentido = this.terminais.map(terminal => {
+      terminal.acumularFila(horarioFinal);
+      const destino = this._outroTerminal(terminal);
+      const atendidos = todos.filter(v => v.origem === terminal.id);
+      return {
+        origem: terminal.id,
+        destino: destino.id,
+        sentido: `${terminal.nome} → ${destino.nome}`,
+        veiculosProcessados: atendidos.length,
+        veiculosNaoAtendidos: terminal.fila.length,
+        tempoMedioEspera: media(atendidos.map(v => v.tempoEspera)),
+        filaMedia: terminal.areaFila / horizonte,
+        filaMaxima: terminal.filaMaxima,
+        partidas: terminal.partidas
+      };
+    });
+
+    // Lq: soma das filas médias (ponderadas no tempo) dos dois terminais
+    resultados.veiculosEmFila = resultados.porSentido.reduce((s, p) => s + p.filaMedia, 0);
+
+    // Indicadores no tempo: L e Lq ponderados, fila máxima, Lq(t) e L(t)
+    // minuto a minuto (média entre os dias), Wq por hora de chegada e
+    // distribuição da espera
+    const fila = this.filaNoTempo.resumo();
+    const sistema = this.sistemaNoTempo.resumo();
+    const minutoAbertura = this.config.horarioInicio * 60;
+    const minutoFechamento = this.config.horarioFim * 60;
+    resultados.veiculosNoSistema = sistema.media;
+    resultados.indicadoresTempo = {
+      L: sistema.media,
+      Lq: fila.media,
+      filaMaxima: {
+        veiculos: fila.maximo,
+        dia: this._dia(fila.instanteMaximo) + 1,
+        horario: formatarHorario(fila.instanteMaximo)
+      },
+      porMinuto: {
+        inicio: formatarHorario(minutoAbertura),
+        passoMinutos: 1,
+        Lq: this.filaNoTempo.porMinutoDoDia(minutoAbertura, minutoFechamento, dias),
+        L: this.sistemaNoTempo.porMinutoDoDia(minutoAbertura, minutoFechamento, dias)
+      },
+      esperaPorHora: indicadoresTempo.esperaPorHoraDeChegada(
+        todos, naoAtendidos, this.config.horarioInicio, this.config.horarioFim
+      ),
+      espera: indicadoresTempo.distribuicaoEspera(todos.map(v => v.tempoEspera))
+    };
+
+    // Métricas de cada dia (embarques atribuídos ao dia em que ocorreram)
+    const embarcadosPorDia = new Map();
+    todos.forEach(v => {
+      const dia = this._dia(v.horarioEmbarque);
+      if (!embarcadosPorDia.has(dia)) embarcadosPorDia.set(dia, []);
+      embarcadosPorDia.get(dia).push(v);
+    });
+    resultados.porDia = this.estatisticasDias.map(estatistica => {
+      const embarcados = embarcadosPorDia.get(estatistica.dia) || [];
+      return {
+        ...estatistica,
+        dia: estatistica.dia + 1,
+        veiculosEmbarcados: embarcados.length,
+        tempoMedioEspera: media(embarcados.map(v => v.tempoEspera))
+      };
+    });
+
+    resultados.tabelaHorarios = this.tabelaHorarios ? this.tabelaCumprida() : null;
+
+    // Previsão com reservas reais: como ficam os veículos agendados
+    if (this.reservasAgendadas) {
+      const reservados = todos.filter(v => v.codigoReserva !== undefined);
+      resultados.reservasReais = {
+        ...this.estatisticasReservas,
+        dataInicial: this.config.dataInicial,
+        atendidas: reservados.length,
+        naoAtendidas: naoAtendidos.filter(v => v.codigoReserva !== undefined).length,
+        tempoMedioEspera: media(reservados.map(v => v.tempoEspera)),
+        // Embarcou depois do horário da partida reservada
+        embarcaramAposPartidaReservada: reservados.filter(v => v.horarioEmbarque > v.partidaReservada).length
+      };
+    }
+
+    resultados.eventos = this.eventos;
+    resultados.serieFila = this.config.registroEventos === 'completo'
+      ? Object.fromEntries(this.terminais.map(terminal => [terminal.id, terminal.serieFila]))
+      : null;
+
+    return resultados;
+  }
+
+  // --- Despacha cada evento para a regra correspondente ---
+  _tratarEvento(evento) {
+    const t = evento.tempo;
+    const embarcacao = evento.embarcacao;
+
+    switch (evento.tipo) {
+      case 'inicio_operacao': {
+        // Veículos que ficaram da noite anterior continuam na fila
+        const filaInicial = this.terminais.reduce((soma, terminal) => soma + terminal.fila.length, 0);
+        this.estatisticasDias.push({
+          dia: evento.dia,
+          data: this.perfisPorDia[evento.dia].data,
+          perfilChegada: this.perfisPorDia[evento.dia].perfil.nome,
+          filaInicial,
+          veiculosChegados: 0,
+          partidas: 0,
+          manutencoes: 0,
+          filaFinal: null
+        });
+        this._despachar(t);
+        break;
+      }
+
+      case 'fim_operacao':
+        this._estatisticaDia(t).filaFinal = this.terminais.reduce((soma, terminal) => soma + terminal.fila.length, 0);
+        break;
+
+      case 'chegada': {
+        this._estatisticaDia(t).veiculosChegados++;
+        const terminal = evento.terminal;
+        evento.veiculo.classe = disciplinas.classificarVeiculo(
+          evento.veiculo, this.config.disciplinaFila.classes, this.aleatorioClasses
+        );
+        terminal.adicionarNaFila(evento.veiculo, t);
+        this.veiculosNoSistema++;
+        this._registrarOcupacao(t);
+        this._registrarEventoVeiculo('chegada', t, {
+          veiculo: evento.veiculo.id,
+          tipoVeiculo: evento.veiculo.tipo,
+          terminal: terminal.id,
+          classe: evento.veiculo.classe,
+          reserva: evento.veiculo.reserva,
+          fila: terminal.fila.length
+        });
+        // Rampa aberta com espaço: embarca direto
+        if (terminal.embarcacaoNaRampa) {
+          this._embarcarDaFila(terminal, terminal.embarcacaoNaRampa, t, evento.veiculo);
+        }
+        this._despachar(t);
+        break;
+      }
+
+      case 'fim_embarque':
+        // Janela encerrada com veículos ainda subindo a rampa: não entra
+        // mais ninguém e a saída espera o último estacionar
+        if (embarcacao.fimCarregamento > t) {
+          embarcacao.embarqueEncerrado = true;
+          this._adiarEtapa(embarcacao, embarcacao.fimCarregamento);
+          break;
+        }
+        // Maré baixa: a saída espera ou a viagem é cancelada
+        if (this.condicoes && this._retidoPelaMare(embarcacao, evento.terminal, t)) break;
+        // Fecha a rampa; a saída acontece no mesmo instante (é a próxima
+        // etapa: uma falha antes dela atrasa a partida)
+        evento.terminal.embarcacaoNaRampa = null;
+        embarcacao.proximaEtapa = this.agenda.agendar(t, 'partida', { embarcacao, terminal: evento.terminal, programada: evento.programada });
+        break;
+
+      case 'partida': {
+        const origem = evento.terminal;
+        origem.ultimaPartida = t;
+        origem.partidas++;
+        const viagem = {
+          embarcacao: embarcacao.id,
+          origem: origem.id,
+          partida: t,
+          veiculos: embarcacao.veiculosAbordo.length,
+          unidades: embarcacao.ocupacao,
+          fatorCarga: embarcacao.capacidade > 0 ? embarcacao.ocupacao / embarcacao.capacidade : 0,
+          // Tempos de serviço observados (minutos)
+          embarqueMinutos: t - embarcacao.inicioOcupacao,
+          carregamentoMinutos: embarcacao.minutosCarregamento,
+          travessiaMinutos: null,
+          desembarqueMinutos: null
+        };
+        this.viagens.push(viagem);
+        embarcacao.viagemAtual = viagem;
+        if (evento.programada) this._registrarPartidaProgramada(evento.programada, viagem);
+        this._registrarEvento('partida', t, {
+          embarcacao: embarcacao.id,
+          terminal: origem.id,
+          destino: this._outroTerminal(origem).id,
+          veiculos: viagem.veiculos,
+          unidades: viagem.unidades,
+          fatorCarga: viagem.fatorCarga
+        });
+        this._estatisticaDia(t).partidas++;
+        embarcacao.estado = ESTADOS_EMBARCACAO.EM_TRAVESSIA;
+        embarcacao.localizacao = null;
+        embarcacao.destino = this._outroTerminal(origem).id;
+        let travessia = amostrar(this.servico.travessia, this.aleatorioServico);
+        if (this.condicoes) travessia = this._travessiaComClima(embarcacao, travessia, t);
+        embarcacao.proximaEtapa = this.agenda.agendar(t + travessia, 'chegada_destino', { embarcacao });
+        this._despachar(t);
+        break;
+      }
+
+      case 'chegada_destino': {
+        embarcacao.estado = ESTADOS_EMBARCACAO.DESEMBARCANDO;
+        embarcacao.localizacao = embarcacao.destino;
+        embarcacao.destino = null;
+        // Um sorteio por viagem: tempo por veículo × veículos a bordo
+        const porVeiculo = amostrar(this.servico.desembarque, this.aleatorioServico);
+        const duracao = embarcacao.veiculosAbordo.length * porVeiculo / 60;
+        embarcacao.viagemAtual.travessiaMinutos = t - embarcacao.viagemAtual.partida;
+        embarcacao.viagemAtual.chegadaDestino = t;
+        this._registrarEvento('chegada_destino', t, {
+          embarcacao: embarcacao.id,
+          terminal: embarcacao.localizacao,
+          veiculos: embarcacao.veiculosAbordo.length
+        });
+        embarcacao.proximaEtapa = this.agenda.agendar(t + duracao, 'fim_desembarque', { embarcacao });
+        break;
+      }
+
+      case 'fim_desembarque': {
+        embarcacao.proximaEtapa = null;
+        embarcacao.viagemAtual.desembarqueMinutos = t - embarcacao.viagemAtual.chegadaDestino;
+        embarcacao.viagemAtual = null;
+        this._registrarEvento('fim_desembarque', t, {
+          embarcacao: embarcacao.id,
+          terminal: embarcacao.localizacao,
+          veiculos: embarcacao.veiculosAbordo.length
+        });
+        const desembarcados = embarcacao.desembarcar(t);
+        this.veiculosProcessados.push(...desembarcados);
+        this.veiculosNoSistema -= desembarcados.length;
+        this._registrarOcupacao(t);
+        this._encerrarCiclo(embarcacao, t);
+        this._iniciarManutencaoPendente(embarcacao, t);
+        this._despachar(t);
+        break;
+      }
+
+      case 'manutencao_inicio':
+        // Só para se estiver atracada e livre; senão fica pendente e começa
+        // ao atracar (fim_desembarque) ou ao fim do reparo (reparo_fim)
+        this._iniciarManutencaoPendente(embarcacao, t);
+        break;
+
+      case 'manutencao_fim':
+        embarcacao.tempoIndisponivel += this._tempoEmOperacao(embarcacao.ultimaManutencao, t);
+        embarcacao.finalizarManutencao(t);
+        this._registrarEvento('manutencao_fim', t, { embarcacao: embarcacao.id });
+        this._agendarManutencao(embarcacao, this._fimDoHorizonte());
+        this._despachar(t);
+        break;
+
+      case 'mare_liberada':
+        this._registrarEvento('mare_liberada', t, {
+          terminal: evento.terminal.id,
+          alturaMetros: this.condicoes.alturaMare(t)
+        });
+        this._despachar(t);
+        break;
+
+      case 'abertura_programada':
+        evento.programada.aberta = true;
+        this._despachar(t);
+        break;
+
+      case 'limite_partida':
+        // Ninguém começou a embarcar até o atraso máximo: partida perdida
+        if (evento.programada.situacao === 'pendente') {
+          evento.programada.situacao = 'perdida';
+        }
+        break;
+
+      case 'falha':
+        embarcacao.eventoFalha = null;
+        this._tratarFalha(embarcacao, t);
+        break;
+
+      case 'reparo_fim':
+        embarcacao.tempoIndisponivel += this._tempoEmOperacao(embarcacao.inicioFalha, t);
+        embarcacao.finalizarReparo();
+        this._registrarEvento('reparo_fim', t, { embarcacao: embarcacao.id });
+        // Ainda no meio de um ciclo: o relógio de falha volta a correr;
+        // livre (ex.: embarque cancelado pela falha), cumpre a manutenção
+        // que venceu durante o reparo
+        if (embarcacao.estado !== ESTADOS_EMBARCACAO.DISPONIVEL) {
+          this._armarRelogioFalha(embarcacao, t);
+        } else {
+          this._iniciarManutencaoPendente(embarcacao, t);
+        }
+        this._despachar(t);
+        break;
+
+      default:
+        throw new Error(`Tipo de evento desconhecido: ${evento.tipo}`);
+    }
+  }
+
+  // --- Tenta abrir a rampa em cada terminal ---
+  _despachar(t) {
+    if (this.tabelaHorarios) {
+      this._despacharProgramadas(t);
+      return;
+    }
+    this.terminais.forEach(terminal => this._tentarIniciarEmbarque(terminal, t));
+  }
+
+  // --- Abre a rampa para uma embarcação atracada no terminal ---
+  _tentarIniciarEmbarque(terminal, t) {
+    if (terminal.embarcacaoNaRampa || terminal.bloqueadoAte > t) return;
+    if (!this._emOperacao(t)) return;
+
+    const embarcacao = this.embarcacoes.find(e =>
+      e.estado === ESTADOS_EMBARCACAO.DISPONIVEL && e.localizacao === terminal.id
+    );
+    if (!embarcacao) return;
+    if (terminal.fila.length === 0 && !this._precisaReposicionar(terminal)) return;
+
+    // A saída respeita a janela de embarque e o intervalo entre saídas
+    const horarioSaida = Math.max(
+      t + amostrar(this.servico.embarque, this.aleatorioServico),
+      terminal.ultimaPartida + this.config.frequenciaSaidaMinutos
+    );
+    if (this._mareImpedeEmbarque(terminal, horarioSaida, t)) return;
+    this._abrirRampa(terminal, embarcacao, t, horarioSaida);
+  }
+
+  // --- Modo tabela: abre a rampa das partidas programadas já liberadas ---
+  _despacharProgramadas(t) {
+    this.partidasProgramadas
+      .filter(p => p.aberta && p.situacao === 'pendente')
+      .forEach(programada => {
+        const terminal = programada.terminal;
+        if (terminal.embarcacaoNaRampa || terminal.bloqueadoAte > t) return;
+
+        const embarcacao = this.embarcacoes.find(e =>
+          e.estado === ESTADOS_EMBARCACAO.DISPONIVEL && e.localizacao === terminal.id &&
+          (programada.embarcacao === null || e.id === programada.embarcacao)
+        );
+        if (!embarcacao) return;
+
+        // Sai no horário; se a embarcação chegou tarde, ao fim do embarque
+        const horarioSaida = Math.max(t + amostrar(this.servico.embarque, this.aleatorioServico), programada.horarioProgramado);
+        if (this._mareImpedeEmbarque(terminal, horarioSaida, t)) return;
+        programada.situacao = 'embarcando';
+        programada.embarcacaoUtilizada = embarcacao.id;
+        this._abrirRampa(terminal, embarcacao, t, horarioSaida, programada);
+      });
+  }
+
+  // --- Coloca a embarcação na rampa e agenda o fim do embarque ---
+  _abrirRampa(terminal, embarcacao, t, horarioSaida, programada) {
+    embarcacao.iniciarOcupacao(t);
+    embarcacao.estado = ESTADOS_EMBARCACAO.EMBARCANDO;
+    embarcacao.fimCarregamento = t;
+    embarcacao.minutosCarregamento = 0;
+    embarcacao.embarqueEncerrado = false;
+    embarcacao.filaConferidaCheia = false;
+    terminal.embarcacaoNaRampa = embarcacao;
+    this._registrarEvento('inicio_embarque', t, {
+      embarcacao: embarcacao.id,
+      terminal: terminal.id,
+      fila: terminal.fila.length,
+      saidaPrevista: horarioSaida
+    });
+    this._armarRelogioFalha(embarcacao, t);
+    this._embarcarDaFila(terminal, embarcacao, t);
+
+    embarcacao.proximaEtapa = this.agenda.agendar(horarioSaida, 'fim_embarque', { embarcacao, terminal, programada });
+  }
+
+  // --- Resultado de uma partida programada que saiu ---
+  _registrarPartidaProgramada(programada, viagem) {
+    const atraso = viagem.partida - programada.horarioProgramado;
+    programada.horarioReal = viagem.partida;
+    programada.situacao = atraso > this.tabelaHorarios.toleranciaMinutos ? 'atrasada' : 'no_horario';
+    programada.veiculos = viagem.veiculos;
+    programada.unidades = viagem.unidades;
+    programada.fatorCarga = viagem.fatorCarga;
+  }
+
+  /*
+  TABELA CUMPRIDA
+  Partidas programadas com o que de fato aconteceu, por terminal:
+  - no_horario: saiu até toleranciaMinutos depois do programado
+  - atrasada: saiu depois da tolerância
+  - perdida: nenhuma embarcação começou a embarcar até o atraso máximo
+  - cancelada: falha longa durante o embarque
+  */
+  tabelaCumprida() {
+    if (!this.tabelaHorarios) return null;
+
+    const media = arr => (arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0);
+    const linhas = this.partidasProgramadas.map(p => ({
+      dia: p.dia + 1,
+      terminal: p.terminal.id,
+      horarioProgramado: formatarHorario(p.horarioProgramado),
+      horarioReal: p.horarioReal !== null ? formatarHorario(p.horarioReal) : null,
+      atrasoMinutos: p.horarioReal !== null ? p.horarioReal - p.horarioProgramado : null,
+      situacao: p.situacao,
+      embarcacaoProgramada: p.embarcacao,
+      embarcacaoUtilizada: p.embarcacaoUtilizada,
+      veiculos: p.veiculos,
+      unidades: p.unidades,
+      fatorCarga: p.fatorCarga * 100
+    }));
+
+    const contar = situacao => linhas.filter(l => l.situacao === situacao).length;
+    const realizadas = linhas.filter(l => l.horarioReal !== null);
+
+    return {
+      resumo: {
+        programadas: linhas.length,
+        noHorario: contar('no_horario'),
+        atrasadas: contar('atrasada'),
+        perdidas: contar('perdida'),
+        canceladas: contar('cancelada'),
+        pontualidade: linhas.length > 0 ? (contar('no_horario') / linhas.length) * 100 : 0,
+        atrasoMedioMinutos: media(realizadas.map(l => l.atrasoMinutos)),
+        fatorCargaMedio: media(realizadas.map(l => l.fatorCarga))
+      },
+      porTerminal: this.terminais.reduce((grupos, terminal) => {
+        grupos[terminal.id] = linhas.filter(l => l.terminal === terminal.id);
+        return grupos;
+      }, {})
+    };
+  }
+
+  // --- Fim do ciclo: contabiliza ocupação e para o relógio de falha ---
+  _encerrarCiclo(embarcacao, t) {
+    this._desarmarRelogioFalha(embarcacao, t);
+    // Ocupação contada dentro da janela de operação do dia em que o ciclo começou
+    const inicioDia = this._dia(embarcacao.inicioOcupacao) * MINUTOS_DIA;
+    embarcacao.encerrarOcupacao(
+      t,
+      inicioDia + this.config.horarioInicio * 60,
+      inicioDia + this.config.horarioFim * 60
+    );
+  }
+
+  // --- Relógio de falha: corre só enquanto a embarcação está em serviço ---
+  _armarRelogioFalha(embarcacao, t) {
+    if (!this.config.falhas.habilitado) return;
+    if (embarcacao.restanteAteFalha === null) {
+      embarcacao.restanteAteFalha = amostrar(this.distribuicaoEntreFalhas, this.aleatorioFalhas) * 60;
+    }
+    embarcacao.inicioRelogioFalha = t;
+    embarcacao.eventoFalha = this.agenda.agendar(t + embarcacao.restanteAteFalha, 'falha', { embarcacao });
+  }
+
+  _desarmarRelogioFalha(embarcacao, t) {
+    if (!embarcacao.eventoFalha) return;
+    this.agenda.cancelar(embarcacao.eventoFalha);
+    embarcacao.eventoFalha = null;
+    embarcacao.restanteAteFalha = Math.max(0, embarcacao.restanteAteFalha - (t - embarcacao.inicioRelogioFalha));
+  }
+
+  /*
+  FALHA NÃO PROGRAMADA
+  - Na rampa: reparo curto (até toleranciaAtrasoMinutos) atrasa a saída;
+    reparo longo cancela a viagem e os veículos voltam para a fila
+  - Navegando ou desembarcando: a etapa em curso atrasa pelo reparo
+  */
+  _tratarFalha(embarcacao, t) {
+    const duracao = amostrar(this.config.falhas.tempoReparoHoras, this.aleatorioFalhas) * 60;
+    const estadoNaFalha = embarcacao.estado;
+    embarcacao.restanteAteFalha = null; // novo sorteio após o reparo
+    let efeito = 'atraso';
+
+    // Agendado antes de remarcar a etapa: em empate, o reparo termina primeiro
+    this.agenda.agendar(t + duracao, 'reparo_fim', { embarcacao });
+
+    // Rampa já fechada (partida neste instante): não cancela, a saída espera o reparo
+    const terminal = estadoNaFalha === ESTADOS_EMBARCACAO.EMBARCANDO
+      ? this.terminais.find(tm => tm.embarcacaoNaRampa === embarcacao)
+      : null;
+    if (terminal && duracao > this.config.falhas.toleranciaAtrasoMinutos) {
+      efeito = 'cancelamento';
+      this._cancelarEmbarque(embarcacao, terminal, t);
+      this.estatisticasFalhas.viagensCanceladas++;
+    } else if (embarcacao.proximaEtapa) {
+      const etapa = embarcacao.proximaEtapa;
+      const novoHorario = estadoNaFalha === ESTADOS_EMBARCACAO.EMBARCANDO
+        ? Math.max(etapa.tempo, t + duracao)   // saída espera o reparo
+        : etapa.tempo + duracao;               // etapa em curso fica parada
+      this.estatisticasFalhas.atrasoTotalMinutos += novoHorario - etapa.tempo;
+      this._adiarEtapa(embarcacao, novoHorario);
+      this.estatisticasFalhas.viagensAtrasadas++;
+    }
+
+    embarcacao.registrarFalha(t);
+    this.estatisticasFalhas.total++;
+    this.estatisticasFalhas.tempoReparoTotalMinutos += duracao;
+    this._registrarEvento('falha', t, {
+      embarcacao: embarcacao.id,
+      estado: estadoNaFalha,
+      efeito,
+      duracaoReparoMinutos: duracao
+    });
+
+    // Rampa liberada por cancelamento: outra embarcação pode assumir
+    if (efeito === 'cancelamento') this._despachar(t);
+  }
+
+  // --- Viagem cancelada na rampa: veículos voltam para a fila ---
+  _cancelarEmbarque(embarcacao, terminal, t) {
+    const etapa = embarcacao.proximaEtapa;
+    if (etapa) {
+      if (etapa.programada) etapa.programada.situacao = 'cancelada';
+      this.agenda.cancelar(etapa);
+      embarcacao.proximaEtapa = null;
+    }
+    const devolvidos = embarcacao.devolverVeiculos();
+    terminal.devolverNaFila(devolvidos, t);
+    this._registrarOcupacao(t);
+    terminal.embarcacaoNaRampa = null;
+    this._encerrarCiclo(embarcacao, t);
+    return devolvidos.length;
+  }
+
+  /*
+  MARÉ NA ABERTURA DA RAMPA
+  Se na saída prevista a maré ainda estiver baixa por mais que
+  toleranciaMinutos, nem abre a rampa: fecha o terminal até a maré voltar.
+  */
+  _mareImpedeEmbarque(terminal, horarioSaida, t) {
+    if (!this.condicoes || !this.condicoes.mareRestringe(terminal.id, this._outroTerminal(terminal).id)) return false;
+    const liberacao = this.condicoes.liberacaoMare(horarioSaida);
+    if (liberacao !== null && liberacao - horarioSaida <= this.condicoes.toleranciaMinutos) return false;
+
+    this._fecharRampaPelaMare(terminal, t, liberacao, { motivo: 'abertura' });
+    return true;
+  }
+
+  // Sem maré utilizável em 24h, a rampa fica fechada por esse período
+  _fecharRampaPelaMare(terminal, t, liberacao, dados) {
+    terminal.bloqueadoAte = liberacao !== null ? liberacao : t + MINUTOS_DIA;
+    this.estatisticasCondicoes.mare.fechamentosRampa++;
+    this.estatisticasCondicoes.mare.rampaFechadaMinutos += terminal.bloqueadoAte - t;
+    this._registrarEvento('mare_rampa_fechada', t, {
+      terminal: terminal.id,
+      alturaMetros: this.condicoes.alturaMare(t),
+      liberacao: terminal.bloqueadoAte,
+      ...dados
+    });
+    this.agenda.agendar(terminal.bloqueadoAte, 'mare_liberada', { terminal });
+  }
+
+  /*
+  MARÉ NA SAÍDA
+  Abaixo da altura mínima: espera a maré subir até toleranciaMinutos
+  (a rampa continua aberta); acima disso cancela a viagem e fecha a rampa
+  do terminal até a maré voltar. Devolve true se a saída não acontece agora.
+  */
+  _retidoPelaMare(embarcacao, terminal, t) {
+    if (!this.condicoes.mareRestringe(terminal.id, this._outroTerminal(terminal).id)) return false;
+    const liberacao = this.condicoes.liberacaoMare(t);
+    if (liberacao === t) return false;
+
+    const estatisticas = this.estatisticasCondicoes.mare;
+    const alturaMetros = this.condicoes.alturaMare(t);
+    if (liberacao !== null && liberacao - t <= this.condicoes.toleranciaMinutos) {
+      estatisticas.viagensAtrasadas++;
+      estatisticas.atrasoTotalMinutos += liberacao - t;
+      estatisticas.veiculosAtrasados += embarcacao.veiculosAbordo.length;
+      this._registrarEvento('mare_atraso', t, {
+        embarcacao: embarcacao.id,
+        terminal: terminal.id,
+        alturaMetros,
+        atrasoMinutos: liberacao - t,
+        veiculos: embarcacao.veiculosAbordo.length
+      });
+      this._adiarEtapa(embarcacao, liberacao);
+      return true;
+    }
+
+    const devolvidos = this._cancelarEmbarque(embarcacao, terminal, t);
+    estatisticas.viagensCanceladas++;
+    estatisticas.veiculosDevolvidos += devolvidos;
+    this._registrarEvento('mare_cancelamento', t, {
+      embarcacao: embarcacao.id,
+      terminal: terminal.id,
+      alturaMetros,
+      veiculosDevolvidos: devolvidos
+    });
+    this._iniciarManutencaoPendente(embarcacao, t);
+    this._fecharRampaPelaMare(terminal, t, liberacao, { motivo: 'cancelamento', embarcacao: embarcacao.id });
+    return true;
+  }
+
+  // --- Clima na partida: alonga a travessia sorteada pelo fator do cenário ---
+  _travessiaComClima(embarcacao, travessia, t) {
+    const cenario = this.condicoes.cenarioClima(t);
+    const estatisticas = this.estatisticasCondicoes.clima;
+    estatisticas.travessiasPorCenario[cenario] = (estatisticas.travessiasPorCenario[cenario] || 0) + 1;
+
+    const ajustada = travessia * this.condicoes.fatorTravessia(t);
+    if (ajustada > travessia) {
+      estatisticas.travessiasAlongadas++;
+      estatisticas.atrasoTotalMinutos += ajustada - travessia;
+      this._registrarEvento('clima_atraso', t, {
+        embarcacao: embarcacao.id,
+        cenario,
+        atrasoMinutos: ajustada - travessia
+      });
+    }
+    return ajustada;
+  }
+
+  // --- Remarca a etapa pendente do ciclo da embarcação ---
+  _adiarEtapa(embarcacao, novoHorario) {
+    const { tempo, tipo, seq, cancelado, ...dados } = embarcacao.proximaEtapa;
+    this.agenda.cancelar(embarcacao.proximaEtapa);
+    embarcacao.proximaEtapa = this.agenda.agendar(novoHorario, tipo, dados);
+  }
+
+  // --- Outro lado tem fila e nenhuma embarcação para atendê-la? ---
+  _precisaReposicionar(terminal) {
+    const outro = this._outroTerminal(terminal);
+    if (outro.fila.length === 0) return false;
+
+    return !this.embarcacoes.some(e =>
+      e.destino === outro.id ||
+      (e.localizacao === outro.id &&
+        [ESTADOS_EMBARCACAO.DISPONIVEL, ESTADOS_EMBARCACAO.EMBARCANDO].includes(e.estado))
+    );
+  }
+
+  // --- Move veículos da fila do terminal para a embarcação (na ordem da disciplina) ---
+  // recemChegado: numa chegada com a rampa aberta basta olhar ele (quem já
+  // estava na fila não coube e o convés só perdeu espaço desde então);
+  // reordenar a fila inteira a cada chegada deixa os dias longos quadráticos.
+  // Exceção: a primeira chamada com o convés cheio ainda percorre a fila,
+  // porque selecionarQueCabem para no veículo que lotou e pedestres (zero
+  // unidades) podem ter ficado para trás
+  _embarcarDaFila(terminal, embarcacao, t, recemChegado = null) {
+    if (terminal.fila.length === 0 || embarcacao.embarqueEncerrado) return 0;
+
+    const cheio = embarcacao.espacoDisponivel() <= 0;
+    let selecionados;
+    if (recemChegado && (!cheio || embarcacao.filaConferidaCheia)) {
+      if (cheio && recemChegado.unidades > 0) return 0;
+      selecionados = embarcacao.selecionarQueCabem([recemChegado]);
+    } else {
+      // Fila já mantida na ordem da disciplina (ordem fixa) ou ordenada agora
+      const candidatos = terminal.ordem ? terminal.fila : disciplinas.ordenarFila(terminal.fila, t, this.config.disciplinaFila);
+      if (cheio) embarcacao.filaConferidaCheia = true;
+      selecionados = embarcacao.selecionarQueCabem(candidatos, terminal.porTipoNaFila);
+    }
+    if (selecionados.length === 0) return 0;
+
+    const embarcados = embarcacao.embarcar(selecionados, t);
+    terminal.removerDaFila(selecionados, t);
+    this._registrarOcupacao(t);
+    selecionados.forEach(veiculo => this._registrarEventoVeiculo('embarque', t, {
+      veiculo: veiculo.id,
+      tipoVeiculo: veiculo.tipo,
+      embarcacao: embarcacao.id,
+      terminal: terminal.id,
+      esperaMinutos: t - veiculo.horarioChegada
+    }));
+
+    // Os veículos sobem a rampa um por vez, depois dos que já estão subindo
+    const minutos = selecionados.reduce((soma, v) => soma + this._embarqueSegundos(v.tipo), 0) / 60;
+    embarcacao.fimCarregamento = Math.max(embarcacao.fimCarregamento, t) + minutos;
+    embarcacao.minutosCarregamento += minutos;
+
+    return embarcados;
+  }
+
+  // --- Tira a embarcação de operação pelo tempo de manutenção ---
+  _iniciarManutencao(embarcacao, t) {
+    embarcacao.iniciarManutencao(t);
+    this._estatisticaDia(t).manutencoes++;
+    this._registrarEvento('manutencao_inicio', t, {
+      embarcacao: embarcacao.id,
+      duracaoHoras: this.config.manutencaoHoras
+    });
+    this.agenda.agendar(t + this.config.manutencaoHoras * 60, 'manutencao_fim', { embarcacao });
+  }
+
+  // --- Manutenção vencida começa assim que a embarcação fica livre ---
+  _iniciarManutencaoPendente(embarcacao, t) {
+    if (embarcacao.estado === ESTADOS_EMBARCACAO.DISPONIVEL && embarcacao.necessitaManutencao(t)) {
+      this._iniciarManutencao(embarcacao, t);
+    }
+  }
+
+  // --- Agenda a próxima manutenção se ela cair dentro do horizonte ---
+  _agendarManutencao(embarcacao, fimHorizonte) {
+    if (embarcacao.proximaManutencao < fimHorizonte) {
+      this.agenda.agendar(
+        Math.max(this.horarioAtual, embarcacao.proximaManutencao),
+        'manutencao_inicio',
+        { embarcacao }
+      );
+    }
+  }
+
+  // --- Relógio: dia e janela de operação ---
+  _dia(t) {
+    return Math.floor(t / MINUTOS_DIA);
+  }
+
+  _emOperacao(t) {
+    const minutoDoDia = t - this._dia(t) * MINUTOS_DIA;
+    return this._dia(t) < this.config.dias &&
+      minutoDoDia >= this.config.horarioInicio * 60 &&
+      minutoDoDia < this.config.horarioFim * 60;
+  }
+
+  // Minutos de [inicio, fim] que caem dentro das janelas de operação
+  _tempoEmOperacao(inicio, fim) {
+    let total = 0;
+    for (let dia = this._dia(inicio); dia <= this._dia(fim) && dia < this.config.dias; dia++) {
+      const abertura = dia * MINUTOS_DIA + this.config.horarioInicio * 60;
+      const fechamento = dia * MINUTOS_DIA + this.config.horarioFim * 60;
+      total += Math.max(0, Math.min(fim, fechamento) - Math.max(inicio, abertura));
+    }
+    return total;
+  }
+
+  _fimDoHorizonte() {
+    return (this.config.dias - 1) * MINUTOS_DIA + this.config.horarioFim * 60;
+  }
+
+  // Retrato do instante t (execução passo a passo): filas e embarcações
+  estadoAtual(t) {
+    const minutoDoDia = t % MINUTOS_DIA;
+    return {
+      horario: t,
+      dia: this._dia(t) + 1,
+      hora: formatarHorario(t),
+      operando: minutoDoDia >= this.config.horarioInicio * 60 && minutoDoDia < this.config.horarioFim * 60,
+      filas: this.terminais.map(terminal => ({
+        terminal: terminal.id,
+        nome: terminal.nome,
+        veiculos: terminal.fila.length
+      })),
+      filaTotal: this.terminais.reduce((soma, terminal) => soma + terminal.fila.length, 0),
+      embarcacoes: this.embarcacoes.map(emb => ({
+        id: emb.id,
+        estado: emb.estado,
+        localizacao: emb.localizacao,
+        destino: emb.destino,
+        veiculosAbordo: emb.veiculosAbordo.length,
+        ocupacao: emb.ocupacao,
+        capacidade: emb.capacidade,
+        percentualCarga: emb.capacidade > 0 ? (emb.ocupacao / emb.capacidade) * 100 : 0,
+        viagensRealizadas: emb.viagensRealizadas
+      })),
+      veiculosProcessados: this.veiculosProcessados.length
+    };
+  }
+
+  // Estatística do dia em andamento (o último aberto até 't')
+  _estatisticaDia(t) {
+    const dia = Math.min(this._dia(t), this.estatisticasDias.length - 1);
+    return this.estatisticasDias[Math.max(0, dia)];
+  }
+
+  // --- Atualiza Lq(t) e L(t) depois de uma mudança na fila ou no sistema ---
+  _registrarOcupacao(t) {
+    this.filaNoTempo.registrar(t, this.terminais.reduce((soma, terminal) => soma + terminal.fila.length, 0));
+    this.sistemaNoTempo.registrar(t, this.veiculosNoSistema);
+  }
+
+  // --- Registra um evento no log da simulação ---
+  _registrarEvento(tipo, t, dados = {}) {
+    if (this.config.registroEventos === 'nenhum') return;
+    this.eventos.push({ tipo, horario: t, dia: this._dia(t) + 1, ...dados });
+  }
+
+  // Eventos de cada veículo só entram no log completo
+  _registrarEventoVeiculo(tipo, t, dados) {
+    if (this.config.registroEventos !== 'completo') return;
+    this._registrarEvento(tipo, t, dados);
+  }
+
+
+  // --- Simular com sistema de reservas (comparativo de desempenho) ---
+  simularComReservas(percentualReservas = 0.3) {
+    this.config.percentualReservas = percentualReservas;
+    const resultado = this.processar();
+
+    return {
+      sucesso: true,
+      resumo: {
+        tempoMedioEsperaGeral: resultado.tempoMedioEspera.toFixed(2) + " min",
+        tempoMedioReservas: resultado.tempoMedioEsperaReservas.toFixed(2) + " min",
+        tempoMedioNormais: resultado.tempoMedioEsperaNormais.toFixed(2) + " min",
+        diferenca: (resultado.tempoMedioEsperaNormais - resultado.tempoMedioEsperaReservas).toFixed(2) + " min",
+        veiculosProcessados: resultado.veiculosProcessados
+      },
+      detalhes: resultado
+    };
+  }
+}
+
+
+// ============================================================================
+// ENDPOINTS DA API REST
+// ============================================================================
+/*
+API REST permite que o frontend se comunique com o backend.
+Segue padrões HTTP:
+- GET: Buscar dados
+- POST: Enviar/criar dados
+- PUT: Atualizar dados
+- DELETE: Remover dados
+*/
+
+// ============================================================================
+// REGISTRO DE SIMULAÇÕES (ver registro-simulacoes.js)
+// ============================================================================
+// Toda execução de /simular e variantes é gravada em armazenamento.simulacoes
+// com configuração, semente, data e resultados. O log completo de eventos e
+// a série da fila ficam só em memória, para as últimas execuções
+// (GET /simulacoes/:id/eventos e /fila). A resposta da simulação leva só
+// os eventos das embarcações; os de cada veículo ficam na consulta paginada.
+// O teto conta execuções e também registros (eventos + pontos da série):
+// 30 dias dão ~140 mil registros (~30 MB), um ano passaria de 300 MB.
+const LIMITE_EXECUCOES_GUARDADAS = 20;
+const LIMITE_REGISTROS_GUARDADOS = 300000;
+const execucoesGuardadas = new Map();
+let registrosGuardados = 0;
+
+// Resultados que vão para o registro: só os eventos das embarcações
+function semLogCompleto({ eventos, serieFila: _serie, ...resumo }) {
+  return {
+    ...resumo,
+    eventos: eventos.filter(e => !logEventos.EVENTOS_VEICULO.includes(e.tipo)),
+    eventosRegistrados: eventos.length
+  };
+}
+
+// Registro em disco: dos eventos, só as manutenções (usadas pelos relatórios).
+// O log das embarcações de 30 dias passa de 6 MB por execução.
+function paraRegistro(resultados) {
+  return { ...resultados, eventos: resultados.eventos.filter(e => e.tipo === 'manutencao_inicio') };
+}
+
+function contarRegistros(eventos, serieFila) {
+  const pontos = serieFila ? Object.values(serieFila).reduce((soma, serie) => soma + serie.length, 0) : 0;
+  return eventos.length + pontos;
+}
+
+// horizonte: { inicio, fim } em minutos (grade da série da fila)
+function guardarLog(id, { eventos, serieFila }, horizonte) {
+  const registros = contarRegistros(eventos, serieFila);
+  // Maior que o teto inteiro: fica só o resumo no registro de simulações
+  if (registros > LIMITE_REGISTROS_GUARDADOS) return;
+
+  execucoesGuardadas.set(id, { id, eventos, serieFila, registros, ...horizonte });
+  registrosGuardados += registros;
+  // Descarta as mais antigas (o Map mantém a ordem de inserção)
+  while (execucoesGuardadas.size > LIMITE_EXECUCOES_GUARDADAS || registrosGuardados > LIMITE_REGISTROS_GUARDADOS) {
+    descartarLog(execucoesGuardadas.keys().next().value);
+  }
+}
+
+function descartarLog(id) {
+  const execucao = execucoesGuardadas.get(id);
+  if (!execucao) return;
+  registrosGuardados -= execucao.registros;
+  execucoesGuardadas.delete(id);
+}
+
+function registrarExecucao(origem, simulador, resultados, configuracao = simulador.config) {
+  const resultadosRegistrados = semLogCompleto(resultados);
+  const registro = registroSimulacoes.registrarExecucao(armazenamento.simulacoes, {
+    origem,
+    configuracao,
+    resultados: paraRegistro(resultadosRegistrados)
+  });
+  guardarLog(registro.id, resultados, {
+    inicio: simulador.config.horarioInicio * 60,
+    fim: simulador._fimDoHorizonte()
+  });
+
+  return { idSimulacao: registro.id, resultados: resultadosRegistrados };
+}
+
+// Réplicas: grava o resumo (métricas e indicadores de cada réplica)
+function registrarReplicacoes(origem, configuracao, resumo) {
+  return registroSimulacoes.registrarExecucao(armazenamento.simulacoes, {
+    origem,
+    configuracao,
+    resultados: resumo,
+    replicacoes: resumo.replicacoes
+  }).id;
+}
+
+// ============================================================================
+// FILA DE SIMULAÇÕES (jobs de POST /simulacoes, ver fila-simulacoes.js)
+// ============================================================================
+// SIMULACOES_SIMULTANEAS: workers ao mesmo tempo (padrão: núcleos - 1).
+// O status de cada job fica no registro; o progresso, só na fila.
+const filaSimulacoes = criarFilaSimulacoes({
+  arquivoWorker: path.join(__dirname, 'worker-simulacao.js'),
+  concorrencia: Number(process.env.SIMULACOES_SIMULTANEAS) || Math.max(1, os.cpus().length - 1),
+  limiteFila: 100,
+  ambiente: { ...process.env, ARMAZENAMENTO: 'memoria' },
+  aoMudarStatus: (id, status, dados = {}) => {
+    const simulacoes = armazenamento.simulacoes;
+    if (!simulacoes.buscar(id)) return; // apagada enquanto rodava
+    const agora = new Date().toISOString();
+
+    if (status === 'concluida') {
+      const resultados = dados.replicacoes > 1 ? dados.resultados : paraRegistro(semLogCompleto(dados.resultados));
+      registroSimulacoes.concluirExecucao(simulacoes, id, { ...dados, resultados });
+      if (dados.replicacoes <= 1) guardarLog(id, dados.resultados, dados.horizonte);
+    } else if (status === 'executando') {
+      registroSimulacoes.atualizarStatus(simulacoes, id, status, { iniciadaEm: agora });
+    } else {
+      registroSimulacoes.atualizarStatus(simulacoes, id, status, { concluidaEm: agora, erro: dados.erro || null });
+    }
+  }
+});
+
+// Jobs que estavam na fila ou rodando quando o servidor parou não voltam
+registroSimulacoes.marcarInterrompidas(armazenamento.simulacoes);
+// Registro gravado antes do limite de retenção: corta e compacta na abertura
+registroSimulacoes.aplicarRetencao(armazenamento.simulacoes);
+
+// ========== ENDPOINT 1: INFORMAÇÕES DA API ==========
+/*
+Retorna informações básicas e lista de endpoints disponíveis.
+Útil para documentação e descoberta da API.
+*/
+app.get('/', (req, res) => {
+  res.json({
+    mensagem: 'API de Simulação dos Ferries de São Luís',
+    descricao: 'Sistema baseado em Teoria de Filas (M/M/c) para análise e otimização do transporte aquaviário',
+    versao: '1.0.0',
+    endpoints: {
+      'GET /': 'Informações da API',
+      'GET /config': 'Configurações do sistema',
+      'POST /simular': 'Executar simulação',
+      'POST /simular/com-reservas': 'Simular com sistema de reservas',
+      'POST /simular/tabela-horarios': 'Simular tabela de horários fixa e ver a tabela cumprida',
+      'POST /simular/previsao': 'Prever a fila de um dia com as reservas já feitas',
+      'POST /simular/ao-vivo': 'Criar transmissão ao vivo da simulação (velocidade, pularNoites)',
+      'GET /simular/ao-vivo/:id': 'Stream SSE: relógio, filas, embarcações e eventos',
+      'POST /simular/ao-vivo/:id/pausar': 'Pausar a transmissão',
+      'POST /simular/ao-vivo/:id/retomar': 'Retomar a transmissão',
+      'POST /simular/ao-vivo/:id/velocidade': 'Mudar a velocidade ({ velocidade })',
+      'DELETE /simular/ao-vivo/:id': 'Encerrar a transmissão',
+      'POST /simulacoes': 'Enfileirar simulação longa (job em worker thread; responde com o id)',
+      'POST /simulacoes/:id/cancelar': 'Cancelar simulação na fila ou em execução',
+      'GET /simulacoes': 'Registro de simulações (?tag=, ?origem=, ?status=, ?limite=)',
+      'GET /simulacoes/:id': 'Simulação registrada ou job (status, progresso, resultados)',
+      'DELETE /simulacoes/:id': 'Apagar simulação do registro',
+      'POST /simulacoes/:id/tags': 'Marcar simulação ({ adicionar: [...], remover: [...] })',
+      'GET /simulacoes/:id/eventos': 'Log de eventos de uma simulação (paginado; formato=csv|jsonl exporta)',
+      'GET /simulacoes/:id/fila': 'Tamanho da fila ao longo do tempo (?passo= minutos)',
+      'POST /teoria-filas/calcular': 'Métricas exatas M/M/c e M/M/c/K vs simulação',
+      'POST /calibrar': 'Calibrar o modelo com registros históricos (CSV)',
+      'POST /cenarios/comparar': 'Comparar cenários what-if (réplicas pareadas)',
+      'POST /otimizar': 'Dimensionar a frota (menor custo que cumpre a meta de espera)',
+      'GET /embarcacoes/status': 'Status atual das embarcações',
+      'POST /reserva': 'Criar reserva de veículo',
+      'GET /reservas': 'Listar todas as reservas',
+      'GET /reservas/disponibilidade': 'Vagas de reserva por partida (?data=AAAA-MM-DD)',
+      'GET /reservas/:id': 'Consultar reserva pelo código (com histórico)',
+      'POST /reservas/:id/cancelar': 'Cancelar reserva',
+      'POST /reservas/:id/remarcar': 'Remarcar reserva para outra partida',
+      'POST /reservas/:id/check-in': 'Check-in da reserva no terminal',
       'POST /relatar-problema': 'Relatar problema ou ocorrência',
-      'GET /problemas': 'Listar problemas relatados'
+      'GET /problemas': 'Listar problemas relatados',
+      'GET /relatorios': 'Relatório comparativo (?ids=a,b usa simulações registradas)'
+    }
+  });
+});
+
+// ========== ENDPOINT 2: CONFIGURAÇÕES ==========
+/*
+Retorna todas as configurações do sistema.
+Permite ao frontend conhecer os parâmetros da simulação.
+*/
+app.get('/config', (req, res) => {
+  res.json({
+    sucesso: true,
+    configuracoes: CONFIG,
+    teoriaFilas: {
+      modelo: 'M/M/c',
+      descricao: 'Chegadas Poisson, Serviço Exponencial, Múltiplos Servidores',
+      parametros: {
+        c: CONFIG.numEmbarcacoes,
+        lambda: CONFIG.veiculosDiarios / CONFIG.horasOperacao,
+        capacidade: CONFIG.capacidadeVeiculos
+      }
+    }
+  });
+});
+
+// ========== ENDPOINT 3: EXECUTAR SIMULAÇÃO ==========
+/*
+Executa a simulação completa do sistema de filas.
+Aceita parâmetros customizados via body.
+Retorna todas as métricas calculadas.
+
+Com "replicacoes": N (N > 1) roda N dias independentes e devolve média,
+desvio padrão, IC 95% e percentis de Wq, throughput, utilização e
+veículos não atendidos.
+*/
+app.post('/simular', (req, res) => {
+  try {
+    const { replicacoes, ...configCustom } = req.body;
+    
+    // Configuração inválida é recusada antes de rodar qualquer réplica
+    let simulador;
+    try {
+      simulador = new SimuladorFerries(configCustom);
+    } catch (erroConfig) {
+      return res.status(400).json({ sucesso: false, erro: erroConfig.message });
+    }
+    
+    if (replicacoes !== undefined) {
+      const n = Number(replicacoes);
+      if (!Number.isInteger(n) || n < 1 || n > LIMITE_REPLICACOES) {
+        return res.status(400).json({
+          sucesso: false,
+          erro: `replicacoes deve ser um inteiro entre 1 e ${LIMITE_REPLICACOES}`
+        });
+      }
+      const dias = configCustom.dias !== undefined ? Number(configCustom.dias) : CONFIG.dias;
+      const erroDias = validarDiasSimulados(n * dias);
+      if (erroDias) {
+        return res.status(400).json({ sucesso: false, erro: erroDias });
+      }
+      
+      if (n > 1) {
+        const { resultados: _execucoes, ...resumo } = executarReplicacoes(configCustom, n);
+        const configuracaoUsada = { ...CONFIG, ...configCustom, seed: resumo.sementeBase };
+        return res.json({
+          sucesso: true,
+          idSimulacao: registrarReplicacoes('simular', configuracaoUsada, resumo),
+          replicacoes: resumo,
+          configuracaoUsada
+        });
+      }
+    }
+    
+    const { idSimulacao, resultados } = registrarExecucao('simular', simulador, simulador.processar());
+    
+    res.json({
+      sucesso: true,
+      idSimulacao,
+      resultados,
+      configuracaoUsada: simulador.config,
+      metricas: {
+        Wq: resultados.tempoMedioEspera + ' minutos',
+        Lq: resultados.veiculosEmFila + ' veículos',
+        L: resultados.veiculosNoSistema + ' veículos',
+        throughput: resultados.veiculosProcessados + ' veículos/dia',
+        utilizacaoMedia: (resultados.utilizacaoEmbarcacoes.reduce((acc, e) => 
+          acc + e.percentualUtilizacao, 0) / resultados.utilizacaoEmbarcacoes.length).toFixed(2) + '%'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT 4: SIMULAR COM RESERVAS ==========
+/*
+Simula o impacto do sistema de reservas antecipadas.
+Compara cenários com e sem reservas.
+Mostra melhorias obtidas.
+*/
+app.post('/simular/com-reservas', (req, res) => {
+  try {
+    const { percentualReservas = 0.3, ...configCustom } = req.body;
+    const simulador = new SimuladorFerries(configCustom);
+    const resultados = simulador.simularComReservas(percentualReservas);
+    const { idSimulacao, resultados: detalhes } = registrarExecucao('simular/com-reservas', simulador, resultados.detalhes);
+    
+    res.json({
+      sucesso: true,
+      idSimulacao,
+      percentualReservasSimulado: percentualReservas,
+      resumo: resultados.resumo,
+      detalhes,
+      configuracaoUsada: simulador.config,
+      analise: {
+        mensagem: "Comparativo entre usuários com e sem reserva",
+        diferencaTempo: resultados.resumo.diferenca,
+        tempoMedioComReserva: resultados.resumo.tempoMedioReservas,
+        tempoMedioSemReserva: resultados.resumo.tempoMedioNormais
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: TABELA DE HORÁRIOS CUMPRIDA ==========
+/*
+Simula a operação seguindo uma tabela de horários fixa e devolve a
+tabela realmente cumprida: horário programado x real, situação
+(no_horario, atrasada, perdida, cancelada) e fator de carga de cada
+partida, agrupadas por terminal.
+Body: mesma configuração de POST /simular, com "tabelaHorarios" obrigatório.
+*/
+app.post('/simular/tabela-horarios', (req, res) => {
+  try {
+    const configCustom = req.body || {};
+    
+    if (!configCustom.tabelaHorarios) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Informe tabelaHorarios: { partidas: [{ terminal, horario: "HH:MM", embarcacao }] }'
+      });
+    }
+    
+    // Tabela ou configuração inválida (ex.: horario que não é "HH:MM") → 400
+    let simulador;
+    try {
+      simulador = new SimuladorFerries(configCustom);
+    } catch (erroConfig) {
+      return res.status(400).json({ sucesso: false, erro: erroConfig.message });
+    }
+    const { idSimulacao, resultados } = registrarExecucao('simular/tabela-horarios', simulador, simulador.processar());
+    
+    res.json({
+      sucesso: true,
+      idSimulacao,
+      tabelaCumprida: resultados.tabelaHorarios,
+      indicadores: {
+        tempoMedioEspera: resultados.tempoMedioEspera,
+        veiculosProcessados: resultados.veiculosProcessados,
+        veiculosNaoAtendidos: resultados.veiculosNaoAtendidos,
+        falhas: resultados.falhas
+      },
+      configuracaoUsada: simulador.config
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: PREVISÃO DA FILA COM AS RESERVAS FEITAS ==========
+/*
+Simula um dia (ou "dias" a partir de "data") usando as reservas gravadas
+como chegadas agendadas; a demanda espontânea completa o restante.
+Body: { data?: "AAAA-MM-DD" (padrão: amanhã), dias?, replicacoes?, ...config }
+Com "replicacoes" > 1 devolve média e IC 95% da previsão.
+*/
+app.post('/simular/previsao', (req, res) => {
+  try {
+    const { data = vagas.somarDias(vagas.hoje(), 1), replicacoes: n = 1, ...configCustom } = req.body || {};
+    const dias = configCustom.dias !== undefined ? configCustom.dias : 1;
+    
+    if (!vagas.dataValida(data)) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'data deve estar no formato AAAA-MM-DD'
+      });
     }
-  });
+    if (!Number.isInteger(Number(n)) || Number(n) < 1 || Number(n) > LIMITE_REPLICACOES) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: `replicacoes deve ser um inteiro entre 1 e ${LIMITE_REPLICACOES}`
+      });
+    }
+    const erroDias = validarDiasSimulados(Number(n) * Number(dias));
+    if (erroDias) {
+      return res.status(400).json({ sucesso: false, erro: erroDias });
+    }
+    
+    // Reservas ativas dos dias previstos (as expiradas já saíram da conta)
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const ultimaData = vagas.somarDias(data, Math.max(1, Number(dias)) - 1);
+    const reservasAgendadas = armazenamento.reservas.listar(r =>
+      vagas.STATUS_OCUPA_VAGA.includes(r.status) && r.data >= data && r.data <= ultimaData
+    );
+    const configPrevisao = { ...configCustom, dias, dataInicial: data, reservasAgendadas };
+    
+    if (Number(n) > 1) {
+      const { resultados: execucoes, ...resumo } = executarReplicacoes(configPrevisao, Number(n));
+      const configuracaoUsada = { ...CONFIG, ...configCustom, dias, dataInicial: data, seed: resumo.sementeBase };
+      return res.json({
+        sucesso: true,
+        idSimulacao: registrarReplicacoes('simular/previsao', configuracaoUsada, resumo),
+        data,
+        reservasConsideradas: execucoes[0].reservasReais.consideradas,
+        replicacoes: resumo,
+        configuracaoUsada
+      });
+    }
+    
+    const simulador = new SimuladorFerries(configPrevisao);
+    const resultadosPrevisao = simulador.processar();
+    const { reservasAgendadas: _lista, ...configuracaoUsada } = simulador.config;
+    const { idSimulacao, resultados } = registrarExecucao('simular/previsao', simulador, resultadosPrevisao, configuracaoUsada);
+    
+    res.json({
+      sucesso: true,
+      idSimulacao,
+      data,
+      previsao: {
+        reservas: resultados.reservasReais,
+        tempoMedioEspera: resultados.tempoMedioEspera,
+        tempoMedioEsperaReservas: resultados.tempoMedioEsperaReservas,
+        tempoMedioEsperaSemReserva: resultados.tempoMedioEsperaNormais,
+        veiculosNaoAtendidos: resultados.veiculosNaoAtendidos,
+        porSentido: resultados.porSentido
+      },
+      resultados,
+      configuracaoUsada
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
 });
 
-// ========== ENDPOINT 2: CONFIGURAÇÕES ==========
+// ========== ENDPOINT: SIMULAÇÃO AO VIVO (SERVER-SENT EVENTS) ==========
 /*
-Retorna todas as configurações do sistema.
-Permite ao frontend conhecer os parâmetros da simulação.
+Para o painel animar a fila e as embarcações (ver transmissao-simulacao.js):
+POST   /simular/ao-vivo                 → cria a transmissão: configuração de
+                                          /simular + velocidade (minutos simulados
+                                          por segundo, padrão 10) e pularNoites
+GET    /simular/ao-vivo/:id             → stream text/event-stream (EventSource)
+POST   /simular/ao-vivo/:id/pausar
+POST   /simular/ao-vivo/:id/retomar
+POST   /simular/ao-vivo/:id/velocidade  → { velocidade }
+DELETE /simular/ao-vivo/:id             → encerra
+Ao terminar, a execução entra no registro (origem simular/ao-vivo).
 */
-app.get('/config', (req, res) => {
-  res.json({
-    sucesso: true,
-    configuracoes: CONFIG,
-    teoriaFilas: {
-      modelo: 'M/M/c',
-      descricao: 'Chegadas Poisson, Serviço Exponencial, Múltiplos Servidores',
-      parametros: {
-        c: CONFIG.numEmbarcacoes,
-        lambda: CONFIG.veiculosDiarios / CONFIG.horasOperacao,
-        capacidade: CONFIG.capacidadeVeiculos
-      }
+const LIMITE_TRANSMISSOES = 10;
+const OCIOSIDADE_MAXIMA_TRANSMISSAO_MS = 10 * 60 * 1000; // 10 min sem ninguém assistindo
+const transmissoes = new Map();
+
+// Libera as transmissões encerradas ou abandonadas
+function limparTransmissoes() {
+  transmissoes.forEach((transmissao, id) => {
+    if (transmissao.situacao().encerrada || transmissao.ociosidade() > OCIOSIDADE_MAXIMA_TRANSMISSAO_MS) {
+      transmissao.encerrar();
+      transmissoes.delete(id);
     }
   });
+}
+
+app.post('/simular/ao-vivo', (req, res) => {
+  try {
+    const {
+      velocidade = transmissaoSimulacao.VELOCIDADE_PADRAO,
+      pularNoites = true,
+      ...configCustom
+    } = req.body || {};
+
+    const erroVelocidade = transmissaoSimulacao.validarVelocidade(velocidade);
+    if (erroVelocidade) {
+      return res.status(400).json({ sucesso: false, erro: erroVelocidade });
+    }
+    if (typeof pularNoites !== 'boolean') {
+      return res.status(400).json({ sucesso: false, erro: 'pularNoites deve ser true ou false' });
+    }
+
+    // Log completo por padrão: chegadas e embarques também vão ao vivo
+    let simulador;
+    try {
+      simulador = new SimuladorFerries({ registroEventos: 'completo', ...configCustom });
+    } catch (erroConfig) {
+      return res.status(400).json({ sucesso: false, erro: erroConfig.message });
+    }
+
+    limparTransmissoes();
+    if (transmissoes.size >= LIMITE_TRANSMISSOES) {
+      return res.status(503).json({
+        sucesso: false,
+        erro: `Limite de ${LIMITE_TRANSMISSOES} transmissões ao vivo atingido. Tente novamente mais tarde`
+      });
+    }
+
+    const id = Math.random().toString(36).substr(2, 9);
+    transmissoes.set(id, transmissaoSimulacao.criarTransmissao(simulador, {
+      velocidade,
+      pularNoites,
+      aoConcluir: resultados => {
+        const { idSimulacao } = registrarExecucao('simular/ao-vivo', simulador, resultados);
+        return {
+          idSimulacao,
+          indicadores: armazenamento.simulacoes.buscar(idSimulacao).indicadores
+        };
+      }
+    }));
+
+    res.status(201).json({
+      sucesso: true,
+      idTransmissao: id,
+      velocidade,
+      pularNoites,
+      transmissao: `/simular/ao-vivo/${id}`,
+      controles: {
+        pausar: `POST /simular/ao-vivo/${id}/pausar`,
+        retomar: `POST /simular/ao-vivo/${id}/retomar`,
+        velocidade: `POST /simular/ao-vivo/${id}/velocidade`,
+        encerrar: `DELETE /simular/ao-vivo/${id}`
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.get('/simular/ao-vivo/:id', (req, res) => {
+  try {
+    const transmissao = transmissoes.get(req.params.id);
+    if (!transmissao) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Transmissão não encontrada'
+      });
+    }
+    // 204 avisa o EventSource para não reconectar
+    if (transmissao.situacao().encerrada) return res.status(204).end();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // proxies (nginx) não seguram os eventos
+    });
+    res.flushHeaders();
+
+    const sair = transmissao.assinar(res);
+    req.on('close', sair);
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// Pausar, retomar e mudar a velocidade: devolvem a situação da transmissão
+function controlarTransmissao(req, res, acao) {
+  try {
+    const transmissao = transmissoes.get(req.params.id);
+    if (!transmissao) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Transmissão não encontrada'
+      });
+    }
+    const erro = acao(transmissao);
+    if (erro) {
+      return res.status(400).json({ sucesso: false, erro });
+    }
+    if (transmissao.situacao().encerrada) {
+      return res.status(409).json({
+        sucesso: false,
+        erro: 'A transmissão já terminou',
+        transmissao: transmissao.situacao()
+      });
+    }
+
+    res.json({
+      sucesso: true,
+      transmissao: transmissao.situacao()
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+}
+
+app.post('/simular/ao-vivo/:id/pausar', (req, res) =>
+  controlarTransmissao(req, res, transmissao => { transmissao.pausar(); }));
+
+app.post('/simular/ao-vivo/:id/retomar', (req, res) =>
+  controlarTransmissao(req, res, transmissao => { transmissao.retomar(); }));
+
+app.post('/simular/ao-vivo/:id/velocidade', (req, res) =>
+  controlarTransmissao(req, res, transmissao => {
+    const { velocidade } = req.body || {};
+    const erro = transmissaoSimulacao.validarVelocidade(velocidade);
+    if (erro) return erro;
+    transmissao.definirVelocidade(velocidade);
+  }));
+
+app.delete('/simular/ao-vivo/:id', (req, res) => {
+  try {
+    const transmissao = transmissoes.get(req.params.id);
+    if (!transmissao) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Transmissão não encontrada'
+      });
+    }
+    transmissao.encerrar();
+    transmissoes.delete(req.params.id);
+
+    res.json({
+      sucesso: true,
+      mensagem: 'Transmissão encerrada'
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: SIMULAÇÃO ASSÍNCRONA (JOB) ==========
+/*
+Enfileira a simulação e responde na hora (202) com o id; ela roda num
+worker thread sem travar o servidor. Acompanhe em GET /simulacoes/:id
+(status e progresso) e cancele em POST /simulacoes/:id/cancelar.
+Body: mesma configuração de POST /simular, com "replicacoes" opcional.
+*/
+app.post('/simulacoes', (req, res) => {
+  try {
+    const { replicacoes: n = 1, ...configCustom } = req.body || {};
+    const replicacoesPedidas = Number(n);
+    if (!Number.isInteger(replicacoesPedidas) || replicacoesPedidas < 1 || replicacoesPedidas > LIMITE_REPLICACOES) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: `replicacoes deve ser um inteiro entre 1 e ${LIMITE_REPLICACOES}`
+      });
+    }
+
+    // Configuração inválida é recusada já, não no worker
+    try {
+      new SimuladorFerries(configCustom);
+    } catch (erroConfig) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: erroConfig.message
+      });
+    }
+
+    const registro = registroSimulacoes.registrarPendente(armazenamento.simulacoes, {
+      origem: 'simulacoes',
+      configuracao: { ...CONFIG, ...configCustom },
+      replicacoes: replicacoesPedidas
+    });
+    if (!filaSimulacoes.enfileirar(registro.id, { config: configCustom, replicacoes: replicacoesPedidas })) {
+      armazenamento.simulacoes.remover(registro.id);
+      return res.status(503).json({
+        sucesso: false,
+        erro: 'Fila de simulações cheia. Tente novamente mais tarde'
+      });
+    }
+
+    res.status(202).json({
+      sucesso: true,
+      idSimulacao: registro.id,
+      ...filaSimulacoes.situacao(registro.id),
+      acompanhar: `/simulacoes/${registro.id}`,
+      cancelar: `/simulacoes/${registro.id}/cancelar`
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.post('/simulacoes/:id/cancelar', (req, res) => {
+  try {
+    const registro = armazenamento.simulacoes.buscar(req.params.id);
+    if (!registro) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Simulação não encontrada'
+      });
+    }
+    if (!filaSimulacoes.cancelar(registro.id)) {
+      return res.status(409).json({
+        sucesso: false,
+        erro: `A simulação não pode ser cancelada (status: ${registro.status})`
+      });
+    }
+
+    res.json({
+      sucesso: true,
+      mensagem: 'Simulação cancelada',
+      simulacao: registroSimulacoes.resumoExecucao(armazenamento.simulacoes.buscar(registro.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: REGISTRO DE SIMULAÇÕES ==========
+/*
+GET    /simulacoes                 → lista (?tag=, ?origem=simular, ?status=, ?limite=50)
+GET    /simulacoes/:id             → registro completo (configuração e resultados);
+                                     jobs em andamento: status, progresso e posição na fila
+DELETE /simulacoes/:id             → apaga do registro (cancela se estiver rodando)
+POST   /simulacoes/:id/tags        → { adicionar: [...], remover: [...] }
+*/
+app.get('/simulacoes', (req, res) => {
+  try {
+    const resultado = registroSimulacoes.listarExecucoes(armazenamento.simulacoes, req.query);
+    if (resultado.erro) {
+      return res.status(resultado.status).json({ sucesso: false, erro: resultado.erro });
+    }
+
+    res.json({
+      sucesso: true,
+      ...resultado,
+      fila: filaSimulacoes.resumo()
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.get('/simulacoes/:id', (req, res) => {
+  try {
+    const registro = armazenamento.simulacoes.buscar(req.params.id);
+    if (!registro) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Simulação não encontrada'
+      });
+    }
+
+    const situacao = filaSimulacoes.situacao(registro.id);
+    res.json({
+      sucesso: true,
+      simulacao: situacao ? { ...registro, ...situacao } : { ...registro, progresso: registro.status === 'concluida' ? 1 : null },
+      logCompletoDisponivel: execucoesGuardadas.has(registro.id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.delete('/simulacoes/:id', (req, res) => {
+  try {
+    if (!armazenamento.simulacoes.buscar(req.params.id)) {
+      return res.status(404).json({
+        sucesso: false,
+        erro: 'Simulação não encontrada'
+      });
+    }
+    filaSimulacoes.cancelar(req.params.id);
+    armazenamento.simulacoes.remover(req.params.id);
+    descartarLog(req.params.id);
+
+    res.json({
+      sucesso: true,
+      mensagem: 'Simulação removida do registro'
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.post('/simulacoes/:id/tags', (req, res) => {
+  try {
+    const resultado = registroSimulacoes.marcar(armazenamento.simulacoes, req.params.id, req.body || {});
+    if (resultado.erro) {
+      return res.status(resultado.status).json({ sucesso: false, erro: resultado.erro });
+    }
+
+    res.json({
+      sucesso: true,
+      simulacao: registroSimulacoes.resumoExecucao(resultado.registro)
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
 });
 
-// ========== ENDPOINT 3: EXECUTAR SIMULAÇÃO ==========
-/*
-Executa a simulação completa do sistema de filas.
-Aceita parâmetros customizados via body.
-Retorna todas as métricas calculadas.
-*/
-app.post('/simular', (req, res) => {
-  try {
-    const configCustom = req.body;
-    const simulador = new SimuladorFerries(configCustom);
-    const resultados = simulador.processar();
-    
+// Log e série só existem em memória para as últimas execuções
+function logIndisponivel(res, id) {
+  const registro = armazenamento.simulacoes.buscar(id);
+  if (registro && registroSimulacoes.STATUS_PENDENTES.includes(registro.status)) {
+    return res.status(409).json({
+      sucesso: false,
+      erro: `A simulação ainda não terminou (status: ${registro.status})`
+    });
+  }
+  return res.status(404).json({
+    sucesso: false,
+    erro: registro
+      ? `O log completo desta simulação não está disponível (fica em memória para as últimas ${LIMITE_EXECUCOES_GUARDADAS} ` +
+        `execuções únicas, até ${LIMITE_REGISTROS_GUARDADOS} eventos e pontos da série somados); ` +
+        'os eventos das embarcações estão em GET /simulacoes/:id'
+      : 'Simulação não encontrada'
+  });
+}
+
+// ========== ENDPOINT: LOG DE EVENTOS DA SIMULAÇÃO ==========
+/*
+Consulta o log de uma simulação recente (idSimulacao devolvido por
+/simular, /simular/com-reservas, /simular/tabela-horarios e
+/simular/previsao; o log completo fica em memória para as últimas 20,
+até LIMITE_REGISTROS_GUARDADOS no total).
+Query: pagina=1, limite=500, tipo (lista separada por vírgula),
+       embarcacao, terminal, veiculo, dia, formato=json|csv|jsonl
+Em csv e jsonl exporta todos os eventos do filtro (sem paginação).
+*/
+const FORMATOS_EVENTOS = {
+  csv: { tipo: 'text/csv; charset=utf-8', extensao: 'csv', gerar: logEventos.eventosParaCSV },
+  jsonl: { tipo: 'application/x-ndjson; charset=utf-8', extensao: 'jsonl', gerar: logEventos.eventosParaJSONL }
+};
+
+app.get('/simulacoes/:id/eventos', (req, res) => {
+  try {
+    const execucao = execucoesGuardadas.get(req.params.id);
+    if (!execucao) {
+      return logIndisponivel(res, req.params.id);
+    }
+
+    const { pagina, limite, formato = 'json', ...filtros } = req.query;
+    if (formato !== 'json' && !FORMATOS_EVENTOS[formato]) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'formato deve ser json, csv ou jsonl'
+      });
+    }
+
+    const eventos = logEventos.filtrarEventos(execucao.eventos, filtros);
+    if (formato !== 'json') {
+      const exportacao = FORMATOS_EVENTOS[formato];
+      res.setHeader('Content-Type', exportacao.tipo);
+      res.setHeader('Content-Disposition', `attachment; filename="eventos-${execucao.id}.${exportacao.extensao}"`);
+      return res.send(exportacao.gerar(eventos));
+    }
+
+    const pag = logEventos.paginarEventos(eventos, pagina, limite);
+    if (pag.erro) {
+      return res.status(400).json({ sucesso: false, erro: pag.erro });
+    }
+
     res.json({
       sucesso: true,
-      resultados,
-      configuracaoUsada: simulador.config,
-      metricas: {
-        Wq: resultados.tempoMedioEspera + ' minutos',
-        Lq: resultados.veiculosEmFila + ' veículos',
-        throughput: resultados.veiculosProcessados + ' veículos/dia',
-        utilizacaoMedia: (resultados.utilizacaoEmbarcacoes.reduce((acc, e) => 
-          acc + e.percentualUtilizacao, 0) / resultados.utilizacaoEmbarcacoes.length).toFixed(2) + '%'
-      }
+      idSimulacao: execucao.id,
+      ...pag
     });
   } catch (error) {
     res.status(500).json({
@@ -479,30 +3184,39 @@ app.post('/simular', (req, res) => {
   }
 });
 
-// ========== ENDPOINT 4: SIMULAR COM RESERVAS ==========
+// ========== ENDPOINT: TAMANHO DA FILA AO LONGO DO TEMPO ==========
 /*
-Simula o impacto do sistema de reservas antecipadas.
-Compara cenários com e sem reservas.
-Mostra melhorias obtidas.
+Série do tamanho da fila de cada terminal para gráficos.
+Sem passo: pontos [minuto, tamanho] a cada mudança.
+Com ?passo=N (minutos): tamanho a cada N minutos e o máximo no intervalo.
+Só existe para simulações com registroEventos 'completo' (padrão).
 */
-app.post('/simular/com-reservas', (req, res) => {
+app.get('/simulacoes/:id/fila', (req, res) => {
   try {
-    const { percentualReservas = 0.3, ...configCustom } = req.body;
-    const simulador = new SimuladorFerries(configCustom);
-    const resultados = simulador.simularComReservas(percentualReservas);
-    
+    const execucao = execucoesGuardadas.get(req.params.id);
+    if (!execucao) {
+      return logIndisponivel(res, req.params.id);
+    }
+    if (!execucao.serieFila) {
+      return res.status(409).json({
+        sucesso: false,
+        erro: 'A simulação não registrou a série da fila (use registroEventos: "completo")'
+      });
+    }
+
+    const serie = logEventos.serieDasFilas(execucao.serieFila, {
+      passo: req.query.passo,
+      inicio: execucao.inicio,
+      fim: execucao.fim
+    });
+    if (serie.erro) {
+      return res.status(400).json({ sucesso: false, erro: serie.erro });
+    }
+
     res.json({
       sucesso: true,
-      percentualReservasSimulado: percentualReservas,
-      resumo: resultados.resumo,
-      detalhes: resultados.detalhes,
-      configuracaoUsada: simulador.config,
-      analise: {
-        mensagem: "Comparativo entre usuários com e sem reserva",
-        diferencaTempo: resultados.resumo.diferenca,
-        tempoMedioComReserva: resultados.resumo.tempoMedioReservas,
-        tempoMedioSemReserva: resultados.resumo.tempoMedioNormais
-      }
+      idSimulacao: execucao.id,
+      ...serie
     });
   } catch (error) {
     res.status(500).json({
@@ -526,11 +3240,11 @@ app.get('/embarcacoes/status', (req, res) => {
     disponivel: emb.disponivel,
     emManutencao: emb.emManutencao,
     capacidade: emb.capacidade,
+    localizacao: emb.localizacao,
     veiculosAbordo: emb.veiculosAbordo.length,
+    ocupacao: emb.ocupacao,
     viagensRealizadas: emb.viagensRealizadas,
-    estado: emb.emManutencao ? 'Em Manutenção' : 
-            !emb.disponivel ? 'Indisponível' : 
-            emb.veiculosAbordo.length > 0 ? 'Em Operação' : 'Disponível'
+    estado: emb.estado
   }));
   
   res.json({
@@ -548,12 +3262,39 @@ app.get('/embarcacoes/status', (req, res) => {
 /*
 Permite que usuários reservem horários antecipadamente.
 Isso ajuda a distribuir a demanda e reduzir filas.
+As reservas ficam no repositório (armazenamento.reservas).
+
+Cada reserva ocupa uma vaga numa partida real (terminal + horário do dia),
+dentro da fatia do convés aberta a reservas (CONFIG.vagasReserva).
+Partida lotada: a reserva é recusada (409) ou, com "listaEspera": true,
+entra na lista de espera. Em ambos os casos seguem as alternativas livres
+mais próximas.
+
+Ciclo de vida (reservas.js): cancelar, remarcar e check-in pelo código
+(reserva.id). Reserva confirmada sem check-in até a partida vira
+"nao_compareceu" automaticamente; cada mudança entra em reserva.historico.
 */
-const reservas = [];
+
+// Valida horário, data e terminal de um pedido (criação ou remarcação).
+// Devolve o corpo do erro 400 ou null. O horário só vale como texto
+// "HH:MM": um número (8) seria lido como minutos (00:08), não 08:00
+function validarPedidoReserva({ horarioPreferencia, data, terminal }) {
+  if (typeof horarioPreferencia !== 'string' || minutosDoHorario(horarioPreferencia) === null) {
+    return { erro: 'horarioPreferencia deve estar no formato HH:MM (ex.: "08:00")' };
+  }
+  if (data !== undefined && !vagas.dataValida(data)) {
+    return { erro: 'data deve estar no formato AAAA-MM-DD' };
+  }
+  if (terminal !== undefined && !CONFIG.terminais.some(t => t.id === terminal)) {
+    return { erro: 'Terminal inválido', terminaisValidos: CONFIG.terminais.map(t => t.id) };
+  }
+  return null;
+}
 
 app.post('/reserva', (req, res) => {
   try {
-    const { nomeUsuario, tipoVeiculo, horarioPreferencia, telefone, placa } = req.body;
+    const { nomeUsuario, tipoVeiculo, horarioPreferencia, telefone, placa, data, listaEspera } = req.body;
+    const terminal = req.body.terminal || CONFIG.terminais[0].id;
     
     // Validação dos dados obrigatórios
     if (!nomeUsuario || !tipoVeiculo || !horarioPreferencia) {
@@ -563,30 +3304,81 @@ app.post('/reserva', (req, res) => {
       });
     }
     
+    if (!CONFIG.tiposVeiculo[tipoVeiculo]) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Tipo de veículo inválido',
+        tiposValidos: Object.keys(CONFIG.tiposVeiculo)
+      });
+    }
+    const invalido = validarPedidoReserva({ horarioPreferencia, data, terminal });
+    if (invalido) {
+      return res.status(400).json({ sucesso: false, ...invalido });
+    }
+    
+    // Partida: primeira saída no horário preferido ou depois
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const alocacao = cicloReservas.alocarPartida(CONFIG, armazenamento.reservas.listar(),
+      { data, terminal, horarioPreferencia, tipoVeiculo });
+    if (alocacao.erro) {
+      return res.status(alocacao.status).json({
+        sucesso: false,
+        erro: alocacao.erro,
+        alternativas: alocacao.alternativas
+      });
+    }
+    
+    const { partida, ocupacao, temVaga, alternativas } = alocacao;
+    if (!temVaga && listaEspera !== true) {
+      return res.status(409).json({
+        sucesso: false,
+        erro: `Partida das ${partida.horario} de ${partida.data} sem vagas para reserva`,
+        partida: { ...partida, terminal },
+        alternativas,
+        dica: 'Envie "listaEspera": true para entrar na lista de espera desta partida'
+      });
+    }
+    
     // Cria a reserva
     const reserva = {
       id: Math.random().toString(36).substr(2, 9),
       nomeUsuario,
       tipoVeiculo,
+      unidades: CONFIG.tiposVeiculo[tipoVeiculo].unidades,
       horarioPreferencia,
+      terminal,
+      data: partida.data,
+      horarioPartida: partida.horario,
       telefone: telefone || 'Não informado',
       placa: placa || 'Não informada',
-      status: 'confirmada',
+      status: temVaga ? 'confirmada' : 'lista_espera',
       dataCriacao: new Date().toISOString(),
-      dataUso: new Date(new Date().setHours(...horarioPreferencia.split(':'), 0, 0)).toISOString()
+      dataUso: vagas.momentoPartida(partida.data, partida.horario).toISOString()
     };
+    reserva.historico = [{ status: reserva.status, em: reserva.dataCriacao, motivo: 'Reserva criada' }];
+    
+    armazenamento.reservas.inserir(reserva);
     
-    reservas.push(reserva);
+    if (!temVaga) {
+      return res.json({
+        sucesso: true,
+        mensagem: `Partida lotada: você está na lista de espera das ${partida.horario}.`,
+        reserva,
+        posicaoListaEspera: ocupacao.listaEspera + 1,
+        alternativas
+      });
+    }
     
     res.json({
       sucesso: true,
-      mensagem: 'Reserva criada com sucesso! Chegue 15 minutos antes do horário.',
+      mensagem: `Reserva criada com sucesso para a partida das ${partida.horario}! Chegue 15 minutos antes do horário.`,
       reserva,
       instrucoes: [
         'Apresente este código ao chegar: ' + reserva.id,
         'Chegue 15 minutos antes do horário reservado',
         'Mantenha seus documentos em mãos',
-        'Em caso de atraso, a reserva pode ser cancelada'
+        'Faça o check-in (POST /reservas/' + reserva.id + '/check-in) até o horário da partida',
+        'Sem check-in até a partida, a reserva é cancelada por não comparecimento'
       ]
     });
   } catch (error) {
@@ -597,16 +3389,28 @@ app.post('/reserva', (req, res) => {
   }
 });
 
+// Placa comparada sem pontuação e sem diferenciar maiúsculas ("abc1234" = "ABC-1234")
+const normalizarPlaca = placa => String(placa).replace(/[^a-z0-9]/gi, '').toUpperCase();
+
 app.get('/reservas', (req, res) => {
-  // Permite filtrar por data
-  const { data } = req.query;
+  // Permite filtrar por data, status e placa
+  const { data, status, placa } = req.query;
   
-  let reservasFiltradas = reservas;
+  cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+  let reservasFiltradas = armazenamento.reservas.listar();
   if (data) {
-    reservasFiltradas = reservas.filter(r => 
-      r.dataUso.startsWith(data)
+    // Reservas antigas (sem "data") são filtradas pela data de uso
+    reservasFiltradas = reservasFiltradas.filter(r => 
+      r.data ? r.data === data : r.dataUso.startsWith(data)
     );
   }
+  if (status) {
+    const aceitos = String(status).split(',');
+    reservasFiltradas = reservasFiltradas.filter(r => aceitos.includes(r.status));
+  }
+  if (placa) {
+    reservasFiltradas = reservasFiltradas.filter(r => normalizarPlaca(r.placa) === normalizarPlaca(placa));
+  }
   
   res.json({
     sucesso: true,
@@ -617,13 +3421,149 @@ app.get('/reservas', (req, res) => {
   });
 });
 
+// ========== ENDPOINT: VAGAS DE RESERVA POR PARTIDA ==========
+/*
+Mostra, para cada partida do dia, quantas unidades de convés ainda
+podem ser reservadas, vagas por tipo de veículo e tamanho da lista
+de espera.
+Query: data=AAAA-MM-DD (padrão: hoje), terminal (opcional)
+*/
+app.get('/reservas/disponibilidade', (req, res) => {
+  try {
+    const data = req.query.data || vagas.hoje();
+    const { terminal } = req.query;
+    
+    if (!vagas.dataValida(data)) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'data deve estar no formato AAAA-MM-DD'
+      });
+    }
+    if (terminal && !CONFIG.terminais.some(t => t.id === terminal)) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Terminal inválido',
+        terminaisValidos: CONFIG.terminais.map(t => t.id)
+      });
+    }
+    
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const partidas = vagas.disponibilidadeDoDia(CONFIG, armazenamento.reservas.listar(), data, terminal);
+    
+    res.json({
+      sucesso: true,
+      data,
+      capacidadeReservavelPorPartida: vagas.capacidadeReservavel(CONFIG),
+      unidadesPorTipo: Object.fromEntries(
+        Object.entries(CONFIG.tiposVeiculo).map(([tipo, dados]) => [tipo, dados.unidades])
+      ),
+      totalPartidas: partidas.length,
+      partidasLotadas: partidas.filter(p => p.lotada).length,
+      partidas
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: CICLO DE VIDA DA RESERVA ==========
+/*
+Operações pelo código da reserva (reserva.id):
+- GET  /reservas/:id            → reserva com o histórico de status
+- POST /reservas/:id/cancelar   → body opcional { motivo }
+- POST /reservas/:id/remarcar   → body { horarioPreferencia, data?, terminal?, listaEspera? }
+- POST /reservas/:id/check-in   → confirma a presença no terminal
+Vaga liberada por cancelamento ou remarcação vai para a lista de espera.
+*/
+
+// Responde a operação do ciclo de vida (erro com status HTTP ou sucesso)
+function responderCiclo(res, resultado, mensagem) {
+  if (resultado.erro) {
+    const { status, ...corpo } = resultado;
+    return res.status(status).json({ sucesso: false, ...corpo });
+  }
+  res.json({ sucesso: true, mensagem, ...resultado });
+}
+
+app.get('/reservas/:id', (req, res) => {
+  cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+  const reserva = armazenamento.reservas.buscar(req.params.id);
+  if (!reserva) {
+    return res.status(404).json({
+      sucesso: false,
+      erro: `Reserva "${req.params.id}" não encontrada`
+    });
+  }
+  res.json({ sucesso: true, reserva });
+});
+
+app.post('/reservas/:id/cancelar', (req, res) => {
+  try {
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const resultado = cicloReservas.cancelar(armazenamento.reservas, CONFIG, req.params.id, (req.body || {}).motivo);
+    responderCiclo(res, resultado, 'Reserva cancelada');
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.post('/reservas/:id/remarcar', (req, res) => {
+  try {
+    const { horarioPreferencia, data, terminal, listaEspera } = req.body || {};
+    if (!horarioPreferencia) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Dados incompletos. Necessário: horarioPreferencia'
+      });
+    }
+    const invalido = validarPedidoReserva({ horarioPreferencia, data, terminal });
+    if (invalido) {
+      return res.status(400).json({ sucesso: false, ...invalido });
+    }
+    
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const resultado = cicloReservas.remarcar(armazenamento.reservas, CONFIG, req.params.id,
+      { horarioPreferencia, data, terminal, listaEspera });
+    if (resultado.erro) return responderCiclo(res, resultado);
+    
+    const { status, horarioPartida, data: novaData } = resultado.reserva;
+    responderCiclo(res, resultado, status === 'lista_espera'
+      ? `Partida lotada: remarcada para a lista de espera das ${horarioPartida} de ${novaData}`
+      : `Reserva remarcada para a partida das ${horarioPartida} de ${novaData}`);
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+app.post('/reservas/:id/check-in', (req, res) => {
+  try {
+    cicloReservas.expirarNaoComparecimentos(armazenamento.reservas);
+    const resultado = cicloReservas.fazerCheckIn(armazenamento.reservas, CONFIG, req.params.id);
+    responderCiclo(res, resultado, 'Check-in realizado. Siga para a fila de embarque de reservas.');
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
 // ========== ENDPOINT 8 e 9: RELATAR PROBLEMAS ==========
 /*
 NOVO RECURSO: Sistema de Relato de Problemas
 Permite que usuários reportem problemas diretamente pelo app.
 Conforme mostrado na imagem do formulário enviada.
+Os relatos ficam no repositório (armazenamento.problemas).
 */
-const problemas = [];
 
 app.post('/relatar-problema', (req, res) => {
   try {
@@ -689,7 +3629,7 @@ app.post('/relatar-problema', (req, res) => {
       dataResolucao: null
     };
     
-    problemas.push(problema);
+    armazenamento.problemas.inserir(problema);
     
     // Simula notificação para equipe de operações
     console.log(`⚠️  NOVO PROBLEMA RELATADO - Protocolo: ${problema.protocolo}`);
@@ -725,6 +3665,7 @@ app.post('/relatar-problema', (req, res) => {
 app.get('/problemas', (req, res) => {
   const { status, prioridade, categoria } = req.query;
   
+  const problemas = armazenamento.problemas.listar();
   let problemasFiltrados = problemas;
   
   // Aplica filtros se fornecidos
@@ -778,17 +3719,19 @@ app.get('/teoria-filas', (req, res) => {
     descricao: 'Sistema de fila com múltiplos servidores',
     componentes: {
       'M (Chegadas)': {
-        tipo: 'Processo de Poisson',
-        descricao: 'Veículos chegam aleatoriamente',
+        tipo: 'Processo de Poisson não homogêneo',
+        descricao: 'Veículos chegam aleatoriamente, com taxa que varia ao longo do dia',
         parametro: 'λ (lambda) = taxa de chegada',
-        valor: CONFIG.veiculosDiarios / CONFIG.horasOperacao + ' veículos/hora',
-        variacao: 'Durante pico: λ × 2.5'
+        valor: CONFIG.veiculosDiarios / CONFIG.horasOperacao + ' veículos/hora (taxa base)',
+        variacao: 'λ(t) = taxa base × fator do perfil (perfisChegada), escolhido pelo calendário',
+        perfis: Object.keys(CONFIG.perfisChegada)
       },
       'M (Atendimento)': {
-        tipo: 'Distribuição Exponencial',
+        tipo: 'Distribuição Exponencial (aproximação)',
         descricao: 'Tempo de serviço (embarque + travessia + desembarque)',
         parametro: 'μ (mi) = taxa de atendimento',
-        tempoServico: CONFIG.tempoEmbarqueMinutos + CONFIG.tempoTravessiaMinutos + ' minutos'
+        tempoServico: CONFIG.tempoEmbarqueMinutos + CONFIG.tempoTravessiaMinutos + ' minutos',
+        variacao: 'Cada fase aceita uma distribuição: fixo, exponencial, normal, lognormal, triangular, empirica...'
       },
       'c (Servidores)': {
         quantidade: CONFIG.numEmbarcacoes,
@@ -817,6 +3760,265 @@ app.get('/teoria-filas', (req, res) => {
   });
 });
 
+// ========== ENDPOINT: CALCULADORA M/M/c e M/M/c/K ==========
+/*
+Calcula as métricas exatas dos modelos analíticos e compara com uma
+simulação feita com a mesma configuração.
+Body: { lambda, mu, c, K?, tamanhoLote?, simular?, ...config }
+- lambda, mu em veículos/hora; omitidos, são derivados do CONFIG
+- K: capacidade do sistema (ativa o modelo M/M/c/K)
+- Demais campos são repassados ao SimuladorFerries (ex.: seed)
+*/
+app.post('/teoria-filas/calcular', (req, res) => {
+  try {
+    const { lambda, mu, c, K, tamanhoLote, simular = true, ...configCustom } = req.body;
+    
+    // Valida os números informados
+    const informados = { lambda, mu, c, K, tamanhoLote };
+    const invalidos = Object.keys(informados).filter(nome =>
+      informados[nome] !== undefined && !Number.isFinite(Number(informados[nome]))
+    );
+    if (invalidos.length > 0) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Parâmetros devem ser numéricos: ' + invalidos.join(', ')
+      });
+    }
+    
+    let simulador;
+    try {
+      simulador = new SimuladorFerries(configCustom);
+    } catch (erroConfig) {
+      return res.status(400).json({ sucesso: false, erro: erroConfig.message });
+    }
+    const derivados = simulador.parametrosTeoricos();
+    const parametros = {
+      lambda: lambda !== undefined ? Number(lambda) : derivados.lambda,
+      mu: mu !== undefined ? Number(mu) : derivados.mu,
+      c: c !== undefined ? Number(c) : derivados.c,
+      K: K !== undefined ? Number(K) : null,
+      tamanhoLote: tamanhoLote !== undefined ? Number(tamanhoLote) : derivados.tamanhoLote
+    };
+    
+    // c, K e tamanhoLote inteiros e limitados; λ e μ positivos
+    try {
+      validarEntrada(parametros);
+    } catch (erroParametros) {
+      return res.status(400).json({ sucesso: false, erro: erroParametros.message });
+    }
+    
+    const teorico = parametros.K !== null
+      ? calcularMMcK(parametros.lambda, parametros.mu, parametros.c, parametros.K)
+      : calcularMMc(parametros.lambda, parametros.mu, parametros.c);
+    const lote = aproximarServicoEmLote(parametros.lambda, parametros.mu, parametros.c, parametros.tamanhoLote);
+    
+    const resposta = {
+      sucesso: true,
+      parametros,
+      unidades: { lambda: 'veículos/hora', mu: 'veículos/hora por servidor', W: 'minutos', Wq: 'minutos' },
+      teorico,
+      servicoEmLote: lote
+    };
+    
+    // Validação: mesma configuração rodando na simulação
+    if (simular) {
+      const resultados = simulador.processar();
+      const simulado = {
+        rho: resultados.utilizacaoEmbarcacoes.reduce((acc, e) => acc + e.percentualUtilizacao, 0) /
+          resultados.utilizacaoEmbarcacoes.length / 100,
+        Lq: resultados.veiculosEmFila,
+        Wq: resultados.tempoMedioEspera,
+        throughputHora: resultados.veiculosProcessados / resultados.tempoSimulacao
+      };
+      resposta.simulado = simulado;
+      resposta.comparacao = {
+        [teorico.modelo]: compararComSimulacao(teorico, simulado),
+        servicoEmLote: compararComSimulacao(lote, simulado)
+      };
+      resposta.configuracaoUsada = simulador.config;
+    }
+    
+    res.json(resposta);
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: CALIBRAÇÃO COM DADOS HISTÓRICOS ==========
+/*
+Estima perfis de chegada, mix de veículos e tempos de serviço a partir
+dos registros (CSV) e devolve a configuração calibrada, com os testes de
+aderência (qui-quadrado para Poisson, Kolmogorov-Smirnov nos tempos).
+Body: { chegadas: "csv", viagens?: "csv", simular?, ...config }
+- config (horarioInicio, calendarioChegadas, terminais...) é a base
+- simular (padrão true): roda a configuração calibrada e compara o Wq
+  simulado com o observado (coluna "embarque" das chegadas)
+Formato dos CSV em calibracao.js.
+*/
+app.post('/calibrar', (req, res) => {
+  try {
+    const { chegadas, viagens, simular = true, ...configCustom } = req.body;
+    
+    if (typeof chegadas !== 'string' || chegadas.trim() === '') {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Envie o CSV de chegadas no campo "chegadas" (texto)'
+      });
+    }
+    if (viagens !== undefined && typeof viagens !== 'string') {
+      return res.status(400).json({ sucesso: false, erro: '"viagens" deve ser o texto do CSV de viagens' });
+    }
+    
+    // Configuração base já mesclada com os padrões (calendário, tipos...);
+    // configuração ou CSV inválido → 400
+    let calibracao;
+    try {
+      const configBase = new SimuladorFerries(configCustom).config;
+      calibracao = calibrar({ chegadas, viagens }, configBase);
+    } catch (erroDados) {
+      return res.status(400).json({ sucesso: false, erro: erroDados.message });
+    }
+    
+    const resposta = { sucesso: true, ...calibracao };
+    
+    if (simular) {
+      const simulador = new SimuladorFerries({ ...configCustom, ...calibracao.configuracao });
+      const resultados = simulador.processar();
+      const observado = calibracao.ajuste.esperaObservada;
+      resposta.validacao = {
+        seed: simulador.config.seed,
+        WqSimulado: resultados.tempoMedioEspera,
+        WqObservado: observado ? observado.media : null,
+        diferencaPercentual: observado && observado.media > 0
+          ? (resultados.tempoMedioEspera - observado.media) / observado.media * 100
+          : null,
+        chegadasSimuladas: resultados.veiculosProcessados + resultados.veiculosNaoAtendidos
+      };
+    }
+    
+    res.json(resposta);
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: COMPARAÇÃO DE CENÁRIOS ==========
+/*
+What-if: uma configuração base e quantas alternativas nomeadas quiser
+(cada uma só com os campos que mudam). Todas rodam as mesmas sementes
+(números aleatórios comuns) e a resposta traz, para cada indicador, a
+diferença de cada alternativa para a base com IC 95% e p-valor.
+Body: { base?: {...config}, alternativas: { "5 embarcações": { numEmbarcacoes: 5 } },
+        replicacoes?: 10, seed? }
+*/
+app.post('/cenarios/comparar', (req, res) => {
+  try {
+    const { base = {}, alternativas, replicacoes: quantidade = 10, seed } = req.body;
+    
+    if (!alternativas || typeof alternativas !== 'object' || Array.isArray(alternativas) ||
+      Object.keys(alternativas).length === 0) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: 'Informe "alternativas": { "nome do cenário": { ...campos que mudam } }'
+      });
+    }
+    if (Object.prototype.hasOwnProperty.call(alternativas, 'base')) {
+      return res.status(400).json({ sucesso: false, erro: '"base" é reservado para a configuração base' });
+    }
+    const n = Number(quantidade);
+    const cenarios = Object.keys(alternativas).length + 1;
+    if (!Number.isInteger(n) || n < 2 || n * cenarios > LIMITE_REPLICACOES) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: `replicacoes deve ser um inteiro a partir de 2, com replicacoes × cenários até ${LIMITE_REPLICACOES}`
+      });
+    }
+    
+    // Configuração inválida em algum cenário: aponta qual (e soma
+    // replicacoes × dias de cada cenário para o teto de dias simulados)
+    let diasSimulados = 0;
+    const invalidos = ['base', ...Object.keys(alternativas)].map(nome => {
+      try {
+        const { config } = new SimuladorFerries(nome === 'base' ? base : { ...base, ...alternativas[nome] });
+        diasSimulados += n * config.dias;
+        return null;
+      } catch (erroConfig) {
+        return `${nome}: ${erroConfig.message}`;
+      }
+    }).filter(Boolean);
+    if (invalidos.length > 0) {
+      return res.status(400).json({ sucesso: false, erro: 'Configuração inválida', detalhes: invalidos });
+    }
+    if (diasSimulados > LIMITE_DIAS_SIMULADOS) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: `Comparação grande demais: ${diasSimulados} dias simulados (replicacoes × dias de cada cenário, ` +
+          `limite de ${LIMITE_DIAS_SIMULADOS}). Reduza as réplicas, os cenários ou os dias`
+      });
+    }
+    
+    res.json({
+      sucesso: true,
+      ...compararCenarios(base, alternativas, n, seed)
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
+// ========== ENDPOINT: DIMENSIONAMENTO DA FROTA ==========
+/*
+Busca a frota mais barata que cumpre a meta de espera, com réplicas
+pareadas de cada combinação (ver otimizador.js).
+Body: { alvo: { WqMaximoMinutos, naoAtendidosMaximo, periodo },
+        custoPorViagem, custoPorUnidadeCapacidade?, custoFixoDiarioPorEmbarcacao?,
+        espaco?: { numEmbarcacoes, capacidadeVeiculos, frequenciaSaidaMinutos },
+        replicacoes?, seed?, ...config }
+*/
+app.post('/otimizar', (req, res) => {
+  try {
+    const {
+      alvo, custoPorViagem, custoPorUnidadeCapacidade, custoFixoDiarioPorEmbarcacao,
+      espaco, replicacoes: n, seed, ...configCustom
+    } = req.body;
+    const pedido = { alvo, custoPorViagem, custoPorUnidadeCapacidade, custoFixoDiarioPorEmbarcacao, espaco, replicacoes: n, seed };
+    
+    // Configuração ou pedido inválido → 400
+    let padroes;
+    try {
+      padroes = new SimuladorFerries(configCustom).config;
+      otimizador.validarPedido(pedido, padroes);
+    } catch (erroPedido) {
+      return res.status(400).json({ sucesso: false, erro: erroPedido.message });
+    }
+    
+    const resultado = otimizador.otimizarFrota(configCustom, pedido, padroes);
+    res.json({
+      sucesso: true,
+      ...resultado,
+      mensagem: resultado.melhor
+        ? `Mais barata que cumpre a meta: ${resultado.melhor.configuracao.numEmbarcacoes} embarcações de ` +
+          `${resultado.melhor.configuracao.capacidadeVeiculos} unidades, saídas a cada ` +
+          `${resultado.melhor.configuracao.frequenciaSaidaMinutos} min`
+        : 'Nenhuma combinação do espaço de busca cumpre a meta'
+    });
+  } catch (error) {
+    res.status(500).json({
+      sucesso: false,
+      erro: error.message
+    });
+  }
+});
+
 // ============================================================================
 // INICIALIZAÇÃO DO SERVIDOR
 // ============================================================================
@@ -825,9 +4027,39 @@ const PORT = process.env.PORT || 3000;
 // === Integração do módulo de relatórios ===
 const { GeradorRelatorios, setSimuladorClasse } = require("./relatorios");
 setSimuladorClasse(SimuladorFerries);
+replicacoes.setSimuladorClasse(SimuladorFerries);
+
+// Com ?ids=a,b,c o relatório sai das simulações registradas (a primeira é
+// a base da comparação), sem simular de novo
+const LIMITE_IDS_RELATORIO = 20;
 
 app.get("/relatorios", (req, res) => {
-  const resultado = GeradorRelatorios.gerarRelatorio();
+  if (req.query.ids !== undefined) {
+    const ids = String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || ids.length > LIMITE_IDS_RELATORIO) {
+      return res.status(400).json({
+        sucesso: false,
+        erro: `Informe de 1 a ${LIMITE_IDS_RELATORIO} ids de simulações separados por vírgula`
+      });
+    }
+    const busca = registroSimulacoes.buscarExecucoes(armazenamento.simulacoes, ids);
+    if (busca.erro) {
+      return res.status(busca.status).json({ sucesso: false, erro: busca.erro });
+    }
+    res.setHeader('Content-Type', 'application/json');
+    return res.send(JSON.stringify(GeradorRelatorios.gerarRelatorioDeExecucoes(busca.registros), null, 2));
+  }
+
+  const opcoes = {
+    seed: req.query.seed,
+    replicacoes: req.query.replicacoes,
+    dias: req.query.dias
+  };
+  const erroDias = validarDiasSimulados(GeradorRelatorios.diasSimulados(opcoes));
+  if (erroDias) {
+    return res.status(400).json({ sucesso: false, erro: erroDias });
+  }
+  const resultado = GeradorRelatorios.gerarRelatorio(opcoes);
   res.setHeader('Content-Type', 'application/json');
   res.send(JSON.stringify(resultado, null, 2));
 
@@ -835,7 +4067,9 @@ app.get("/relatorios", (req, res) => {
 
 
 
-app.listen(PORT, () => {
+// Só abre a porta quando executado direto (node ferry-backend.js); os
+// workers de simulação carregam este arquivo apenas pelo simulador
+if (require.main === module) app.listen(PORT, () => {
   console.log(`
   ╔════════════════════════════════════════════════════════════════════════════╗
   ║              🚢 FERRY BOT - SISTEMA DE SIMULAÇÃO DE FILAS 🚢              ║
@@ -844,9 +4078,11 @@ app.listen(PORT, () => {
   
   ✅ Servidor rodando na porta ${PORT}
   🌐 URL: http://localhost:${PORT}
+  💾 Armazenamento: ${armazenamento.tipo}${armazenamento.diretorio ? ' (' + armazenamento.diretorio + ')' : ''} - esquema v${armazenamento.versaoEsquema}
+  ⚙️  Simulações em paralelo (POST /simulacoes): ${filaSimulacoes.concorrencia}
   
   📊 TEORIA DE FILAS - MODELO M/M/c:
-     • λ (lambda): ${(CONFIG.veiculosDiarios / CONFIG.horasOperacao).toFixed(1)} veículos/hora
+     • λ (lambda): ${(CONFIG.veiculosDiarios / CONFIG.horasOperacao).toFixed(1)} veículos/hora (base × perfil de chegada)
      • c (servidores): ${CONFIG.numEmbarcacoes} embarcações
      • Capacidade total: ${CONFIG.numEmbarcacoes * CONFIG.capacidadeVeiculos} veículos
   
@@ -854,12 +4090,32 @@ app.listen(PORT, () => {
      GET  /                          - Informações da API
      GET  /config                    - Configurações do sistema
      GET  /teoria-filas              - Explicação da teoria aplicada
-     POST /simular                   - Executar simulação
+     POST /teoria-filas/calcular     - Calculadora M/M/c e M/M/c/K
+     POST /calibrar                  - Calibração com registros históricos (CSV)
+     POST /cenarios/comparar         - Comparação de cenários (what-if)
+     POST /otimizar                  - Dimensionamento da frota (custo × espera)
+     POST /simular                   - Executar simulação (opcional: replicacoes)
      POST /simular/com-reservas      - Simular com reservas
+     POST /simular/tabela-horarios   - Tabela de horários cumprida
+     POST /simular/previsao          - Previsão da fila com as reservas feitas
+     POST /simular/ao-vivo           - Transmissão ao vivo (SSE)
+     GET  /simular/ao-vivo/:id       - Stream de eventos (EventSource)
+     POST /simulacoes                - Enfileirar simulação longa (job)
+     POST /simulacoes/:id/cancelar   - Cancelar job
+     GET  /simulacoes                - Registro de simulações (?tag=)
+     GET  /simulacoes/:id            - Simulação registrada / status do job
+     DELETE /simulacoes/:id          - Apagar do registro
+     POST /simulacoes/:id/tags       - Marcar simulação
+     GET  /simulacoes/:id/eventos    - Log de eventos (paginado, CSV, JSON Lines)
+     GET  /simulacoes/:id/fila       - Tamanho da fila ao longo do tempo
      GET  /embarcacoes/status        - Status das embarcações
      POST /reserva                   - Criar reserva
      GET  /reservas                  - Listar reservas
-     GET  /relatorios                - Traz relatórios de análises
+     GET  /reservas/disponibilidade  - Vagas por partida (?data=)
+     POST /reservas/:id/cancelar     - Cancelar reserva
+     POST /reservas/:id/remarcar     - Remarcar reserva
+     POST /reservas/:id/check-in     - Check-in da reserva
+     GET  /relatorios                - Traz relatórios de análises (?ids= do registro)
      POST /relatar-problema          - Relatar problema ⭐ NOVO
      GET  /problemas                 - Listar problemas ⭐ NOVO
   
@@ -874,4 +4130,4 @@ app.listen(PORT, () => {
 });
 
 // Exporta classes e configurações para testes
-module.exports = { SimuladorFerries, Veiculo, Embarcacao, CONFIG };
+module.exports = { SimuladorFerries, Veiculo, Embarcacao, Terminal, AgendaEventos, ESTADOS_EMBARCACAO, CONFIG, app };
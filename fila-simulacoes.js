@@ -0,0 +1,103 @@
+// ============================================================================
+// FERRY BOT - FILA DE SIMULAÇÕES (JOBS EM WORKER THREADS)
+// ============================================================================
+// processar() é síncrono: uma simulação longa (muitos dias ou réplicas)
+// dentro da rota trava o servidor inteiro. Os jobs de POST /simulacoes
+// rodam em worker threads (worker-simulacao.js), no máximo "concorrencia"
+// ao mesmo tempo; os demais esperam na fila em ordem de chegada.
+//
+// O worker avisa o progresso (0 a 1) e devolve o resultado por mensagem:
+//   { tipo: 'progresso', progresso }
+//   { tipo: 'concluida', ... }   (repassada a aoMudarStatus)
+// Cancelar tira o job da fila ou encerra o worker dele.
+//
+// Quem cria a fila recebe as mudanças de status em
+// aoMudarStatus(id, status, dados): executando | concluida | erro | cancelada
+// ============================================================================
+
+const { Worker } = require('worker_threads');
+
+function criarFilaSimulacoes({ arquivoWorker, concorrencia = 1, limiteFila = 100, ambiente, aoMudarStatus }) {
+  if (!Number.isInteger(concorrencia) || concorrencia < 1) {
+    throw new Error('A concorrência da fila de simulações deve ser um inteiro positivo');
+  }
+
+  const aguardando = [];            // [{ id, dados }] em ordem de chegada
+  const executando = new Map();     // id → { worker, progresso, encerrada }
+
+  // --- Encerra um job em execução (uma vez só) e libera a vaga ---
+  function finalizar(id, status, dados) {
+    const tarefa = executando.get(id);
+    if (!tarefa || tarefa.encerrada) return;
+    tarefa.encerrada = true;
+    executando.delete(id);
+    aoMudarStatus(id, status, dados);
+    iniciarProximas();
+  }
+
+  function iniciar(id, dados) {
+    const worker = new Worker(arquivoWorker, { workerData: dados, env: ambiente });
+    const tarefa = { worker, progresso: 0, encerrada: false };
+    executando.set(id, tarefa);
+    aoMudarStatus(id, 'executando');
+
+    worker.on('message', mensagem => {
+      if (mensagem.tipo === 'progresso') {
+        tarefa.progresso = mensagem.progresso;
+      } else if (mensagem.tipo === 'concluida') {
+        finalizar(id, 'concluida', mensagem);
+      }
+    });
+    worker.on('error', erro => finalizar(id, 'erro', { erro: erro.message }));
+    worker.on('exit', codigo => finalizar(id, 'erro', { erro: `O worker terminou sem resultado (código ${codigo})` }));
+  }
+
+  function iniciarProximas() {
+    while (executando.size < concorrencia && aguardando.length > 0) {
+      const { id, dados } = aguardando.shift();
+      iniciar(id, dados);
+    }
+  }
+
+  return {
+    concorrencia,
+
+    // false se a fila estiver cheia
+    enfileirar(id, dados) {
+      if (aguardando.length >= limiteFila) return false;
+      aguardando.push({ id, dados });
+      iniciarProximas();
+      return true;
+    },
+
+    // false se o job não estiver na fila nem executando
+    cancelar(id) {
+      const posicao = aguardando.findIndex(tarefa => tarefa.id === id);
+      if (posicao >= 0) {
+        aguardando.splice(posicao, 1);
+        aoMudarStatus(id, 'cancelada');
+        return true;
+      }
+      const tarefa = executando.get(id);
+      if (!tarefa) return false;
+      finalizar(id, 'cancelada');
+      tarefa.worker.terminate();
+      return true;
+    },
+
+    // Situação ao vivo: { status, progresso, posicaoNaFila } ou null
+    situacao(id) {
+      const tarefa = executando.get(id);
+      if (tarefa) return { status: 'executando', progresso: tarefa.progresso, posicaoNaFila: null };
+      const posicao = aguardando.findIndex(t => t.id === id);
+      if (posicao >= 0) return { status: 'na_fila', progresso: 0, posicaoNaFila: posicao + 1 };
+      return null;
+    },
+
+    resumo() {
+      return { concorrencia, executando: executando.size, aguardando: aguardando.length, limiteFila };
+    }
+  };
+}
+
+module.exports = { criarFilaSimulacoes };
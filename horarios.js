@@ -0,0 +1,35 @@
+// ============================================================================
+// FERRY BOT - HORÁRIOS
+// ============================================================================
+// Conversão entre horários "HH:MM" e minutos desde 00:00, usada pela
+// tabela de horários das partidas.
+// A simulação conta o tempo em minutos absolutos desde o dia 0 (00:00),
+// então o dia aparece separado quando o horário é formatado.
+// ============================================================================
+
+const MINUTOS_DIA = 1440;
+
+// "06:30" → 390. Só texto "HH:MM": um número seria lido como minutos
+// ({ horario: 7 } viraria 00:07 sem aviso). Inválido → null
+function minutosDoHorario(horario) {
+  if (typeof horario !== 'string') return null;
+
+  const partes = /^(\d{1,2}):(\d{2})$/.exec(horario.trim());
+  if (!partes) return null;
+  const horas = Number(partes[1]);
+  const minutos = Number(partes[2]);
+  if (horas > 23 || minutos > 59) return null;
+  return horas * 60 + minutos;
+}
+
+// 390 → "06:30" (minutos absolutos: usa só a parte do dia)
+function formatarHorario(minutos) {
+  const doDia = ((Math.round(minutos) % MINUTOS_DIA) + MINUTOS_DIA) % MINUTOS_DIA;
+  const horas = Math.floor(doDia / 60);
+  return `${String(horas).padStart(2, '0')}:${String(doDia % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  minutosDoHorario,
+  formatarHorario
+};
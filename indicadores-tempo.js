@@ -0,0 +1,119 @@
+// ============================================================================
+// FERRY BOT - INDICADORES NO TEMPO (L, Lq E ESPERA POR HORA)
+// ============================================================================
+// As médias do dia escondem como a fila cresce no pico (07h-09h e
+// 17h-19h) e quanto demora para escoar. Aqui ficam:
+//   - acumuladores ponderados no tempo (valor × duração): média no
+//     período, máximo e a área de cada minuto do dia (média entre os dias)
+//   - Wq por hora de chegada
+//   - distribuição da espera (P50/P90/P99 e histograma)
+// ============================================================================
+
+const { media, percentil, histograma } = require('./estatistica');
+const { formatarHorario } = require('./horarios');
+
+const MINUTOS_DIA = 1440;
+const LARGURA_HISTOGRAMA_MINUTOS = 15;
+
+/*
+ACUMULADOR PONDERADO NO TEMPO
+registrar(t, valor): o valor passa a valer a partir de t (t não decresce).
+A área de cada intervalo é repartida pelos minutos do dia que ele cobre;
+o que passa de fim (embarcações terminando a viagem depois do fechamento
+do último dia) fica fora das médias.
+*/
+function criarAcumuladorTempo(inicio, fim) {
+  let valor = 0;
+  let desde = inicio;
+  let area = 0;
+  let maximo = 0;
+  let instanteMaximo = inicio;
+  const areaPorMinuto = new Float64Array(MINUTOS_DIA);
+
+  function acumular(instante) {
+    const ate = Math.min(instante, fim);
+    if (ate <= desde) return;
+    area += valor * (ate - desde);
+    if (valor !== 0) {
+      for (let t = desde; t < ate;) {
+        const minuto = Math.floor(t);
+        const fimMinuto = Math.min(ate, minuto + 1);
+        areaPorMinuto[minuto % MINUTOS_DIA] += valor * (fimMinuto - t);
+        t = fimMinuto;
+      }
+    }
+    desde = ate;
+  }
+
+  return {
+    registrar(t, novoValor) {
+      acumular(t);
+      valor = novoValor;
+      if (novoValor > maximo && t <= fim) {
+        maximo = novoValor;
+        instanteMaximo = t;
+      }
+    },
+
+    // Média no período [inicio, fim], máximo e quando ele ocorreu
+    resumo() {
+      acumular(fim);
+      return {
+        media: fim > inicio ? area / (fim - inicio) : 0,
+        maximo,
+        instanteMaximo
+      };
+    },
+
+    // Valor médio em cada minuto de [minutoInicial, minutoFinal) do dia,
+    // entre os dias simulados
+    porMinutoDoDia(minutoInicial, minutoFinal, dias) {
+      const serie = [];
+      for (let m = minutoInicial; m < minutoFinal; m++) serie.push(areaPorMinuto[m] / dias);
+      return serie;
+    }
+  };
+}
+
+/*
+Wq POR HORA DE CHEGADA
+Uma linha por hora de operação: chegadas, atendidos, não atendidos,
+média e P90 da espera de quem chegou naquela hora (somando os dias).
+*/
+function esperaPorHoraDeChegada(atendidos, pendentes, horaInicio, horaFim) {
+  const horaDoDia = v => Math.floor((v.horarioChegada % MINUTOS_DIA) / 60);
+  const linhas = [];
+  for (let hora = Math.floor(horaInicio); hora < Math.ceil(horaFim); hora++) {
+    const esperas = atendidos.filter(v => horaDoDia(v) === hora).map(v => v.tempoEspera);
+    const naoAtendidos = pendentes.filter(v => horaDoDia(v) === hora).length;
+    linhas.push({
+      hora: formatarHorario(hora * 60),
+      chegadas: esperas.length + naoAtendidos,
+      atendidos: esperas.length,
+      naoAtendidos,
+      tempoMedioEspera: media(esperas),
+      p90: percentil(esperas, 90)
+    });
+  }
+  return linhas;
+}
+
+// --- Distribuição da espera dos atendidos ---
+function distribuicaoEspera(esperas) {
+  return {
+    p50: percentil(esperas, 50),
+    p90: percentil(esperas, 90),
+    p99: percentil(esperas, 99),
+    maximo: esperas.reduce((m, v) => Math.max(m, v), 0),
+    histograma: {
+      larguraMinutos: LARGURA_HISTOGRAMA_MINUTOS,
+      classes: histograma(esperas, LARGURA_HISTOGRAMA_MINUTOS)
+    }
+  };
+}
+
+module.exports = {
+  criarAcumuladorTempo,
+  esperaPorHoraDeChegada,
+  distribuicaoEspera
+};
@@ -0,0 +1,199 @@
+// ============================================================================
+// FERRY BOT - DIMENSIONAMENTO DA FROTA (OTIMIZADOR)
+// ============================================================================
+// Responde "quantas embarcações (e de que tamanho, saindo de quanto em
+// quanto tempo) mantêm o Wq abaixo da meta?" por busca exaustiva:
+// cada combinação do espaço de busca roda N réplicas do simulador e é
+// avaliada pela média das réplicas.
+//
+// Espaço de busca (cada dimensão: lista de valores ou { min, max, passo }):
+//   numEmbarcacoes, capacidadeVeiculos, frequenciaSaidaMinutos
+// Dimensão omitida = valor da configuração base.
+//
+// Meta (alvo):
+//   WqMaximoMinutos    → Wq médio máximo (periodo 'pico' = só quem chegou
+//                        nos intervalos de maior λ do dia; 'dia' = todos)
+//   naoAtendidosMaximo → veículos não atendidos ao fim do período
+//
+// Custo diário = viagens/dia × (custoPorViagem + capacidade ×
+// custoPorUnidadeCapacidade) + embarcações × custoFixoDiarioPorEmbarcacao
+//
+// Todas as combinações usam a MESMA semente base (números aleatórios
+// comuns): a diferença entre elas vem da frota, não do acaso.
+// ============================================================================
+
+const replicacoes = require('./replicacoes');
+const { LIMITE_DIAS_SIMULADOS } = replicacoes;
+const { gerarSemente } = require('./aleatorio');
+
+const DIMENSOES = ['numEmbarcacoes', 'capacidadeVeiculos', 'frequenciaSaidaMinutos'];
+const PERIODOS = { pico: 'WqPico', dia: 'Wq' };
+
+function numeroPositivo(valor) {
+  return typeof valor === 'number' && Number.isFinite(valor) && valor > 0;
+}
+
+// --- Valores de uma dimensão: lista, faixa { min, max, passo } ou o da base ---
+function valoresDaDimensao(espec, padrao, nome) {
+  if (espec === undefined || espec === null) return [padrao];
+
+  let valores;
+  if (Array.isArray(espec)) {
+    valores = espec;
+  } else if (typeof espec === 'object') {
+    const passo = espec.passo !== undefined ? espec.passo : 1;
+    if (!numeroPositivo(espec.min) || !numeroPositivo(espec.max) || espec.max < espec.min || !numeroPositivo(passo)) {
+      throw new Error(`espaco.${nome}: use { min, max, passo } positivos com max >= min`);
+    }
+    valores = [];
+    for (let v = espec.min; v <= espec.max + 1e-9; v += passo) valores.push(Number(v.toFixed(6)));
+  } else {
+    valores = [espec];
+  }
+
+  if (valores.length === 0 || !valores.every(numeroPositivo)) {
+    throw new Error(`espaco.${nome} deve ter valores numéricos positivos`);
+  }
+  if (nome === 'numEmbarcacoes' && !valores.every(Number.isInteger)) {
+    throw new Error('espaco.numEmbarcacoes deve ter apenas inteiros');
+  }
+  return [...new Set(valores)];
+}
+
+// --- Produto cartesiano das dimensões ---
+function combinacoes(espaco, padroes) {
+  return DIMENSOES.reduce((lista, nome) => {
+    const valores = valoresDaDimensao(espaco[nome], padroes[nome], nome);
+    return lista.flatMap(parcial => valores.map(valor => ({ ...parcial, [nome]: valor })));
+  }, [{}]);
+}
+
+/*
+Valida o pedido e devolve os parâmetros normalizados:
+{ alvo, custos, replicacoes, candidatas }
+*/
+function validarPedido(pedido, padroes) {
+  const alvo = { periodo: 'pico', WqMaximoMinutos: null, naoAtendidosMaximo: null, ...(pedido.alvo || {}) };
+  if (!PERIODOS[alvo.periodo]) {
+    throw new Error(`alvo.periodo deve ser ${Object.keys(PERIODOS).join(' ou ')}`);
+  }
+  if (alvo.WqMaximoMinutos === null && alvo.naoAtendidosMaximo === null) {
+    throw new Error('Informe a meta: alvo.WqMaximoMinutos e/ou alvo.naoAtendidosMaximo');
+  }
+  if (alvo.WqMaximoMinutos !== null && !(typeof alvo.WqMaximoMinutos === 'number' && alvo.WqMaximoMinutos >= 0)) {
+    throw new Error('alvo.WqMaximoMinutos deve ser um número maior ou igual a zero');
+  }
+  if (alvo.naoAtendidosMaximo !== null && !(typeof alvo.naoAtendidosMaximo === 'number' && alvo.naoAtendidosMaximo >= 0)) {
+    throw new Error('alvo.naoAtendidosMaximo deve ser um número maior ou igual a zero');
+  }
+
+  const custos = {
+    custoPorViagem: pedido.custoPorViagem,
+    custoPorUnidadeCapacidade: pedido.custoPorUnidadeCapacidade || 0,
+    custoFixoDiarioPorEmbarcacao: pedido.custoFixoDiarioPorEmbarcacao || 0
+  };
+  if (!(typeof custos.custoPorViagem === 'number' && custos.custoPorViagem >= 0)) {
+    throw new Error('Informe custoPorViagem (custo operacional de uma viagem)');
+  }
+  ['custoPorUnidadeCapacidade', 'custoFixoDiarioPorEmbarcacao'].forEach(nome => {
+    if (!(typeof custos[nome] === 'number' && custos[nome] >= 0)) {
+      throw new Error(`${nome} deve ser um número maior ou igual a zero`);
+    }
+  });
+
+  const n = pedido.replicacoes !== undefined ? Number(pedido.replicacoes) : 5;
+  if (!Number.isInteger(n) || n < 1) throw new Error('replicacoes deve ser um inteiro positivo');
+
+  const candidatas = combinacoes(pedido.espaco || {}, padroes);
+  // A busca roda dentro da requisição: o teto conta os dias de cada execução
+  const diasSimulados = candidatas.length * n * padroes.dias;
+  if (diasSimulados > LIMITE_DIAS_SIMULADOS) {
+    throw new Error(`Busca grande demais: ${candidatas.length} combinações × ${n} réplicas × ${padroes.dias} dia(s) ` +
+      `= ${diasSimulados} dias simulados (limite de ${LIMITE_DIAS_SIMULADOS}). Reduza o espaço, as réplicas ou os dias`);
+  }
+
+  return { alvo, custos, replicacoes: n, candidatas };
+}
+
+function custoDiario(candidata, viagensPorDia, custos) {
+  return viagensPorDia * (custos.custoPorViagem + candidata.capacidadeVeiculos * custos.custoPorUnidadeCapacidade) +
+    candidata.numEmbarcacoes * custos.custoFixoDiarioPorEmbarcacao;
+}
+
+/*
+FRONTEIRA DE PARETO (custo × espera)
+Combinações que nenhuma outra supera nos dois critérios ao mesmo tempo
+(mais barata E com menos espera), em ordem de custo.
+*/
+function fronteiraPareto(avaliadas) {
+  const domina = (a, b) => a.custoDiario <= b.custoDiario && a.esperaAlvo <= b.esperaAlvo &&
+    (a.custoDiario < b.custoDiario || a.esperaAlvo < b.esperaAlvo);
+  return avaliadas
+    .filter(candidata => !avaliadas.some(outra => domina(outra, candidata)))
+    .sort((a, b) => a.custoDiario - b.custoDiario || a.esperaAlvo - b.esperaAlvo);
+}
+
+/*
+BUSCA
+config: configuração recebida (dias, demanda...), repassada às réplicas
+pedido: { alvo, custoPorViagem, custoPorUnidadeCapacidade?,
+          custoFixoDiarioPorEmbarcacao?, espaco?, replicacoes?, seed? }
+padroes: a mesma configuração já mesclada com o CONFIG (valores das
+         dimensões omitidas e número de dias)
+*/
+function otimizarFrota(config, pedido, padroes = config) {
+  const { alvo, custos, replicacoes: n, candidatas } = validarPedido(pedido, padroes);
+  const sementeBase = pedido.seed === undefined || pedido.seed === null || pedido.seed === ''
+    ? gerarSemente()
+    : pedido.seed;
+  const indicadorEspera = PERIODOS[alvo.periodo];
+
+  const avaliadas = candidatas.map(candidata => {
+    const { metricas } = replicacoes.executarReplicacoes({ ...config, ...candidata, seed: sementeBase }, n);
+    const viagensPorDia = metricas.viagens.media / padroes.dias;
+    const esperaAlvo = metricas[indicadorEspera].media;
+    const naoAtendidos = metricas.veiculosNaoAtendidos.media;
+
+    const motivos = [];
+    if (alvo.WqMaximoMinutos !== null && esperaAlvo > alvo.WqMaximoMinutos) {
+      motivos.push(`Wq ${esperaAlvo.toFixed(1)} min acima da meta de ${alvo.WqMaximoMinutos} min`);
+    }
+    if (alvo.naoAtendidosMaximo !== null && naoAtendidos > alvo.naoAtendidosMaximo) {
+      motivos.push(`${naoAtendidos.toFixed(1)} veículos não atendidos (máximo ${alvo.naoAtendidosMaximo})`);
+    }
+
+    return {
+      configuracao: candidata,
+      custoDiario: custoDiario(candidata, viagensPorDia, custos),
+      esperaAlvo,
+      viavel: motivos.length === 0,
+      motivos,
+      viagensPorDia,
+      Wq: { media: metricas.Wq.media, intervaloConfianca95: metricas.Wq.intervaloConfianca95 },
+      WqPico: { media: metricas.WqPico.media, intervaloConfianca95: metricas.WqPico.intervaloConfianca95 },
+      veiculosNaoAtendidos: naoAtendidos,
+      utilizacao: metricas.utilizacao.media
+    };
+  });
+
+  const viaveis = avaliadas
+    .filter(a => a.viavel)
+    .sort((a, b) => a.custoDiario - b.custoDiario || a.esperaAlvo - b.esperaAlvo);
+
+  return {
+    alvo,
+    custos,
+    replicacoes: n,
+    sementeBase,
+    combinacoesAvaliadas: avaliadas.length,
+    melhor: viaveis[0] || null,
+    fronteiraPareto: fronteiraPareto(avaliadas),
+    avaliadas
+  };
+}
+
+module.exports = {
+  validarPedido,
+  fronteiraPareto,
+  otimizarFrota
+};
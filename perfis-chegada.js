@@ -0,0 +1,184 @@
+// ============================================================================
+// FERRY BOT - PERFIS DE CHEGADA (PROCESSO DE POISSON NÃO HOMOGÊNEO)
+// ============================================================================
+// A taxa de chegada muda ao longo do dia. Um perfil divide o dia em
+// intervalos de intervaloMinutos (60 = por hora, 15 = por quarto de hora)
+// e dá a cada um um fator sobre a taxa base do terminal:
+//   λ(t) = veiculosDiarios do terminal / horasOperacao × fator(t)
+//
+// Formatos aceitos:
+//   { intervaloMinutos: 60, fatores: [24 números] }          // explícito
+//   { base: 1, faixas: [{ inicio: '07:00', fim: '09:00', fator: 2.5 }] }
+// e, opcionalmente, terminais: { cujupe: { ...mesmo formato } } para um
+// sentido com perfil próprio.
+// Com faixas, cada intervalo recebe o fator da faixa que contém o seu
+// início (a última faixa listada vence se houver sobreposição).
+//
+// Qual perfil vale em cada dia: o calendário (dia da semana e feriados) a
+// partir de dataInicial; sem data, todos os dias usam perfilSemData.
+//
+// Dentro de um intervalo a taxa é constante, então os tempos entre
+// chegadas são exponenciais; encadeando os intervalos obtemos o processo
+// de Poisson não homogêneo (NHPP) exato para taxa constante por partes.
+// ============================================================================
+
+const { minutosDoHorario } = require('./horarios');
+const { amostrar } = require('./distribuicoes');
+
+const MINUTOS_DIA = 1440;
+const INTERVALOS_ACEITOS = [15, 30, 60];
+const DIAS_SEMANA = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+// '07:30' → 450; '24:00' fecha o dia
+function minutoDaFaixa(horario, campo) {
+  if (horario === '24:00') return MINUTOS_DIA;
+  const minuto = minutosDoHorario(horario);
+  if (minuto === null) throw new Error(`${campo}: horário inválido "${horario}" (use HH:MM)`);
+  return minuto;
+}
+
+// --- Converte um perfil (qualquer formato) na lista de fatores ---
+function fatoresDoPerfil(perfil, intervaloMinutos, campo) {
+  const quantidade = MINUTOS_DIA / intervaloMinutos;
+
+  if (Array.isArray(perfil.fatores)) {
+    if (perfil.fatores.length !== quantidade) {
+      throw new Error(`${campo}.fatores deve ter ${quantidade} valores (um a cada ${intervaloMinutos} min)`);
+    }
+    perfil.fatores.forEach((fator, i) => {
+      if (typeof fator !== 'number' || !Number.isFinite(fator) || fator < 0) {
+        throw new Error(`${campo}.fatores[${i}] deve ser um número não negativo`);
+      }
+    });
+    return [...perfil.fatores];
+  }
+
+  const base = perfil.base !== undefined ? perfil.base : 1;
+  if (typeof base !== 'number' || !(base >= 0)) throw new Error(`${campo}.base deve ser um número não negativo`);
+  const faixas = (perfil.faixas || []).map((faixa, i) => {
+    const inicio = minutoDaFaixa(faixa.inicio, `${campo}.faixas[${i}].inicio`);
+    const fim = minutoDaFaixa(faixa.fim, `${campo}.faixas[${i}].fim`);
+    if (fim <= inicio) throw new Error(`${campo}.faixas[${i}]: fim deve ser depois do início`);
+    if (typeof faixa.fator !== 'number' || !(faixa.fator >= 0)) {
+      throw new Error(`${campo}.faixas[${i}].fator deve ser um número não negativo`);
+    }
+    return { inicio, fim, fator: faixa.fator };
+  });
+
+  const fatores = [];
+  for (let i = 0; i < quantidade; i++) {
+    const minuto = i * intervaloMinutos;
+    const faixa = faixas.filter(f => minuto >= f.inicio && minuto < f.fim).pop();
+    fatores.push(faixa ? faixa.fator : base);
+  }
+  return fatores;
+}
+
+/*
+Valida e normaliza um perfil:
+{ nome, intervaloMinutos, fatores: [...], porTerminal: { id: [...] } }
+*/
+function normalizarPerfil(perfil, nome) {
+  const campo = `perfisChegada.${nome}`;
+  if (!perfil || typeof perfil !== 'object') throw new Error(`${campo}: perfil inválido`);
+
+  const intervaloMinutos = perfil.intervaloMinutos || 60;
+  if (!INTERVALOS_ACEITOS.includes(intervaloMinutos)) {
+    throw new Error(`${campo}.intervaloMinutos deve ser ${INTERVALOS_ACEITOS.join(', ')}`);
+  }
+
+  const porTerminal = {};
+  Object.entries(perfil.terminais || {}).forEach(([id, doTerminal]) => {
+    porTerminal[id] = fatoresDoPerfil(doTerminal, intervaloMinutos, `${campo}.terminais.${id}`);
+  });
+
+  return { nome, intervaloMinutos, fatores: fatoresDoPerfil(perfil, intervaloMinutos, campo), porTerminal };
+}
+
+// --- Nome do perfil de uma data pelo calendário (feriado vence o dia da semana) ---
+function perfilDaData(data, calendario) {
+  const feriados = calendario.feriados || {};
+  const tipoFeriado = feriados[data] || feriados[data.slice(5)]; // 'AAAA-MM-DD' ou 'MM-DD'
+  if (tipoFeriado) return tipoFeriado;
+  const diaSemana = DIAS_SEMANA[new Date(`${data}T00:00:00Z`).getUTCDay()];
+  return (calendario.diasSemana || {})[diaSemana] || calendario.perfilSemData;
+}
+
+function somarDiasUTC(data, dias) {
+  const dia = new Date(`${data}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() + dias);
+  return dia.toISOString().slice(0, 10);
+}
+
+/*
+PERFIL DE CADA DIA SIMULADO
+perfilFixo: nome de um perfil ou perfil completo (vale para todos os dias);
+null → calendário a partir de dataInicial (ou perfilSemData sem data).
+Devolve uma lista com o perfil normalizado (e a data) de cada dia.
+*/
+function perfisDosDias({ perfis, calendario, perfilFixo, dataInicial, dias }) {
+  const normalizados = {};
+  const perfilPorNome = (nome) => {
+    if (!perfis[nome]) {
+      throw new Error(`Perfil de chegada "${nome}" não existe. Disponíveis: ${Object.keys(perfis).join(', ')}`);
+    }
+    if (!normalizados[nome]) normalizados[nome] = normalizarPerfil(perfis[nome], nome);
+    return normalizados[nome];
+  };
+
+  if (dataInicial && (!/^\d{4}-\d{2}-\d{2}$/.test(dataInicial) || Number.isNaN(Date.parse(dataInicial)))) {
+    throw new Error('dataInicial deve estar no formato AAAA-MM-DD');
+  }
+
+  const fixo = perfilFixo && typeof perfilFixo === 'object'
+    ? normalizarPerfil(perfilFixo, 'personalizado')
+    : null;
+
+  const lista = [];
+  for (let dia = 0; dia < dias; dia++) {
+    const data = dataInicial ? somarDiasUTC(dataInicial, dia) : null;
+    let perfil;
+    if (fixo) perfil = fixo;
+    else if (perfilFixo) perfil = perfilPorNome(perfilFixo);
+    else perfil = perfilPorNome(data ? perfilDaData(data, calendario) : calendario.perfilSemData);
+    lista.push({ dia, data, perfil });
+  }
+  return lista;
+}
+
+/*
+Intervalos do perfil dentro da janela de operação [abertura, fechamento)
+(minutos do dia), com o fator do terminal: [{ inicio, fim, fator }]
+*/
+function intervalosDoDia(perfil, terminalId, abertura, fechamento) {
+  const fatores = perfil.porTerminal[terminalId] || perfil.fatores;
+  const intervalos = [];
+  fatores.forEach((fator, i) => {
+    const inicio = Math.max(abertura, i * perfil.intervaloMinutos);
+    const fim = Math.min(fechamento, (i + 1) * perfil.intervaloMinutos);
+    if (fim > inicio) intervalos.push({ inicio, fim, fator });
+  });
+  return intervalos;
+}
+
+// --- Instantes de chegada de Poisson com taxa constante em [inicio, fim) ---
+function instantesPoisson(inicio, fim, taxaPorMinuto, aleatorio) {
+  const instantes = [];
+  if (!(taxaPorMinuto > 0)) return instantes;
+  const entreChegadas = { tipo: 'exponencial', media: 1 / taxaPorMinuto };
+  let t = inicio;
+  for (;;) {
+    t += amostrar(entreChegadas, aleatorio);
+    if (t >= fim) return instantes;
+    instantes.push(t);
+  }
+}
+
+module.exports = {
+  DIAS_SEMANA,
+  normalizarPerfil,
+  perfilDaData,
+  perfisDosDias,
+  intervalosDoDia,
+  instantesPoisson
+};
@@ -0,0 +1,217 @@
+// ============================================================================
+// FERRY BOT - REGISTRO DE SIMULAÇÕES
+// ============================================================================
+// Cada execução (/simular e variantes) fica gravada na coleção
+// "simulacoes" para comparar rodadas de dias diferentes e ligar um
+// relatório às entradas exatas que o geraram.
+//
+// Registro:
+//   { id, criadaEm, origem (rota), status, seed, tags: [...], dias,
+//     replicacoes, indicadores: { Wq, WqPico, Lq, throughput, ... } (médias,
+//     se réplicas), configuracao (configuração usada), resultados }
+//
+// Status: as rotas síncronas gravam direto como concluida. Os jobs de
+// POST /simulacoes passam por na_fila → executando → concluida (ou erro,
+// cancelada; interrompida se o servidor parou no meio). O progresso fica
+// só em memória, na fila de execução (fila-simulacoes.js).
+//
+// O log completo de eventos e a série da fila não vão para o registro
+// (são grandes; dos eventos, só as manutenções); ficam em memória para as
+// últimas execuções (GET /simulacoes/:id/eventos e /fila).
+//
+// Retenção: passando de LIMITE_EXECUCOES, as execuções mais antigas (menos
+// os jobs pendentes) saem do registro até sobrarem EXECUCOES_APOS_LIMPEZA,
+// e o diário é compactado de uma vez (não cresce sem fim em disco).
+//
+// As funções recebem o repositório e devolvem o registro ou
+// { erro, status } (status HTTP sugerido para a rota).
+// ============================================================================
+
+const { INDICADORES, extrairIndicadores } = require('./replicacoes');
+
+const STATUS = ['na_fila', 'executando', 'concluida', 'erro', 'cancelada', 'interrompida'];
+const STATUS_PENDENTES = ['na_fila', 'executando'];
+const LIMITE_TAGS = 20;
+const TAMANHO_MAXIMO_TAG = 40;
+const LIMITE_EXECUCOES = 200;
+const EXECUCOES_APOS_LIMPEZA = 150;
+
+function gerarId() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+/*
+Campos de uma execução concluída.
+Execução única: resultados de processar() (indicadores extraídos dele).
+Réplicas: resultados = resumo de executarReplicacoes (indicadores = médias).
+*/
+function dadosConcluidos({ configuracao, resultados, replicacoes = 1 }, agora) {
+  return {
+    status: 'concluida',
+    concluidaEm: agora.toISOString(),
+    seed: replicacoes > 1 ? resultados.sementeBase : configuracao.seed,
+    dias: configuracao.dias,
+    replicacoes,
+    indicadores: replicacoes > 1
+      ? Object.fromEntries(INDICADORES.map(nome => [nome, resultados.metricas[nome].media]))
+      : extrairIndicadores(resultados),
+    configuracao,
+    resultados
+  };
+}
+
+// --- Grava uma execução já concluída (rotas síncronas) ---
+function registrarExecucao(repositorio, { id = gerarId(), origem, ...execucao }, agora = new Date()) {
+  const registro = repositorio.inserir({
+    id,
+    criadaEm: agora.toISOString(),
+    origem,
+    tags: [],
+    ...dadosConcluidos(execucao, agora)
+  });
+  aplicarRetencao(repositorio);
+  return registro;
+}
+
+// --- Grava um job recém-criado (POST /simulacoes), ainda na fila ---
+function registrarPendente(repositorio, { origem, configuracao, replicacoes = 1 }, agora = new Date()) {
+  const registro = repositorio.inserir({
+    id: gerarId(),
+    criadaEm: agora.toISOString(),
+    origem,
+    status: 'na_fila',
+    seed: configuracao.seed !== undefined ? configuracao.seed : null,
+    tags: [],
+    dias: configuracao.dias,
+    replicacoes,
+    indicadores: null,
+    configuracao,
+    resultados: null
+  });
+  aplicarRetencao(repositorio);
+  return registro;
+}
+
+// --- Job terminou: grava resultados e indicadores ---
+function concluirExecucao(repositorio, id, execucao, agora = new Date()) {
+  return repositorio.atualizar(id, dadosConcluidos(execucao, agora));
+}
+
+// Outras mudanças de status (executando, erro, cancelada); extras vão junto
+function atualizarStatus(repositorio, id, status, extras = {}) {
+  return repositorio.atualizar(id, { status, ...extras });
+}
+
+// --- Na abertura: jobs que não terminaram antes de o servidor parar ---
+function marcarInterrompidas(repositorio) {
+  const pendentes = repositorio.listar(r => STATUS_PENDENTES.includes(r.status));
+  pendentes.forEach(r => repositorio.atualizar(r.id, { status: 'interrompida' }));
+  return pendentes.length;
+}
+
+/*
+Retenção: com mais de 'limite' execuções, remove as mais antigas (por
+criadaEm; jobs na fila ou rodando ficam) até sobrarem 'manter'.
+Repositório em arquivo: compacta o diário, que ainda guardaria as removidas.
+Devolve quantas saíram.
+*/
+function aplicarRetencao(repositorio, { limite = LIMITE_EXECUCOES, manter = EXECUCOES_APOS_LIMPEZA } = {}) {
+  const total = repositorio.contar();
+  if (total <= limite) return 0;
+
+  const antigas = repositorio
+    .listar(r => !STATUS_PENDENTES.includes(r.status))
+    .sort((a, b) => a.criadaEm.localeCompare(b.criadaEm))
+    .slice(0, total - manter);
+  antigas.forEach(r => repositorio.remover(r.id));
+  if (antigas.length > 0 && typeof repositorio.compactar === 'function') repositorio.compactar();
+  return antigas.length;
+}
+
+// --- Linha da listagem (sem configuração e resultados completos) ---
+function resumoExecucao(registro) {
+  const { configuracao: _configuracao, resultados: _resultados, ...resumo } = registro;
+  return resumo;
+}
+
+/*
+Lista as execuções, da mais nova para a mais antiga.
+Filtros: tag, origem, status; limite (padrão 50).
+*/
+function listarExecucoes(repositorio, { tag, origem, status, limite = 50 } = {}) {
+  const n = Number(limite);
+  if (!Number.isInteger(n) || n < 1) return { erro: 'limite deve ser um inteiro positivo', status: 400 };
+  if (status !== undefined && !STATUS.includes(status)) {
+    return { erro: `status deve ser ${STATUS.join(', ')}`, status: 400 };
+  }
+
+  const registros = repositorio
+    .listar(r => (!tag || r.tags.includes(tag)) && (!origem || r.origem === origem) && (!status || r.status === status))
+    .sort((a, b) => b.criadaEm.localeCompare(a.criadaEm));
+
+  return {
+    total: registros.length,
+    simulacoes: registros.slice(0, n).map(resumoExecucao)
+  };
+}
+
+function validarTags(tags, campo) {
+  if (tags === undefined) return null;
+  if (!Array.isArray(tags) || !tags.every(t => typeof t === 'string' && t.trim() !== '' && t.length <= TAMANHO_MAXIMO_TAG)) {
+    return `${campo} deve ser uma lista de textos (até ${TAMANHO_MAXIMO_TAG} caracteres)`;
+  }
+  return null;
+}
+
+/*
+Acrescenta e/ou retira tags de uma execução.
+Body da rota: { adicionar: ['base', 'pico-2026'], remover: ['rascunho'] }
+*/
+function marcar(repositorio, id, { adicionar, remover } = {}) {
+  const registro = repositorio.buscar(id);
+  if (!registro) return { erro: 'Simulação não encontrada', status: 404 };
+
+  const invalido = validarTags(adicionar, 'adicionar') || validarTags(remover, 'remover');
+  if (invalido) return { erro: invalido, status: 400 };
+  if (!adicionar && !remover) return { erro: 'Informe adicionar e/ou remover (listas de tags)', status: 400 };
+
+  const retiradas = new Set((remover || []).map(t => t.trim()));
+  const tags = [...new Set([...registro.tags, ...(adicionar || []).map(t => t.trim())])]
+    .filter(t => !retiradas.has(t));
+  if (tags.length > LIMITE_TAGS) return { erro: `Máximo de ${LIMITE_TAGS} tags por simulação`, status: 400 };
+
+  return { registro: repositorio.atualizar(id, { tags }) };
+}
+
+// --- Busca várias execuções concluídas pelos ids (na ordem pedida) ---
+function buscarExecucoes(repositorio, ids) {
+  const registros = ids.map(id => repositorio.buscar(id));
+  const faltando = ids.filter((id, i) => !registros[i]);
+  if (faltando.length > 0) {
+    return { erro: `Simulações não encontradas: ${faltando.join(', ')}`, status: 404 };
+  }
+  const semResultado = registros.filter(r => r.status !== 'concluida');
+  if (semResultado.length > 0) {
+    return {
+      erro: `Simulações sem resultado: ${semResultado.map(r => `${r.id} (${r.status})`).join(', ')}`,
+      status: 409
+    };
+  }
+  return { registros };
+}
+
+module.exports = {
+  STATUS,
+  STATUS_PENDENTES,
+  LIMITE_EXECUCOES,
+  registrarExecucao,
+  registrarPendente,
+  concluirExecucao,
+  atualizarStatus,
+  marcarInterrompidas,
+  aplicarRetencao,
+  resumoExecucao,
+  listarExecucoes,
+  marcar,
+  buscarExecucoes
+};
@@ -6,51 +6,84 @@
 // ============================================================================
 
 let SimuladorFerries; // declaração vazia
+const replicacoes = require("./replicacoes");
 
 function setSimuladorClasse(classe) {
   SimuladorFerries = classe;
+  replicacoes.setSimuladorClasse(classe);
 }
 
 class GeradorRelatorios {
-  static gerarRelatorio() {
+  // opcoes.seed: semente base das réplicas (sorteada se ausente)
+  // opcoes.replicacoes: número de execuções de cada cenário
+  // opcoes.dias: dias consecutivos em cada execução (manutenções aparecem
+  //              quando o período cobre o ciclo de manutenção)
+  static gerarRelatorio(opcoes = {}) {
     try {
-      // Executa simulação normal
-      const simuladorNormal = new SimuladorFerries();
-      const resultadoSemReserva = simuladorNormal.processar();
-
-      // Executa simulação com reservas (30%)
-      const simuladorComReserva = new SimuladorFerries();
-      const resultadoComReserva = simuladorComReserva.simularComReservas(0.3).detalhes;
-
+      const { n, dias } = this._quantidades(opcoes);
+
+      // Réplicas pareadas: sem reservas x com reservas (30%), mesmas sementes
+      const comparacao = replicacoes.compararPareado(
+        { percentualReservas: 0, dias },
+        { percentualReservas: 0.3, dias },
+        n,
+        opcoes.seed
+      );
+      const semReserva = comparacao.a;
+      const comReserva = comparacao.b;
+      const seed = comparacao.sementeBase;
+
+      // Primeira réplica sem reservas: base dos detalhes por embarcação
+      const resultadoSemReserva = semReserva.resultados[0];
 
       // --- Cálculos de médias e comparações reais ---
-      const tempoMedioSem = Math.max(0, resultadoSemReserva.tempoMedioEspera);
-      const tempoMedioCom = Math.max(0, resultadoComReserva.tempoMedioEspera);
+      const tempoMedioSem = Math.max(0, semReserva.metricas.Wq.media);
+      const tempoMedioCom = Math.max(0, comReserva.metricas.Wq.media);
 
-      const utilizacaoMediaSem = this._mediaUtilizacao(resultadoSemReserva.utilizacaoEmbarcacoes);
-      const utilizacaoMediaCom = this._mediaUtilizacao(resultadoComReserva.utilizacaoEmbarcacoes);
+      const utilizacaoMediaSem = Math.min(100, semReserva.metricas.utilizacao.media);
+      const utilizacaoMediaCom = Math.min(100, comReserva.metricas.utilizacao.media);
 
-      const reducaoTempoEspera = ((tempoMedioSem - tempoMedioCom) / tempoMedioSem) * 100 || 0;
-      const melhoriaUtilizacao = utilizacaoMediaCom - utilizacaoMediaSem;
+      // Diferença pareada (com - sem); redução é o negativo dela
+      const difWq = comparacao.diferencas.Wq;
+      const reducaoTempoEspera = (-difWq.media / tempoMedioSem) * 100 || 0;
+      const melhoriaUtilizacao = comparacao.diferencas.utilizacao.media;
 
       // --- Nova seção: Análise de manutenção ---
       const manutencaoInfo = this._analisarManutencao(resultadoSemReserva);
 
+      // --- Falhas: mesmas sementes com e sem falhas (espera causada por elas) ---
+      const impactoFalhas = replicacoes.compararPareado(
+        { percentualReservas: 0, dias, falhas: { habilitado: false } },
+        { percentualReservas: 0, dias },
+        n,
+        seed
+      );
+      const falhasInfo = this._analisarFalhas(resultadoSemReserva, impactoFalhas);
+
       const relatorio = {
         dataGeracao: new Date().toLocaleString("pt-BR"),
+        configuracaoUsada: { seed, replicacoes: n, dias },
         resumoGeral: {
           tempoMedioEsperaSemReserva: `${tempoMedioSem.toFixed(2)} min`,
-          veiculosProcessados: resultadoSemReserva.veiculosProcessados,
+          veiculosProcessados: Math.round(semReserva.metricas.throughput.media),
           utilizacaoMedia: `${utilizacaoMediaSem.toFixed(2)}%`,
           viagensRealizadas: resultadoSemReserva.viagensRealizadas,
         },
         comparativoReservas: {
           reducaoTempoEspera: `${reducaoTempoEspera.toFixed(2)}%`,
           melhoriaUtilizacao: `${melhoriaUtilizacao.toFixed(2)}%`,
-          veiculosProcessadosComReservas: resultadoComReserva.veiculosProcessados,
+          veiculosProcessadosComReservas: Math.round(comReserva.metricas.throughput.media),
           tempoMedioComReservas: `${tempoMedioCom.toFixed(2)} min`,
+          diferencaEsperaIC95: `${difWq.intervaloConfianca95.inferior.toFixed(2)} a ${difWq.intervaloConfianca95.superior.toFixed(2)} min`,
+          diferencaSignificativa: difWq.significativo,
+        },
+        replicacoes: {
+          semReserva: semReserva.metricas,
+          comReserva: comReserva.metricas,
+          diferencas: comparacao.diferencas,
         },
         manutencao: manutencaoInfo, // 🔧 nova seção adicionada
+        falhas: falhasInfo,
         detalhesServidores: resultadoSemReserva.utilizacaoEmbarcacoes.map((e) => ({
           embarcacao: e.id,
           utilizacao: `${Math.min(100, e.percentualUtilizacao).toFixed(2)}%`,
@@ -65,8 +98,88 @@ class GeradorRelatorios {
     }
   }
 
+  static _quantidades(opcoes) {
+    return {
+      n: opcoes.replicacoes !== undefined ? Number(opcoes.replicacoes) : 10,
+      dias: opcoes.dias !== undefined ? Number(opcoes.dias) : 1
+    };
+  }
+
+  // Dias simulados pelo relatório: quatro séries de n réplicas (sem e com
+  // reservas, sem e com falhas), para conferir contra o teto antes de rodar
+  static diasSimulados(opcoes = {}) {
+    const { n, dias } = this._quantidades(opcoes);
+    return 4 * n * dias;
+  }
+
+  // Relatório a partir de simulações já registradas (sem simular de novo).
+  // A primeira da lista é a base da comparação.
+  static gerarRelatorioDeExecucoes(registros) {
+    try {
+      const [base] = registros;
+      const unica = registro => registro.replicacoes <= 1;
+
+      const execucoes = registros.map((r) => ({
+        id: r.id,
+        criadaEm: r.criadaEm,
+        origem: r.origem,
+        seed: r.seed,
+        tags: r.tags,
+        dias: r.dias,
+        replicacoes: r.replicacoes,
+        indicadores: r.indicadores,
+        // Detalhes por embarcação só existem nas execuções únicas
+        manutencao: unica(r) ? this._analisarManutencao(r.resultados) : null,
+        detalhesServidores: unica(r)
+          ? r.resultados.utilizacaoEmbarcacoes.map((e) => ({
+            embarcacao: e.id,
+            utilizacao: `${Math.min(100, e.percentualUtilizacao).toFixed(2)}%`,
+            viagens: e.viagensRealizadas,
+          }))
+          : null,
+      }));
+
+      const comparativo = registros.slice(1).map((r) => ({
+        id: r.id,
+        mesmaSemente: r.seed === base.seed,
+        configuracaoAlterada: this._camposAlterados(base.configuracao, r.configuracao),
+        indicadores: Object.fromEntries(Object.entries(r.indicadores).map(([nome, valor]) => {
+          const valorBase = base.indicadores[nome];
+          return [nome, {
+            base: valorBase,
+            valor,
+            diferenca: valor - valorBase,
+            diferencaPercentual: valorBase !== 0 ? ((valor - valorBase) / valorBase) * 100 : null,
+          }];
+        })),
+      }));
+
+      const relatorio = {
+        dataGeracao: new Date().toLocaleString("pt-BR"),
+        fonte: "registro",
+        base: base.id,
+        execucoes,
+        comparativo,
+      };
+
+      return { sucesso: true, mensagem: "Relatório gerado a partir das simulações registradas", relatorio };
+    } catch (erro) {
+      console.error("Erro ao gerar relatório:", erro);
+      return { sucesso: false, erro: erro.message };
+    }
+  }
+
   // === MÉTODOS AUXILIARES ===
 
+  // Campos de configuração que mudaram em relação à base (exceto a semente)
+  static _camposAlterados(base, outra) {
+    const campos = new Set([...Object.keys(base || {}), ...Object.keys(outra || {})]);
+    campos.delete("seed");
+    return [...campos]
+      .filter((campo) => JSON.stringify(base[campo]) !== JSON.stringify(outra[campo]))
+      .map((campo) => ({ campo, base: base[campo], valor: outra[campo] }));
+  }
+
   static _mediaUtilizacao(lista) {
     if (!lista || lista.length === 0) return 0;
     const soma = lista.reduce((acc, e) => acc + Math.min(100, e.percentualUtilizacao), 0);
@@ -87,10 +200,10 @@ class GeradorRelatorios {
       };
     }
 
-    const horasPorEvento = 4; // conforme config padrão
-    const totalHoras = manutencoes.length * horasPorEvento;
-    const tempoTotalSimulacao = resultado.tempoSimulacao * 60; // em minutos
-    const indisponibilidadePercentual = (totalHoras * 60 / tempoTotalSimulacao / 4) * 100; // 4 embarcações
+    const totalHoras = manutencoes.reduce((soma, e) => soma + (e.duracaoHoras || 0), 0);
+    const numEmbarcacoes = resultado.utilizacaoEmbarcacoes.length || 1;
+    const tempoTotalSimulacao = resultado.tempoSimulacao * 60; // em minutos de operação
+    const indisponibilidadePercentual = (totalHoras * 60 / tempoTotalSimulacao / numEmbarcacoes) * 100;
 
     // impacto estimado: proporcional ao tempo fora de operação
     const impactoEstimado = `Aumento estimado de ${(indisponibilidadePercentual * 0.8).toFixed(2)}% no tempo médio de espera`;
@@ -99,7 +212,28 @@ class GeradorRelatorios {
       manutencoesRealizadas: manutencoes.length,
       totalHoras,
       percentualIndisponibilidade: `${indisponibilidadePercentual.toFixed(2)}%`,
-      impactoEstimado
+      impactoEstimado,
+      porEmbarcacao: manutencoes.map(e => ({ embarcacao: e.embarcacao, dia: e.dia, duracaoHoras: e.duracaoHoras }))
+    };
+  }
+
+  // Falhas não programadas: disponibilidade e espera atribuída às falhas
+  static _analisarFalhas(resultado, impacto) {
+    const falhas = resultado.falhas || { total: 0, viagensCanceladas: 0, viagensAtrasadas: 0 };
+    const difWq = impacto.diferencas.Wq;
+
+    return {
+      falhasRegistradas: falhas.total,
+      viagensCanceladas: falhas.viagensCanceladas,
+      viagensAtrasadas: falhas.viagensAtrasadas,
+      disponibilidadePorEmbarcacao: resultado.utilizacaoEmbarcacoes.map((e) => ({
+        embarcacao: e.id,
+        disponibilidade: `${e.disponibilidade.toFixed(2)}%`,
+        falhas: e.falhas,
+      })),
+      esperaCausadaPorFalhas: `${difWq.media.toFixed(2)} min`,
+      esperaCausadaIC95: `${difWq.intervaloConfianca95.inferior.toFixed(2)} a ${difWq.intervaloConfianca95.superior.toFixed(2)} min`,
+      impactoSignificativo: difWq.significativo
     };
   }
 }
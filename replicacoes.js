@@ -0,0 +1,193 @@
+// ============================================================================
+// FERRY BOT - RÉPLICAS DE MONTE CARLO
+// ============================================================================
+// Uma execução de processar() é UM dia aleatório. Para tirar conclusões,
+// rodamos N dias independentes (sementes derivadas de uma semente base)
+// e resumimos cada indicador com média, desvio, IC 95% e percentis.
+//
+// Comparações entre duas configurações usam números aleatórios comuns:
+// a réplica i dos dois cenários usa a MESMA semente, então as chegadas
+// são idênticas e a diferença medida vem da configuração, não do acaso.
+// ============================================================================
+
+const { derivarSemente, gerarSemente } = require('./aleatorio');
+const { resumir, intervaloConfianca95, media, desvioPadrao, pValorT } = require('./estatistica');
+
+let SimuladorFerries; // definida por setSimuladorClasse (evita dependência circular)
+
+function setSimuladorClasse(classe) {
+  SimuladorFerries = classe;
+}
+
+const LIMITE_REPLICACOES = 1000;
+// Réplicas × dias por pedido: as rotas síncronas rodam tudo dentro da
+// requisição (execuções maiores vão para a fila de jobs, POST /simulacoes)
+const LIMITE_DIAS_SIMULADOS = 1000;
+const INDICADORES = ['Wq', 'WqPico', 'Lq', 'throughput', 'utilizacao', 'veiculosNaoAtendidos', 'viagens', 'fatorCarga'];
+
+// Indicadores resumidos em cada réplica
+function extrairIndicadores(resultado) {
+  const utilizacoes = resultado.utilizacaoEmbarcacoes.map(e => e.percentualUtilizacao);
+  return {
+    Wq: resultado.tempoMedioEspera,
+    WqPico: resultado.tempoMedioEsperaPico,
+    Lq: resultado.veiculosEmFila,
+    throughput: resultado.veiculosProcessados,
+    utilizacao: media(utilizacoes),
+    veiculosNaoAtendidos: resultado.veiculosNaoAtendidos,
+    viagens: resultado.viagensRealizadas,
+    fatorCarga: resultado.fatorCargaMedio
+  };
+}
+
+function validarQuantidade(n) {
+  if (!Number.isInteger(n) || n < 1 || n > LIMITE_REPLICACOES) {
+    throw new Error(`replicacoes deve ser um inteiro entre 1 e ${LIMITE_REPLICACOES}`);
+  }
+}
+
+// Mensagem de erro se o total de dias simulados passa do teto, ou null
+function validarDiasSimulados(diasSimulados) {
+  if (diasSimulados > LIMITE_DIAS_SIMULADOS) {
+    return `Pedido grande demais: ${diasSimulados} dias simulados (réplicas × dias), ` +
+      `limite de ${LIMITE_DIAS_SIMULADOS}. Reduza as réplicas ou os dias, ou use POST /simulacoes`;
+  }
+  return null;
+}
+
+function semSemente(semente) {
+  return semente === null || semente === undefined || semente === '';
+}
+
+/*
+Executa n réplicas independentes de uma configuração.
+A semente base vem de config.seed (ou é sorteada) e cada réplica usa
+derivarSemente(base, i), então a série inteira pode ser repetida.
+aoProgresso(fração de 0 a 1 das réplicas), opcional.
+*/
+function executarReplicacoes(config = {}, n = 10, { aoProgresso } = {}) {
+  validarQuantidade(n);
+  const sementeBase = semSemente(config.seed) ? gerarSemente() : config.seed;
+
+  const resultados = [];
+  const porReplicacao = [];
+  for (let i = 0; i < n; i++) {
+    const seed = derivarSemente(sementeBase, i);
+    // Réplicas não guardam o log de cada veículo (só as embarcações)
+    const simulador = new SimuladorFerries({ registroEventos: 'operacao', ...config, seed });
+    const resultado = simulador.processar({
+      aoProgresso: aoProgresso && (fracao => aoProgresso((i + fracao) / n))
+    });
+    resultados.push(resultado);
+    porReplicacao.push({ replica: i + 1, seed, ...extrairIndicadores(resultado) });
+  }
+
+  return {
+    replicacoes: n,
+    sementeBase,
+    metricas: resumirIndicadores(porReplicacao),
+    porReplicacao,
+    resultados
+  };
+}
+
+function resumirIndicadores(porReplicacao) {
+  return INDICADORES.reduce((resumo, nome) => {
+    resumo[nome] = resumir(porReplicacao.map(r => r[nome]));
+    return resumo;
+  }, {});
+}
+
+/*
+Compara duas configurações com réplicas pareadas (números aleatórios comuns).
+Para cada indicador devolve a diferença B - A: média, IC 95% e se é
+estatisticamente significativa (o IC não contém zero).
+*/
+function compararPareado(configA, configB, n = 10, sementeBase = null) {
+  validarQuantidade(n);
+  const base = semSemente(sementeBase) ? gerarSemente() : sementeBase;
+
+  const a = executarReplicacoes({ ...configA, seed: base }, n);
+  const b = executarReplicacoes({ ...configB, seed: base }, n);
+
+  return { replicacoes: n, sementeBase: base, a, b, diferencas: diferencasPareadas(a, b) };
+}
+
+/*
+Diferença B - A réplica a réplica de cada indicador, com IC 95% e o
+p-valor do teste t pareado (H0: diferença média = 0)
+*/
+function diferencasPareadas(a, b) {
+  return INDICADORES.reduce((acc, nome) => {
+    const valores = a.porReplicacao.map((r, i) => b.porReplicacao[i][nome] - r[nome]);
+    const ic = intervaloConfianca95(valores);
+    const m = media(valores);
+    const erroPadrao = desvioPadrao(valores) / Math.sqrt(valores.length);
+    let pValor = null;
+    if (valores.length > 1) pValor = erroPadrao > 0 ? pValorT(m / erroPadrao, valores.length - 1) : (m === 0 ? 1 : 0);
+    acc[nome] = {
+      media: m,
+      intervaloConfianca95: ic,
+      pValor,
+      significativo: ic.inferior > 0 || ic.superior < 0
+    };
+    return acc;
+  }, {});
+}
+
+/*
+COMPARAÇÃO DE CENÁRIOS (what-if)
+Cada alternativa é a base com os campos da alternativa por cima; todas
+rodam as mesmas n sementes. Para cada indicador, a diferença de cada
+alternativa para a base. Com várias alternativas, significativoAjustado
+usa Bonferroni (p < 0,05 / número de alternativas).
+*/
+function compararCenarios(base, alternativas, n = 10, sementeBase = null) {
+  validarQuantidade(n);
+  const nomes = Object.keys(alternativas);
+  const semente = semSemente(sementeBase) ? gerarSemente() : sementeBase;
+  const limiarAjustado = 0.05 / nomes.length;
+
+  const execucaoBase = executarReplicacoes({ ...base, seed: semente }, n);
+  const cenarios = { base: { config: base, metricas: execucaoBase.metricas } };
+  const diferencas = {};
+  nomes.forEach(nome => {
+    const config = { ...base, ...alternativas[nome] };
+    const execucao = executarReplicacoes({ ...config, seed: semente }, n);
+    cenarios[nome] = { config: alternativas[nome], metricas: execucao.metricas };
+    diferencas[nome] = diferencasPareadas(execucaoBase, execucao);
+  });
+
+  // Uma linha por indicador: base ao lado de cada alternativa
+  const tabela = INDICADORES.map(indicador => {
+    const valorBase = cenarios.base.metricas[indicador].media;
+    const linha = { indicador, base: valorBase, alternativas: {} };
+    nomes.forEach(nome => {
+      const diferenca = diferencas[nome][indicador];
+      linha.alternativas[nome] = {
+        media: cenarios[nome].metricas[indicador].media,
+        diferenca: diferenca.media,
+        diferencaPercentual: valorBase !== 0 ? diferenca.media / valorBase * 100 : null,
+        intervaloConfianca95: diferenca.intervaloConfianca95,
+        pValor: diferenca.pValor,
+        significativo: diferenca.significativo,
+        significativoAjustado: diferenca.pValor !== null && diferenca.pValor < limiarAjustado
+      };
+    });
+    return linha;
+  });
+
+  return { replicacoes: n, sementeBase: semente, limiarBonferroni: limiarAjustado, cenarios, tabela };
+}
+
+module.exports = {
+  setSimuladorClasse,
+  executarReplicacoes,
+  compararPareado,
+  compararCenarios,
+  extrairIndicadores,
+  INDICADORES,
+  validarDiasSimulados,
+  LIMITE_REPLICACOES,
+  LIMITE_DIAS_SIMULADOS
+};
@@ -0,0 +1,201 @@
+// ============================================================================
+// FERRY BOT - CICLO DE VIDA DAS RESERVAS
+// ============================================================================
+// Situações de uma reserva:
+//   confirmada     → tem vaga na partida
+//   lista_espera   → partida lotada; sobe para confirmada se abrir vaga
+//   check_in       → veículo apresentou o código no terminal
+//   cancelada      → desistência do usuário
+//   nao_compareceu → partida saiu sem check-in (expiração automática)
+//   expirada       → partida saiu com a reserva ainda na lista de espera
+//
+// Toda mudança de situação entra em reserva.historico:
+//   { status, em, motivo, ...detalhes }
+//
+// As funções recebem o repositório de reservas e o CONFIG e devolvem
+// { reserva, ... } ou { erro, status } (status HTTP sugerido para a rota).
+// ============================================================================
+
+const vagas = require('./disponibilidade');
+
+const STATUS_ATIVOS = ['confirmada', 'lista_espera'];
+
+// --- Acrescenta uma entrada ao histórico e grava a nova situação ---
+// detalhes: vão para o histórico; alteracoes: outros campos da reserva
+function registrarStatus(repositorio, reserva, status, motivo, agora = new Date(), { detalhes = {}, alteracoes = {} } = {}) {
+  const entrada = { status, em: agora.toISOString(), motivo, ...detalhes };
+  return repositorio.atualizar(reserva.id, {
+    ...alteracoes,
+    status,
+    historico: [...(reserva.historico || []), entrada]
+  });
+}
+
+/*
+ALOCAÇÃO DE PARTIDA
+Escolhe a partida pedida e verifica a vaga, ignorando a própria reserva
+(na remarcação ela ainda ocupa o lugar antigo).
+*/
+function alocarPartida(config, reservas, pedido, agora = new Date()) {
+  const outras = reservas.filter(r => r.id !== pedido.idIgnorado);
+  const partida = vagas.escolherPartida(config, pedido, agora);
+
+  if (!partida) {
+    const dataBase = pedido.data || vagas.hoje();
+    return {
+      erro: 'Não há partida a partir deste horário (ou ela já saiu)',
+      status: 400,
+      alternativas: vagas.alternativasProximas(config, outras,
+        { ...pedido, data: dataBase, horario: pedido.horarioPreferencia }, agora)
+    };
+  }
+
+  const ocupacao = vagas.ocupacaoDaPartida(config, outras, partida.data, pedido.terminal, partida.horario);
+  const temVaga = vagas.cabeNaPartida(config, ocupacao, pedido.tipoVeiculo);
+  const alternativas = temVaga ? [] : vagas.alternativasProximas(config, outras,
+    { ...pedido, data: partida.data, horario: partida.horario }, agora);
+
+  return { partida, ocupacao, temVaga, alternativas };
+}
+
+// --- Confirma, na ordem de pedido, quem está na lista de espera e agora cabe ---
+function promoverListaEspera(repositorio, config, { data, terminal, horarioPartida }, agora = new Date()) {
+  if (vagas.momentoPartida(data, horarioPartida) <= agora) return [];
+
+  const promovidas = [];
+  repositorio
+    .listar(r => r.status === 'lista_espera' && r.data === data &&
+      r.terminal === terminal && r.horarioPartida === horarioPartida)
+    .sort((a, b) => a.dataCriacao.localeCompare(b.dataCriacao))
+    .forEach(reserva => {
+      const ocupacao = vagas.ocupacaoDaPartida(config, repositorio.listar(), data, terminal, horarioPartida);
+      if (!vagas.cabeNaPartida(config, ocupacao, reserva.tipoVeiculo)) return;
+      promovidas.push(registrarStatus(repositorio, reserva, 'confirmada', 'Vaga liberada na lista de espera', agora));
+    });
+  return promovidas;
+}
+
+/*
+NÃO COMPARECIMENTO (regra automática)
+Partida que já saiu: confirmada sem check-in vira nao_compareceu e a
+lista de espera vira expirada. Roda antes de cada operação de reservas.
+*/
+function expirarNaoComparecimentos(repositorio, agora = new Date()) {
+  // dataUso = instante da partida (também existe nas reservas anteriores às vagas)
+  const vencidas = repositorio.listar(r =>
+    STATUS_ATIVOS.includes(r.status) && new Date(r.dataUso) <= agora
+  );
+  return vencidas.map(reserva => (reserva.status === 'confirmada'
+    ? registrarStatus(repositorio, reserva, 'nao_compareceu', 'Partida saiu sem check-in', agora)
+    : registrarStatus(repositorio, reserva, 'expirada', 'Partida saiu com a reserva na lista de espera', agora)
+  ));
+}
+
+// --- Busca a reserva e confere se a situação permite a operação ---
+function reservaParaOperacao(repositorio, id, permitidos, operacao) {
+  const reserva = repositorio.buscar(id);
+  if (!reserva) return { erro: `Reserva "${id}" não encontrada`, status: 404 };
+  if (!permitidos.includes(reserva.status)) {
+    return {
+      erro: `Não é possível ${operacao} uma reserva com status "${reserva.status}"`,
+      status: 409
+    };
+  }
+  return { reserva };
+}
+
+function cancelar(repositorio, config, id, motivo, agora = new Date()) {
+  const { reserva, ...falha } = reservaParaOperacao(repositorio, id, STATUS_ATIVOS, 'cancelar');
+  if (!reserva) return falha;
+
+  const cancelada = registrarStatus(repositorio, reserva, 'cancelada', motivo || 'Cancelada pelo usuário', agora);
+  const promovidas = reserva.status === 'confirmada'
+    ? promoverListaEspera(repositorio, config, reserva, agora)
+    : [];
+  return { reserva: cancelada, promovidas };
+}
+
+/*
+REMARCAÇÃO
+Mesma regra da criação: primeira partida no horário preferido ou depois.
+Sem vaga, a reserva fica como está (409) ou vai para a lista de espera
+da nova partida se listaEspera for true. A vaga antiga é repassada.
+*/
+function remarcar(repositorio, config, id, pedido, agora = new Date()) {
+  const { reserva, ...falha } = reservaParaOperacao(repositorio, id, STATUS_ATIVOS, 'remarcar');
+  if (!reserva) return falha;
+
+  const novoPedido = {
+    data: pedido.data,
+    terminal: pedido.terminal || reserva.terminal,
+    horarioPreferencia: pedido.horarioPreferencia,
+    tipoVeiculo: reserva.tipoVeiculo,
+    idIgnorado: reserva.id
+  };
+  const alocacao = alocarPartida(config, repositorio.listar(), novoPedido, agora);
+  if (alocacao.erro) return alocacao;
+
+  const { partida, temVaga, alternativas } = alocacao;
+  if (!temVaga && pedido.listaEspera !== true) {
+    return {
+      erro: `Partida das ${partida.horario} de ${partida.data} sem vagas para reserva`,
+      status: 409,
+      alternativas
+    };
+  }
+
+  const anterior = { data: reserva.data, terminal: reserva.terminal, horarioPartida: reserva.horarioPartida };
+  const nova = { data: partida.data, terminal: novoPedido.terminal, horarioPartida: partida.horario };
+  const remarcada = registrarStatus(
+    repositorio, reserva,
+    temVaga ? 'confirmada' : 'lista_espera',
+    'Reserva remarcada',
+    agora,
+    {
+      detalhes: { de: anterior, para: nova },
+      alteracoes: {
+        ...nova,
+        horarioPreferencia: pedido.horarioPreferencia,
+        dataUso: vagas.momentoPartida(partida.data, partida.horario).toISOString()
+      }
+    }
+  );
+
+  const promovidas = reserva.status === 'confirmada'
+    ? promoverListaEspera(repositorio, config, anterior, agora)
+    : [];
+  return { reserva: remarcada, promovidas, alternativas };
+}
+
+/*
+CHECK-IN pelo código (reserva.id)
+Aberto a partir de vagasReserva.antecedenciaCheckInMinutos antes da
+partida, até o horário de saída.
+*/
+function fazerCheckIn(repositorio, config, id, agora = new Date()) {
+  const { reserva, ...falha } = reservaParaOperacao(repositorio, id, ['confirmada'], 'fazer check-in de');
+  if (!reserva) return falha;
+
+  const saida = vagas.momentoPartida(reserva.data, reserva.horarioPartida);
+  const abertura = new Date(saida.getTime() - config.vagasReserva.antecedenciaCheckInMinutos * 60000);
+  if (agora < abertura) {
+    return {
+      erro: `Check-in abre ${config.vagasReserva.antecedenciaCheckInMinutos} minutos antes da partida ` +
+        `(${reserva.horarioPartida} de ${reserva.data})`,
+      status: 409
+    };
+  }
+
+  return { reserva: registrarStatus(repositorio, reserva, 'check_in', 'Check-in no terminal', agora) };
+}
+
+module.exports = {
+  STATUS_ATIVOS,
+  registrarStatus,
+  alocarPartida,
+  promoverListaEspera,
+  expirarNaoComparecimentos,
+  cancelar,
+  remarcar,
+  fazerCheckIn
+};
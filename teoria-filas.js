@@ -0,0 +1,216 @@
+// ============================================================================
+// FERRY BOT - CALCULADORA ANALÍTICA DE TEORIA DE FILAS
+// ============================================================================
+// Fórmulas fechadas dos modelos M/M/c e M/M/c/K, usadas para validar a
+// simulação contra a teoria.
+//
+// Unidades: λ e μ em veículos/hora (μ é a taxa de UM servidor).
+// Os tempos (W, Wq) são devolvidos em minutos, como na simulação.
+// ============================================================================
+
+// Os modelos guardam um termo por servidor/posição do sistema: c e K
+// grandes viram vetores enormes (K = 1e9 esgota a memória)
+const LIMITE_SERVIDORES = 1000;
+const LIMITE_CAPACIDADE_SISTEMA = 100000;   // K
+const LIMITE_TAMANHO_LOTE = 10000;
+
+// log(aⁿ/n!) para n = 0..ate, de forma incremental: os próprios termos
+// passam de 1e308 dentro dos limites (a = 990, c = 1000) e viram Infinity
+function logTermosPoisson(a, ate) {
+  const logA = Math.log(a);
+  const logs = [0];
+  for (let n = 1; n <= ate; n++) {
+    logs.push(logs[n - 1] + logA - Math.log(n));
+  }
+  return logs;
+}
+
+// Termos proporcionais, divididos pelo maior (as fórmulas só usam razões)
+function normalizarLogs(logs) {
+  const maximo = logs.reduce((m, v) => Math.max(m, v), -Infinity);
+  return logs.map(v => Math.exp(v - maximo));
+}
+
+function validarParametros(lambda, mu, c) {
+  if (!(lambda > 0) || !(mu > 0)) {
+    throw new Error('λ (lambda) e μ (mu) devem ser números positivos');
+  }
+  if (!Number.isInteger(c) || c < 1 || c > LIMITE_SERVIDORES) {
+    throw new Error(`c deve ser um inteiro entre 1 e ${LIMITE_SERVIDORES}`);
+  }
+}
+
+/*
+Confere os parâmetros de POST /teoria-filas/calcular antes de calcular
+(o erro vira 400 na rota). K é opcional (null = M/M/c).
+*/
+function validarEntrada({ lambda, mu, c, K, tamanhoLote }) {
+  validarParametros(lambda, mu, c);
+  if (K !== null && (!Number.isInteger(K) || K < c || K > LIMITE_CAPACIDADE_SISTEMA)) {
+    throw new Error(`K deve ser um inteiro entre c e ${LIMITE_CAPACIDADE_SISTEMA}`);
+  }
+  if (!Number.isInteger(tamanhoLote) || tamanhoLote < 1 || tamanhoLote > LIMITE_TAMANHO_LOTE) {
+    throw new Error(`tamanhoLote deve ser um inteiro entre 1 e ${LIMITE_TAMANHO_LOTE}`);
+  }
+}
+
+/*
+MODELO M/M/c (fila infinita)
+- a = λ/μ (tráfego oferecido), ρ = a/c
+- P0 = [ Σ(n=0..c-1) aⁿ/n! + aᶜ/(c!(1-ρ)) ]⁻¹
+- C(c, a) = aᶜ/(c!(1-ρ)) · P0   (Erlang C: probabilidade de esperar)
+- Lq = C · ρ/(1-ρ),  Wq = Lq/λ,  W = Wq + 1/μ,  L = λW
+Só existe regime estacionário se ρ < 1.
+*/
+function calcularMMc(lambda, mu, c) {
+  validarParametros(lambda, mu, c);
+
+  const a = lambda / mu;
+  const rho = a / c;
+
+  if (rho >= 1) {
+    return {
+      modelo: 'M/M/c',
+      estavel: false,
+      rho,
+      mensagem: 'ρ ≥ 1: sistema saturado, a fila cresce indefinidamente'
+    };
+  }
+
+  const termos = normalizarLogs(logTermosPoisson(a, c));
+  const somaAteC1 = termos.slice(0, c).reduce((s, x) => s + x, 0);
+  const ultimo = termos[c] / (1 - rho);
+  const P0 = termos[0] / (somaAteC1 + ultimo);
+  const erlangC = ultimo / (somaAteC1 + ultimo);
+
+  const Lq = erlangC * rho / (1 - rho);
+  const Wq = Lq / lambda;          // horas
+  const W = Wq + 1 / mu;           // horas
+  const L = lambda * W;
+
+  return {
+    modelo: 'M/M/c',
+    estavel: true,
+    rho,
+    P0,
+    probabilidadeEspera: erlangC,
+    L,
+    Lq,
+    W: W * 60,
+    Wq: Wq * 60
+  };
+}
+
+/*
+MODELO M/M/c/K (capacidade K no sistema, K ≥ c)
+- Pn = aⁿ/n! · P0                  para n ≤ c
+- Pn = aᶜ/c! · ρⁿ⁻ᶜ · P0           para c < n ≤ K
+- λef = λ(1 - P_K)   (quem encontra o sistema cheio é bloqueado)
+- Lq = Σ (n-c)·Pn,  L = Lq + λef/μ,  Wq = Lq/λef,  W = L/λef
+Estável para qualquer ρ, pois a fila é limitada.
+*/
+function calcularMMcK(lambda, mu, c, K) {
+  validarParametros(lambda, mu, c);
+  if (!Number.isInteger(K) || K < c || K > LIMITE_CAPACIDADE_SISTEMA) {
+    throw new Error(`K deve ser um inteiro entre c e ${LIMITE_CAPACIDADE_SISTEMA}`);
+  }
+
+  const a = lambda / mu;
+  const rho = a / c;
+
+  const logs = logTermosPoisson(a, c);
+  const logRho = Math.log(rho);
+  for (let n = c + 1; n <= K; n++) {
+    logs.push(logs[n - 1] + logRho);
+  }
+  const pesos = normalizarLogs(logs);
+  const total = pesos.reduce((s, x) => s + x, 0);
+  const P = pesos.map(x => x / total);
+
+  const PK = P[K];
+  const lambdaEfetivo = lambda * (1 - PK);
+  const Lq = P.reduce((s, p, n) => s + Math.max(0, n - c) * p, 0);
+  const L = Lq + lambdaEfetivo / mu;
+  const Wq = lambdaEfetivo > 0 ? Lq / lambdaEfetivo : 0;
+  const W = lambdaEfetivo > 0 ? L / lambdaEfetivo : 0;
+
+  // Probabilidade de esperar para quem consegue entrar
+  const pEsperaAdmitidos = PK < 1
+    ? P.slice(c, K).reduce((s, p) => s + p, 0) / (1 - PK)
+    : 1;
+
+  return {
+    modelo: 'M/M/c/K',
+    estavel: true,
+    rho,
+    P0: P[0],
+    probabilidadeEspera: pEsperaAdmitidos,
+    probabilidadeBloqueio: PK,
+    lambdaEfetivo,
+    L,
+    Lq,
+    W: W * 60,
+    Wq: Wq * 60
+  };
+}
+
+/*
+APROXIMAÇÃO PARA SERVIÇO EM LOTE (embarcação leva até b veículos)
+Cada lote de b veículos é tratado como um "cliente" de uma fila M/M/c:
+  λ_lote = λ/b,  μ_lote = μ/b   (ρ não muda)
+A espera do veículo soma duas parcelas:
+  - formação do lote: em média (b-1)/(2λ)
+  - fila de lotes: Wq do M/M/c com λ_lote e μ_lote
+É uma aproximação (o modelo exato é M/M^[b]/c), útil como ordem de grandeza.
+*/
+function aproximarServicoEmLote(lambda, mu, c, tamanhoLote) {
+  if (!Number.isInteger(tamanhoLote) || tamanhoLote < 1 || tamanhoLote > LIMITE_TAMANHO_LOTE) {
+    throw new Error(`tamanhoLote deve ser um inteiro entre 1 e ${LIMITE_TAMANHO_LOTE}`);
+  }
+
+  const lotes = calcularMMc(lambda / tamanhoLote, mu / tamanhoLote, c);
+  const esperaFormacao = ((tamanhoLote - 1) / (2 * lambda)) * 60; // minutos
+
+  if (!lotes.estavel) {
+    return { ...lotes, modelo: `M/M/c em lotes de ${tamanhoLote}`, tamanhoLote };
+  }
+
+  return {
+    modelo: `M/M/c em lotes de ${tamanhoLote}`,
+    estavel: true,
+    tamanhoLote,
+    rho: lotes.rho,
+    probabilidadeEspera: lotes.probabilidadeEspera,
+    esperaFormacaoLote: esperaFormacao,
+    esperaFilaLotes: lotes.Wq,
+    Wq: esperaFormacao + lotes.Wq,
+    Lq: lambda * (esperaFormacao + lotes.Wq) / 60 // Lei de Little
+  };
+}
+
+/*
+Compara a teoria com uma execução da simulação.
+Devolve valor teórico, simulado e diferença percentual de cada métrica.
+*/
+function compararComSimulacao(teorico, simulado) {
+  const metricas = ['rho', 'Lq', 'Wq'];
+
+  return metricas.reduce((comparacao, nome) => {
+    const t = teorico[nome];
+    const s = simulado[nome];
+    comparacao[nome] = {
+      teorico: t,
+      simulado: s,
+      diferencaPercentual: Number.isFinite(t) && t !== 0 ? ((s - t) / t) * 100 : null
+    };
+    return comparacao;
+  }, {});
+}
+
+module.exports = {
+  validarEntrada,
+  calcularMMc,
+  calcularMMcK,
+  aproximarServicoEmLote,
+  compararComSimulacao
+};
@@ -0,0 +1,384 @@
+// ============================================================================
+// FERRY BOT - TESTES (npm test)
+// ============================================================================
+// node test-backend.js: roda os casos em ordem e sai com código 1 se algum
+// falhar. Sem dependências além do módulo assert do Node.
+// ============================================================================
+
+process.env.ARMAZENAMENTO = 'memoria'; // não toca na pasta dados/
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SimuladorFerries, ESTADOS_EMBARCACAO, CONFIG, app } = require('./ferry-backend');
+const { calibrar } = require('./calibracao');
+const { minutosDoHorario } = require('./horarios');
+const { calcularMMc, calcularMMcK } = require('./teoria-filas');
+const { RepositorioArquivo } = require('./armazenamento');
+const registroSimulacoes = require('./registro-simulacoes');
+
+const casos = [];
+function caso(nome, executar) {
+  casos.push({ nome, executar });
+}
+
+// Servidor numa porta livre, aberto no primeiro caso que usa HTTP
+let servidor = null;
+async function requisitar(metodo, caminho, corpo) {
+  if (!servidor) {
+    servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+  }
+  const resposta = await fetch(`http://localhost:${servidor.address().port}${caminho}`, {
+    method: metodo,
+    headers: { 'Content-Type': 'application/json' },
+    body: corpo === undefined ? undefined : JSON.stringify(corpo)
+  });
+  return [resposta.status, await resposta.json()];
+}
+
+// ========== CALIBRAÇÃO ==========
+
+caso('calibrar aceita CSV de chegadas com mais de 200 mil linhas', () => {
+  const linhas = ['chegada,tipo,embarque'];
+  const total = 210000;
+  for (let i = 0; i < total; i++) {
+    const dia = 1 + Math.floor(i / 3500);              // 60 dias de catraca
+    const minuto = 360 + (i % 3500) * (960 / 3500);    // 06:00 às 22:00
+    const espera = i % 90;
+    const data = `2025-${String(1 + Math.floor((dia - 1) / 28)).padStart(2, '0')}-${String(1 + (dia - 1) % 28).padStart(2, '0')}`;
+    const horario = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(Math.floor(m % 60)).padStart(2, '0')}`;
+    linhas.push(`${data} ${horario(minuto)},${i % 5 === 0 ? 'caminhao' : 'carro'},${data} ${horario(Math.min(minuto + espera, 1439))}`);
+  }
+
+  const { ajuste, linhasIgnoradas } = calibrar({ chegadas: linhas.join('\n') }, CONFIG);
+  assert.strictEqual(linhasIgnoradas.total, 0);
+  assert.strictEqual(ajuste.chegadas.registros, total);
+  assert.strictEqual(ajuste.esperaObservada.n, total);
+  assert.strictEqual(ajuste.esperaObservada.minimo, 0);
+  assert.strictEqual(ajuste.esperaObservada.maximo, 89);
+});
+
+caso('calibrar recusa configuração base inválida com 400', async () => {
+  const [status, corpo] = await requisitar('POST', '/calibrar', {
+    chegadas: 'chegada,tipo\n2025-01-06 08:00,carro', dias: 0, simular: false
+  });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(corpo.sucesso, false);
+});
+
+// ========== SIMULAÇÃO ==========
+
+caso('fila mantida na ordem da disciplina dá o mesmo resultado que reordenar a cada embarque', () => {
+  const configs = [
+    { dias: 4, seed: 11, falhas: { tempoEntreFalhasHoras: { tipo: 'exponencial', media: 6 } } },
+    { dias: 3, seed: 13, disciplinaFila: 'classes', percentualReservas: 0.5, tiposVeiculo: { pedestre: { percentual: 0.2 } } }
+  ];
+  for (const config of configs) {
+    const ordenada = new SimuladorFerries(config);
+    const reordenada = new SimuladorFerries(config);
+    assert.ok(ordenada.terminais.every(terminal => terminal.ordem));
+    reordenada.terminais.forEach(terminal => { terminal.ordem = null; });
+
+    const esperado = reordenada.processar();
+    const obtido = ordenada.processar();
+    for (const indicador of ['tempoMedioEspera', 'veiculosProcessados', 'veiculosNaoAtendidos', 'veiculosEmFila', 'viagensRealizadas']) {
+      assert.strictEqual(obtido[indicador], esperado[indicador], indicador);
+    }
+  }
+});
+
+caso('falha entre o fim do embarque e a partida atrasa a saída em vez de quebrar', () => {
+  const simulador = new SimuladorFerries({ dias: 1, seed: 5, falhas: { tempoReparoHoras: { tipo: 'fixo', valor: 2 } } });
+  const tratarEvento = simulador._tratarEvento.bind(simulador);
+  let injetadas = 0;
+  // Falha logo depois de fechar a rampa, antes do evento de partida
+  simulador._tratarEvento = evento => {
+    tratarEvento(evento);
+    const embarcacao = evento.embarcacao;
+    if (evento.tipo === 'fim_embarque' && injetadas < 3 &&
+        embarcacao.estado === ESTADOS_EMBARCACAO.EMBARCANDO && !embarcacao.embarqueEncerrado) {
+      injetadas++;
+      simulador._tratarFalha(embarcacao, evento.tempo);
+    }
+  };
+
+  const resultados = simulador.processar();
+  assert.strictEqual(injetadas, 3);
+  assert.ok(resultados.falhas.viagensAtrasadas >= 3);
+  assert.ok(resultados.falhas.atrasoTotalMinutos >= 3 * 120);
+});
+
+caso('manutenção que vence durante um reparo começa ao fim do reparo', () => {
+  const simulador = new SimuladorFerries({ dias: 3, seed: 8, manutencaoDias: 1, falhas: { habilitado: false } });
+  const tratarEvento = simulador._tratarEvento.bind(simulador);
+  let emFalha = null;
+  // Na hora da manutenção, a embarcação (livre) está parada em reparo por 1 h
+  simulador._tratarEvento = evento => {
+    const embarcacao = evento.embarcacao;
+    if (!emFalha && evento.tipo === 'manutencao_inicio' && embarcacao.estado === ESTADOS_EMBARCACAO.DISPONIVEL) {
+      emFalha = { embarcacao: embarcacao.id, fimReparo: evento.tempo + 60 };
+      embarcacao.registrarFalha(evento.tempo);
+      simulador.agenda.agendar(emFalha.fimReparo, 'reparo_fim', { embarcacao });
+    }
+    tratarEvento(evento);
+  };
+
+  simulador.processar();
+  assert.ok(emFalha, 'nenhuma manutenção encontrou a embarcação livre');
+  const manutencao = simulador.eventos.find(e => e.tipo === 'manutencao_inicio' && e.embarcacao === emFalha.embarcacao);
+  assert.ok(manutencao, 'manutenção descartada');
+  assert.strictEqual(manutencao.horario, emFalha.fimReparo);
+});
+
+caso('simular recusa MTBF zero com 400', async () => {
+  const [status, corpo] = await requisitar('POST', '/simular', {
+    falhas: { tempoEntreFalhasHoras: { tipo: 'exponencial', media: 0 }, tempoReparoHoras: { tipo: 'fixo', valor: 0 } }
+  });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /falhas.tempoEntreFalhasHoras/);
+});
+
+caso('simular recusa parâmetros de distribuição fora do domínio com 400', async () => {
+  const invalidas = [
+    [{ tipo: 'lognormal', media: 0, desvio: 1 }, /lognormal exige media > 0/],
+    [{ tipo: 'lognormal', media: 40, desvio: -1 }, /lognormal exige desvio >= 0/],
+    [{ tipo: 'weibull', forma: 0, media: 40 }, /weibull exige forma > 0/],
+    [{ tipo: 'weibull', forma: 1.5, escala: 0 }, /weibull exige escala > 0/],
+    [{ tipo: 'uniforme', min: 50, max: 30 }, /uniforme exige min <= max/],
+    [{ tipo: 'exponencial', media: -5 }, /exponencial exige media > 0/],
+    [{ tipo: 'normal', media: 40, desvio: -2 }, /normal exige desvio >= 0/],
+    [{ tipo: 'fixo', valor: -1 }, /fixo exige valor >= 0/]
+  ];
+  for (const [distribuicao, mensagem] of invalidas) {
+    const [status, corpo] = await requisitar('POST', '/simular', { tempoTravessiaMinutos: distribuicao });
+    assert.strictEqual(status, 400, JSON.stringify(distribuicao));
+    assert.match(corpo.erro, mensagem);
+  }
+
+  const [status] = await requisitar('POST', '/simular', { tempoTravessiaMinutos: { tipo: 'uniforme', min: 30, max: 30 } });
+  assert.strictEqual(status, 200);
+});
+
+caso('tabela de horários recusa horario numérico (só "HH:MM")', async () => {
+  const partida = horario => ({ tabelaHorarios: { partidas: [{ terminal: 'ponta-da-espera', horario }] } });
+
+  const [status, corpo] = await requisitar('POST', '/simular/tabela-horarios', partida(7));
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /HH:MM/);
+
+  const [statusTexto, aceita] = await requisitar('POST', '/simular/tabela-horarios', partida('07:00'));
+  assert.strictEqual(statusTexto, 200);
+  assert.strictEqual(aceita.tabelaCumprida.porTerminal['ponta-da-espera'][0].horarioProgramado, '07:00');
+});
+
+caso('simular recusa réplicas × dias acima do limite com 400', async () => {
+  const [status, corpo] = await requisitar('POST', '/simular', { replicacoes: 10, dias: 200 });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /dias simulados/);
+
+  const [statusCurto, curto] = await requisitar('POST', '/simular', { replicacoes: 2, dias: 1 });
+  assert.strictEqual(statusCurto, 200);
+  assert.strictEqual(curto.replicacoes.replicacoes, 2);
+});
+
+caso('simular/previsao recusa réplicas × dias acima do limite com 400', async () => {
+  const [status, corpo] = await requisitar('POST', '/simular/previsao', { replicacoes: 5, dias: 366 });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /dias simulados/);
+});
+
+// ========== LOG DE EVENTOS ==========
+
+caso('logs em memória saem pelo total de eventos, não só pela quantidade', async () => {
+  // 30 dias: ~140 mil eventos e pontos da série cada; três passam do teto
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const [status, corpo] = await requisitar('POST', '/simular', { dias: 30, seed: 1 });
+    assert.strictEqual(status, 200);
+    ids.push(corpo.idSimulacao);
+  }
+
+  const disponivel = [];
+  for (const id of ids) {
+    const [, corpo] = await requisitar('GET', `/simulacoes/${id}`);
+    disponivel.push(corpo.logCompletoDisponivel);
+  }
+  assert.deepStrictEqual(disponivel, [false, true, true]);
+
+  const [status, corpo] = await requisitar('GET', `/simulacoes/${ids[0]}/eventos`);
+  assert.strictEqual(status, 404);
+  assert.match(corpo.erro, /eventos e pontos da série/);
+});
+
+// ========== TEORIA DE FILAS ==========
+
+caso('M/M/c e M/M/c/K ficam finitos com c e K grandes dentro dos limites', () => {
+  const todosFinitos = r => ['P0', 'probabilidadeEspera', 'L', 'Lq', 'W', 'Wq']
+    .every(nome => Number.isFinite(r[nome]));
+
+  // Caso pequeno conferido à mão: a = 2, c = 3 → P0 = 1/9, C = 4/9, Lq = 8/9
+  const pequeno = calcularMMc(2, 1, 3);
+  assert.ok(Math.abs(pequeno.P0 - 1 / 9) < 1e-12);
+  assert.ok(Math.abs(pequeno.probabilidadeEspera - 4 / 9) < 1e-12);
+  assert.ok(Math.abs(pequeno.Lq - 8 / 9) < 1e-12);
+
+  const mmc = calcularMMc(990, 1, 1000);
+  assert.ok(todosFinitos(mmc));
+  assert.ok(mmc.probabilidadeEspera > 0 && mmc.probabilidadeEspera < 1);
+
+  // ρ = 2, K = 5000: metade das chegadas bloqueada, servidor sempre ocupado
+  const saturado = calcularMMcK(2, 1, 1, 5000);
+  assert.ok(todosFinitos(saturado));
+  assert.ok(Math.abs(saturado.probabilidadeBloqueio - 0.5) < 1e-9);
+  assert.ok(Math.abs(saturado.lambdaEfetivo - 1) < 1e-9);
+
+  const noLimite = calcularMMcK(200, 1, 1, 100000);
+  assert.ok(todosFinitos(noLimite));
+  assert.ok(Math.abs(noLimite.probabilidadeBloqueio - 0.995) < 1e-9);
+
+  assert.ok(todosFinitos(calcularMMcK(999, 1, 1000, 100000)));
+});
+
+caso('teoria-filas/calcular recusa c, K, λ e tamanhoLote inválidos com 400', async () => {
+  const invalidos = [
+    { c: 2.5 },
+    { lambda: -10 },
+    { c: 4, K: 2 },
+    { K: 1e9 },
+    { c: 1e7 },
+    { tamanhoLote: 2.5 }
+  ];
+  for (const parametros of invalidos) {
+    const [status, corpo] = await requisitar('POST', '/teoria-filas/calcular', { ...parametros, simular: false });
+    assert.strictEqual(status, 400, JSON.stringify(parametros));
+    assert.strictEqual(corpo.sucesso, false);
+  }
+
+  const [status, corpo] = await requisitar('POST', '/teoria-filas/calcular', { lambda: 60, mu: 20, c: 4, K: 50, simular: false });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(corpo.teorico.modelo, 'M/M/c/K');
+});
+
+// ========== COMPARAÇÃO DE CENÁRIOS ==========
+
+caso('cenarios/comparar conta os dias de cada cenário no limite', async () => {
+  // 10 réplicas × (366 + 366) dias: recusada antes de simular
+  const [status, corpo] = await requisitar('POST', '/cenarios/comparar', {
+    base: { dias: 366 }, alternativas: { '5 embarcações': { numEmbarcacoes: 5 } }, replicacoes: 10
+  });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /dias simulados/);
+
+  // Só a alternativa longa também conta: 10 × (1 + 200)
+  const [statusAlternativa] = await requisitar('POST', '/cenarios/comparar', {
+    alternativas: { 'ano longo': { dias: 200 } }, replicacoes: 10
+  });
+  assert.strictEqual(statusAlternativa, 400);
+
+  const [statusCurto, curto] = await requisitar('POST', '/cenarios/comparar', {
+    alternativas: { '5 embarcações': { numEmbarcacoes: 5 } }, replicacoes: 2
+  });
+  assert.strictEqual(statusCurto, 200);
+  assert.strictEqual(curto.sucesso, true);
+});
+
+// ========== DIMENSIONAMENTO DA FROTA ==========
+
+caso('otimizar recusa configuração inválida e conta os dias de cada réplica no limite da busca', async () => {
+  const pedido = {
+    alvo: { WqMaximoMinutos: 30 },
+    custoPorViagem: 100,
+    espaco: { numEmbarcacoes: [2, 3] },
+    replicacoes: 5
+  };
+  // 2 combinações × 5 réplicas × 366 dias: recusada antes de simular
+  const [status, corpo] = await requisitar('POST', '/otimizar', { ...pedido, dias: 366 });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /dias simulados/);
+
+  const [statusConfig] = await requisitar('POST', '/otimizar', { ...pedido, dias: 0 });
+  assert.strictEqual(statusConfig, 400);
+
+  const [statusCurto, curto] = await requisitar('POST', '/otimizar', { ...pedido, replicacoes: 2, dias: 1 });
+  assert.strictEqual(statusCurto, 200);
+  assert.strictEqual(curto.combinacoesAvaliadas, 2);
+});
+
+// ========== RELATÓRIOS ==========
+
+caso('relatorios recusa réplicas × dias acima do limite com 400', async () => {
+  // 4 séries × 10 réplicas × 30 dias
+  const [status, corpo] = await requisitar('GET', '/relatorios?replicacoes=10&dias=30');
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /dias simulados/);
+});
+
+// ========== RESERVAS ==========
+
+caso('reserva recusa horarioPreferencia numérico (só "HH:MM")', async () => {
+  const [status, corpo] = await requisitar('POST', '/reserva', {
+    nomeUsuario: 'Teste', tipoVeiculo: 'carro', horarioPreferencia: 8
+  });
+  assert.strictEqual(status, 400);
+  assert.match(corpo.erro, /HH:MM/);
+
+  const [statusTexto, criada] = await requisitar('POST', '/reserva', {
+    nomeUsuario: 'Teste', tipoVeiculo: 'carro', horarioPreferencia: '08:00'
+  });
+  assert.strictEqual(statusTexto, 200);
+  assert.ok(minutosDoHorario(criada.reserva.horarioPartida) >= 8 * 60);
+});
+
+// ========== REGISTRO DE SIMULAÇÕES ==========
+
+caso('registro descarta as execuções mais antigas e compacta o diário', () => {
+  const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'ferry-registro-'));
+  try {
+    const repositorio = new RepositorioArquivo('simulacoes', diretorio);
+    const status = ['na_fila', 'concluida', 'concluida', 'erro', 'concluida'];
+    status.forEach((s, i) => repositorio.inserir({ id: `s${i}`, criadaEm: `2026-01-0${i + 1}T00:00:00.000Z`, status: s }));
+
+    const removidas = registroSimulacoes.aplicarRetencao(repositorio, { limite: 4, manter: 2 });
+    assert.strictEqual(removidas, 3);
+    // O job na fila fica, mesmo sendo o mais antigo
+    assert.deepStrictEqual(repositorio.listar().map(r => r.id), ['s0', 's4']);
+
+    const linhas = fs.readFileSync(repositorio.arquivo, 'utf8').trim().split('\n');
+    assert.strictEqual(linhas.length, 2);
+    assert.deepStrictEqual(new RepositorioArquivo('simulacoes', diretorio).listar().map(r => r.id), ['s0', 's4']);
+
+    assert.strictEqual(registroSimulacoes.aplicarRetencao(repositorio, { limite: 4, manter: 2 }), 0);
+  } finally {
+    fs.rmSync(diretorio, { recursive: true, force: true });
+  }
+});
+
+caso('registro de /simular guarda só as manutenções do log', async () => {
+  const [status, corpo] = await requisitar('POST', '/simular', { dias: 1, seed: 3 });
+  assert.strictEqual(status, 200);
+  assert.ok(corpo.resultados.eventos.some(e => e.tipo !== 'manutencao_inicio'));
+
+  const [, registro] = await requisitar('GET', `/simulacoes/${corpo.idSimulacao}`);
+  const eventos = registro.simulacao.resultados.eventos;
+  assert.ok(eventos.every(e => e.tipo === 'manutencao_inicio'));
+  assert.strictEqual(registro.simulacao.resultados.eventosRegistrados, corpo.resultados.eventosRegistrados);
+});
+
+// ========== EXECUÇÃO ==========
+
+(async () => {
+  let falhas = 0;
+  for (const { nome, executar } of casos) {
+    try {
+      await executar();
+      console.log(`✅ ${nome}`);
+    } catch (erro) {
+      falhas++;
+      console.log(`❌ ${nome}\n   ${erro.stack}`);
+    }
+  }
+  console.log(`\n${casos.length - falhas}/${casos.length} caso(s) passaram`);
+  process.exit(falhas > 0 ? 1 : 0);
+})();
@@ -0,0 +1,205 @@
+// ============================================================================
+// FERRY BOT - TRANSMISSÃO AO VIVO (SERVER-SENT EVENTS)
+// ============================================================================
+// O painel anima a fila e as embarcações enquanto o dia simulado passa.
+// A simulação anda passo a passo (iniciar/avancarAte do simulador) num
+// relógio próprio: a cada INTERVALO_TICK_MS reais o relógio avança
+// "velocidade" minutos simulados por segundo. Cada assinante recebe:
+//   event: evento   → cada evento do log, na hora simulada em que acontece
+//   event: tick     → relógio, filas, estado e carga de cada embarcação
+//   event: controle → pausada / velocidade mudaram
+//   event: fim      → indicadores finais e id no registro de simulações
+//   event: erro     → a simulação falhou (a transmissão é encerrada)
+//
+// O relógio só anda com alguém assistindo: se todos desconectam, ele para
+// até o próximo assinante (o EventSource reconecta sozinho). Com
+// pularNoites, o relógio salta de noite (terminais fechados) até o próximo
+// evento ou a abertura seguinte.
+// ============================================================================
+
+const { formatarHorario } = require('./horarios');
+
+const MINUTOS_DIA = 1440;
+const VELOCIDADE_PADRAO = 10;      // minutos simulados por segundo real
+const VELOCIDADE_MAXIMA = 1440;    // um dia simulado por segundo
+const INTERVALO_TICK_MS = 250;     // 4 quadros por segundo
+const PING_MS = 15000;             // comentário SSE para manter a conexão pausada
+
+// Mensagem de erro ou null
+function validarVelocidade(velocidade) {
+  if (typeof velocidade !== 'number' || !Number.isFinite(velocidade) ||
+      velocidade <= 0 || velocidade > VELOCIDADE_MAXIMA) {
+    return `velocidade deve ser um número maior que 0 e até ${VELOCIDADE_MAXIMA} (minutos simulados por segundo)`;
+  }
+  return null;
+}
+
+function escrever(res, evento, dados) {
+  res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+}
+
+/*
+Cria a transmissão de um simulador ainda não processado.
+aoConcluir(resultados) devolve o que vai no evento "fim" (ex.: id no
+registro e indicadores).
+*/
+function criarTransmissao(simulador, { velocidade = VELOCIDADE_PADRAO, pularNoites = true, aoConcluir }) {
+  const abertura = simulador.config.horarioInicio * 60;
+  const fechamento = simulador.config.horarioFim * 60;
+  const assinantes = new Set();
+
+  let relogio = abertura;
+  let cursorEventos = 0;           // eventos do log já transmitidos
+  let pausada = false;
+  let encerrada = false;
+  let final = null;                // conteúdo do evento "fim"
+  let temporizador = null;
+  let ultimoEnvio = Date.now();
+  let ociosaDesde = Date.now();    // sem assinantes desde
+
+  simulador.iniciar();
+
+  function transmitir(evento, dados) {
+    assinantes.forEach(res => escrever(res, evento, dados));
+    ultimoEnvio = Date.now();
+  }
+
+  function controle() {
+    return { pausada, velocidade, pularNoites };
+  }
+
+  function retrato() {
+    return { ...simulador.estadoAtual(relogio), velocidade, pausada };
+  }
+
+  // De noite, a próxima abertura dos terminais
+  function proximaAbertura(t) {
+    const hoje = Math.floor(t / MINUTOS_DIA) * MINUTOS_DIA + abertura;
+    return t < hoje ? hoje : hoje + MINUTOS_DIA;
+  }
+
+  function fechado(t) {
+    const minuto = t % MINUTOS_DIA;
+    return minuto < abertura || minuto >= fechamento;
+  }
+
+  function passo() {
+    if (pausada) {
+      if (Date.now() - ultimoEnvio >= PING_MS) {
+        assinantes.forEach(res => res.write(': ping\n\n'));
+        ultimoEnvio = Date.now();
+      }
+      return;
+    }
+
+    let alvo = relogio + velocidade * INTERVALO_TICK_MS / 1000;
+    if (pularNoites && fechado(relogio)) {
+      alvo = Math.max(alvo, Math.min(simulador.agenda.proximoTempo(), proximaAbertura(relogio)));
+    }
+
+    const continua = simulador.avancarAte(alvo);
+    relogio = alvo;
+
+    const novos = simulador.eventos.slice(cursorEventos);
+    cursorEventos = simulador.eventos.length;
+    novos.forEach(evento => transmitir('evento', evento));
+    transmitir('tick', retrato());
+
+    if (!continua) {
+      final = aoConcluir ? aoConcluir(simulador.calcularResultados()) : {};
+      transmitir('fim', final);
+      encerrar();
+    }
+  }
+
+  function atualizarTemporizador() {
+    const rodar = !encerrada && assinantes.size > 0;
+    if (rodar && !temporizador) {
+      temporizador = setInterval(() => {
+        try {
+          passo();
+        } catch (erro) {
+          transmitir('erro', { erro: erro.message });
+          encerrar();
+        }
+      }, INTERVALO_TICK_MS);
+    } else if (!rodar && temporizador) {
+      clearInterval(temporizador);
+      temporizador = null;
+    }
+  }
+
+  // Fecha todas as conexões e para o relógio (não volta mais)
+  function encerrar() {
+    encerrada = true;
+    assinantes.forEach(res => res.end());
+    assinantes.clear();
+    ociosaDesde = Date.now();
+    atualizarTemporizador();
+  }
+
+  return {
+    // Novo assinante (resposta HTTP já com cabeçalhos SSE); devolve a
+    // função que o remove. false se a transmissão já terminou.
+    assinar(res) {
+      if (encerrada) return false;
+      assinantes.add(res);
+      escrever(res, 'controle', controle());
+      escrever(res, 'tick', retrato());
+      atualizarTemporizador();
+      return () => {
+        if (!assinantes.delete(res)) return;
+        if (assinantes.size === 0) ociosaDesde = Date.now();
+        atualizarTemporizador();
+      };
+    },
+
+    pausar() {
+      if (encerrada) return false;
+      pausada = true;
+      transmitir('controle', controle());
+      return true;
+    },
+
+    retomar() {
+      if (encerrada) return false;
+      pausada = false;
+      transmitir('controle', controle());
+      return true;
+    },
+
+    // A velocidade já deve vir validada (validarVelocidade)
+    definirVelocidade(novaVelocidade) {
+      if (encerrada) return false;
+      velocidade = novaVelocidade;
+      transmitir('controle', controle());
+      return true;
+    },
+
+    encerrar,
+
+    situacao() {
+      return {
+        ...controle(),
+        encerrada,
+        dia: Math.floor(relogio / MINUTOS_DIA) + 1,
+        hora: formatarHorario(relogio),
+        horario: relogio,
+        assinantes: assinantes.size,
+        final
+      };
+    },
+
+    // Milissegundos sem ninguém assistindo (0 se há assinantes)
+    ociosidade() {
+      return assinantes.size > 0 ? 0 : Date.now() - ociosaDesde;
+    }
+  };
+}
+
+module.exports = {
+  VELOCIDADE_PADRAO,
+  VELOCIDADE_MAXIMA,
+  validarVelocidade,
+  criarTransmissao
+};
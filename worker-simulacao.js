@@ -0,0 +1,44 @@
+// ============================================================================
+// FERRY BOT - WORKER DE SIMULAÇÃO
+// ============================================================================
+// Roda um job de POST /simulacoes fora da thread do servidor (ver
+// fila-simulacoes.js). workerData: { config, replicacoes }
+// O ferry-backend é carregado só pelo simulador: fora do require.main ele
+// não abre a porta, e a fila passa ARMAZENAMENTO=memoria ao worker para
+// que ele não abra os diários do servidor.
+// ============================================================================
+
+const { parentPort, workerData } = require('worker_threads');
+const { SimuladorFerries, CONFIG } = require('./ferry-backend');
+const { executarReplicacoes } = require('./replicacoes');
+
+const PASSO_PROGRESSO = 0.01; // Avisa a cada 1% (evita inundar a thread principal)
+
+const { config, replicacoes } = workerData;
+
+let ultimoAviso = -Infinity;
+function aoProgresso(progresso) {
+  if (progresso - ultimoAviso < PASSO_PROGRESSO && progresso < 1) return;
+  ultimoAviso = progresso;
+  parentPort.postMessage({ tipo: 'progresso', progresso });
+}
+
+if (replicacoes > 1) {
+  const { resultados: _execucoes, ...resumo } = executarReplicacoes(config, replicacoes, { aoProgresso });
+  parentPort.postMessage({
+    tipo: 'concluida',
+    replicacoes,
+    resultados: resumo,
+    configuracao: { ...CONFIG, ...config, seed: resumo.sementeBase }
+  });
+} else {
+  const simulador = new SimuladorFerries(config);
+  const resultados = simulador.processar({ aoProgresso });
+  parentPort.postMessage({
+    tipo: 'concluida',
+    replicacoes: 1,
+    resultados,
+    configuracao: simulador.config,
+    horizonte: { inicio: simulador.config.horarioInicio * 60, fim: simulador._fimDoHorizonte() }
+  });
+}